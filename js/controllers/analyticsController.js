@@ -15,12 +15,14 @@ export class AnalyticsController {
    * @param {Object} chartService - Chart service instance
    * @param {Object} uiService - UI service instance
    * @param {Object} stateManager - State manager instance
+   * @param {Object} presetController - Preset controller instance
    */
-  constructor(dataService, chartService, uiService, stateManager) {
+  constructor(dataService, chartService, uiService, stateManager, presetController) {
     this._dataService = dataService;
     this._chartService = chartService;
     this._uiService = uiService;
     this._stateManager = stateManager;
+    this._presetController = presetController;
     
     this._chartInstances = {};
     this._activeChartType = 'playerDistribution';
@@ -159,6 +161,9 @@ export class AnalyticsController {
     // Clear previous content
     analyticsContainer.innerHTML = '';
     
+    // Saved filter presets (the charts follow the shared filters)
+    this._presetController.createPresetControls(analyticsContainer);
+    
     // Create chart selector
     const selectorContainer = document.createElement('div');
     selectorContainer.className = 'chart-selector';
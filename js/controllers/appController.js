@@ -18,6 +18,11 @@ export class AppController {
    * @param {Object} playerController - Player controller instance
    * @param {Object} stateManager - State manager instance
    * @param {Object} errorHandler - Error handler instance
+   * @param {Object} languageService - Language service instance
+   * @param {Object} quotaController - Quota controller instance
+   * @param {Object} refreshScheduler - Refresh scheduler instance
+   * @param {Object} dashboardController - Dashboard controller instance
+   * @param {Object} settingsController - Settings controller instance
    */
   constructor(
     dataService,
@@ -26,7 +31,12 @@ export class AppController {
     analyticsController,
     playerController,
     stateManager,
-    errorHandler
+    errorHandler,
+    languageService,
+    quotaController,
+    refreshScheduler,
+    dashboardController,
+    settingsController
   ) {
     this._dataService = dataService;
     this._uiService = uiService;
@@ -35,6 +45,14 @@ export class AppController {
     this._playerController = playerController;
     this._stateManager = stateManager;
     this._errorHandler = errorHandler;
+    this._languageService = languageService;
+    this._quotaController = quotaController;
+    this._refreshScheduler = refreshScheduler;
+    this._dashboardController = dashboardController;
+    this._settingsController = settingsController;
+    
+    // Date range presets offered in the header
+    this._dateRangePresets = ['all', 'this_week', 'last_week', 'this_month', 'custom'];
   }
   
   /**
@@ -51,6 +69,12 @@ export class AppController {
       // Initialize the UI components
       this._initializeUI();
       
+      // Announce changes found by every load from now on
+      this._setupStateSubscriptions();
+      
+      // Restore stored data and data settings
+      await this._dataService.initialize();
+      
       // Load data
       const dataLoaded = await this._dataService.loadData();
       if (!dataLoaded) {
@@ -60,6 +84,9 @@ export class AppController {
       // Initialize controllers
       await this._initializeControllers();
       
+      // Start automatic refreshes
+      await this._refreshScheduler.initialize();
+      
       // Set up window events
       this._setupWindowEvents();
       
@@ -97,6 +124,148 @@ export class AppController {
       loadingSpinner.innerHTML = '<div class="spinner"></div>';
       document.body.appendChild(loadingSpinner);
     }
+    
+    // Create the dataset switcher, the global date range picker and the refresh indicator next to the language selector
+    this._createDatasetSwitcher();
+    this._createDateRangePicker();
+    this._createRefreshIndicator();
+  }
+  
+  /**
+   * Create the dataset switcher in the header
+   * Options are filled whenever the dataset registry changes.
+   * @private
+   */
+  _createDatasetSwitcher() {
+    const languageSelector = document.querySelector('#app-header .language-selector');
+    if (!languageSelector || document.getElementById('dataset-switcher')) {
+      return;
+    }
+    
+    const select = document.createElement('select');
+    select.id = 'dataset-switcher';
+    select.className = 'dataset-switcher';
+    select.title = this._languageService.translate('dataset.switch');
+    languageSelector.parentElement.insertBefore(select, languageSelector);
+    
+    select.addEventListener('change', async () => {
+      this._uiService.showLoading(true);
+      await this._dataService.switchDataset(select.value);
+      this._uiService.showLoading(false);
+    });
+    
+    const updateOptions = () => {
+      const activeId = this._stateManager.getState('activeDataset');
+      
+      select.innerHTML = '';
+      this._dataService.getDatasets().forEach(dataset => {
+        const option = document.createElement('option');
+        option.value = dataset.id;
+        option.textContent = dataset.name;
+        select.appendChild(option);
+      });
+      
+      select.value = activeId;
+    };
+    
+    this._stateManager.subscribe('datasets', updateOptions);
+    this._stateManager.subscribe('activeDataset', updateOptions);
+  }
+  
+  /**
+   * Create the global date range picker in the header
+   * @private
+   */
+  _createDateRangePicker() {
+    const languageSelector = document.querySelector('#app-header .language-selector');
+    if (!languageSelector || document.querySelector('#app-header .date-range-picker')) {
+      return;
+    }
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'header-date-range';
+    languageSelector.parentElement.insertBefore(wrapper, languageSelector);
+    
+    this._uiService.createDateRangePicker(wrapper, {
+      presets: this._dateRangePresets.map(preset => ({
+        value: preset,
+        label: this._languageService.translate(`daterange.${preset}`)
+      })),
+      value: this._stateManager.getState('filters.dateRange'),
+      startLabel: this._languageService.translate('daterange.start'),
+      endLabel: this._languageService.translate('daterange.end'),
+      onChange: (dateRange) => {
+        // Every view re-renders from the shared filter state
+        this._stateManager.setState('filters.dateRange', dateRange);
+      }
+    });
+  }
+  
+  /**
+   * Create the refresh indicator in the header
+   * Shows when the data was last refreshed and when the next automatic refresh is due.
+   * @private
+   */
+  _createRefreshIndicator() {
+    const languageSelector = document.querySelector('#app-header .language-selector');
+    if (!languageSelector || document.querySelector('#app-header .refresh-indicator')) {
+      return;
+    }
+    
+    const indicator = document.createElement('div');
+    indicator.className = 'refresh-indicator';
+    languageSelector.parentElement.insertBefore(indicator, languageSelector);
+    
+    const statusElement = document.createElement('span');
+    statusElement.className = 'refresh-status';
+    indicator.appendChild(statusElement);
+    
+    const refreshButton = document.createElement('button');
+    refreshButton.className = 'refresh-button';
+    refreshButton.textContent = '↻';
+    refreshButton.title = this._languageService.translate('refresh.now');
+    refreshButton.addEventListener('click', () => this._refreshScheduler.refreshNow());
+    indicator.appendChild(refreshButton);
+    
+    const formatTime = (date) => this._languageService.formatDate(date, {
+      year: undefined,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    
+    const updateIndicator = () => {
+      const status = this._stateManager.getState('refreshStatus') || this._refreshScheduler.getStatus();
+      
+      // Imported files cannot be refreshed
+      const dataset = this._dataService.getActiveDataset();
+      refreshButton.disabled = status.refreshing || (dataset && dataset.type === 'file');
+      
+      if (status.refreshing) {
+        statusElement.textContent = this._languageService.translate('refresh.running');
+        indicator.classList.remove('refresh-failed');
+        return;
+      }
+      
+      const parts = [
+        status.lastRefresh
+          ? this._languageService.translate('refresh.last', { time: formatTime(status.lastRefresh) })
+          : this._languageService.translate('refresh.never')
+      ];
+      
+      if (status.paused) {
+        parts.push(this._languageService.translate('refresh.paused'));
+      } else if (status.nextRefresh) {
+        const key = status.failures > 0 ? 'refresh.retry' : 'refresh.next';
+        parts.push(this._languageService.translate(key, { time: formatTime(status.nextRefresh) }));
+      }
+      
+      statusElement.textContent = parts.join(' · ');
+      indicator.classList.toggle('refresh-failed', status.failures > 0);
+    };
+    
+    this._stateManager.subscribe('refreshStatus', updateIndicator);
+    this._stateManager.subscribe('activeDataset', updateIndicator);
+    updateIndicator();
   }
   
   /**
@@ -109,12 +278,21 @@ export class AppController {
       // Initialize navigation controller
       await this._navigationController.initialize();
       
+      // Initialize settings controller (restores the stored settings)
+      await this._settingsController.initialize();
+      
+      // Initialize dashboard controller
+      await this._dashboardController.initialize();
+      
       // Initialize analytics controller
       await this._analyticsController.initialize();
       
       // Initialize player controller
       await this._playerController.initialize();
       
+      // Initialize quota controller
+      await this._quotaController.initialize();
+      
       return true;
     } catch (error) {
       this._errorHandler.handleError(error, 'controller-initialization');
@@ -132,7 +310,7 @@ export class AppController {
     
     if (hash) {
       // Validate the view ID
-      const validViews = ['overview', 'players', 'analytics', 'charts', 'score', 'settings'];
+      const validViews = ['overview', 'players', 'analytics', 'quota', 'charts', 'score', 'settings'];
       if (validViews.includes(hash)) {
         this._uiService.showView(hash);
       } else {
@@ -143,6 +321,58 @@ export class AppController {
     }
   }
   
+  /**
+   * Set up state subscriptions
+   * @private
+   */
+  _setupStateSubscriptions() {
+    // Summarize what changed after each load or refresh
+    this._stateManager.subscribe('changeDigest', (digest) => {
+      if (digest && digest.changeCount > 0) {
+        this._uiService.showNotification(this._formatChangeDigest(digest), 'info');
+      }
+    });
+    
+    // URL loads and refreshes skip the import preview, so their quality issues are announced here
+    this._stateManager.subscribe('dataQuality', (quality) => {
+      if (quality && !quality.reviewed && (quality.repaired > 0 || quality.rejected > 0)) {
+        this._uiService.showNotification(this._languageService.translate('quality.notification', {
+          repaired: quality.repaired,
+          rejected: quality.rejected
+        }), 'warning');
+      }
+    });
+  }
+  
+  /**
+   * Format a change digest as a one-line notification
+   * @param {Object} digest - Change digest from the data service
+   * @returns {string} Notification message
+   * @private
+   */
+  _formatChangeDigest(digest) {
+    const counts = [
+      { key: 'new_players', count: digest.newPlayers.length },
+      { key: 'left_players', count: digest.leftPlayers.length },
+      { key: 'rank_changes', count: digest.rankChanges.length }
+    ];
+    
+    const parts = counts
+      .filter(entry => entry.count > 0)
+      .map(entry => this._languageService.translate('digest.count', {
+        label: this._languageService.translate(`digest.${entry.key}`),
+        count: entry.count
+      }));
+    
+    // Biggest score gain
+    if (digest.scoreGains.length > 0) {
+      const top = digest.scoreGains[0];
+      parts.push(this._languageService.translate('digest.top_gain', { name: top.name, gain: top.gain.toLocaleString() }));
+    }
+    
+    return this._languageService.translate('digest.notification', { changes: parts.join(', ') });
+  }
+  
   /**
    * Set up window-level event handlers
    * @private
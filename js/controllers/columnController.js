@@ -0,0 +1,322 @@
+/**
+ * columnController.js
+ * 
+ * Controller for configurable table columns in the TB Chest Analyzer.
+ * Applies the saved column order and visibility per view and provides the column chooser
+ * with user-defined computed columns.
+ */
+
+/**
+ * ColumnController - Handles the column chooser and computed columns
+ */
+export class ColumnController {
+  /**
+   * Initialize the column controller
+   * @param {Object} dataService - Data service instance
+   * @param {Object} uiService - UI service instance
+   * @param {Object} languageService - Language service instance
+   */
+  constructor(dataService, uiService, languageService) {
+    this._dataService = dataService;
+    this._uiService = uiService;
+    this._languageService = languageService;
+  }
+  
+  /**
+   * Get the visible columns of a view in the saved order, including computed columns
+   * @param {string} viewId - View ID (e.g. players)
+   * @param {Array} columns - Default columns of the view
+   * @returns {Array} Visible column configuration
+   */
+  getColumns(viewId, columns) {
+    const allColumns = this._getAllColumns(columns);
+    const visible = this._getLayout(viewId, allColumns)
+      .filter(entry => entry.visible)
+      .map(entry => allColumns.find(column => column.key === entry.key));
+    
+    return visible.length > 0 ? visible : allColumns;
+  }
+  
+  /**
+   * Create the button opening the column chooser
+   * @param {HTMLElement} container - Container element
+   * @param {string} viewId - View ID (e.g. players)
+   * @param {Array} columns - Default columns of the view
+   * @param {Function} onChange - Callback after the columns changed
+   * @returns {HTMLElement} Button element
+   */
+  createColumnButton(container, viewId, columns, onChange = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'column-chooser-button';
+    button.textContent = this._languageService.translate('columns.button');
+    button.addEventListener('click', () => this.showColumnDialog(viewId, columns, onChange));
+    
+    container.appendChild(button);
+    return button;
+  }
+  
+  /**
+   * Show the column chooser of a view
+   * Changes are saved right away.
+   * @param {string} viewId - View ID (e.g. players)
+   * @param {Array} columns - Default columns of the view
+   * @param {Function} onChange - Callback after the columns changed
+   */
+  showColumnDialog(viewId, columns, onChange = null) {
+    const content = document.createElement('div');
+    content.className = 'column-chooser';
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = this._languageService.translate('columns.hint');
+    content.appendChild(hint);
+    
+    let list = null;
+    let layout = [];
+    
+    const saveLayout = () => {
+      this._dataService.setColumnLayout(viewId, layout);
+      if (onChange) onChange();
+    };
+    
+    const refresh = () => {
+      layout = this._getLayout(viewId, this._getAllColumns(columns));
+      list.setItems(layout);
+    };
+    
+    // Drag to reorder, untick to hide
+    list = this._uiService.createSortableList(content, [], {
+      renderItem: entry => this._createColumnItem(entry, this._getAllColumns(columns), {
+        onToggle: (checkbox) => {
+          const visibleCount = layout.filter(e => e.visible && e.key !== entry.key).length;
+          if (!checkbox.checked && visibleCount === 0) {
+            checkbox.checked = true;
+            this._uiService.showNotification(this._languageService.translate('columns.last_visible'), 'warning');
+            return;
+          }
+          
+          layout.find(e => e.key === entry.key).visible = checkbox.checked;
+          saveLayout();
+        },
+        onDelete: () => {
+          this._dataService.deleteComputedColumn(entry.key);
+          refresh();
+          if (onChange) onChange();
+        }
+      }),
+      onReorder: (items) => {
+        layout = items;
+        saveLayout();
+      }
+    });
+    refresh();
+    
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'btn btn-secondary';
+    resetButton.textContent = this._languageService.translate('columns.reset');
+    resetButton.addEventListener('click', () => {
+      this._dataService.setColumnLayout(viewId, null);
+      refresh();
+      if (onChange) onChange();
+    });
+    content.appendChild(resetButton);
+    
+    content.appendChild(this._createFormulaForm(() => {
+      refresh();
+      saveLayout();
+    }));
+    
+    this._uiService.showModal(
+      this._languageService.translate('columns.title'),
+      content,
+      [
+        {
+          text: this._languageService.translate('app.close'),
+          action: 'close',
+          primary: true
+        }
+      ]
+    );
+  }
+  
+  /**
+   * Get the default columns followed by the computed columns
+   * @param {Array} columns - Default columns of the view
+   * @returns {Array} Column configuration
+   * @private
+   */
+  _getAllColumns(columns) {
+    const computed = this._dataService.getComputedColumns().map(column => ({
+      key: column.key,
+      label: column.label,
+      formula: column.formula,
+      computed: true,
+      format: value => this._formatComputedValue(value)
+    }));
+    
+    return [...columns, ...computed];
+  }
+  
+  /**
+   * Get the full layout of a view: saved entries first, new columns at their default position
+   * @param {string} viewId - View ID
+   * @param {Array} allColumns - Available columns
+   * @returns {Array} Column order and visibility ({ key, visible })
+   * @private
+   */
+  _getLayout(viewId, allColumns) {
+    const keys = allColumns.map(column => column.key);
+    const layout = (this._dataService.getColumnLayout(viewId) || []).filter(entry => keys.includes(entry.key));
+    
+    allColumns.forEach((column, index) => {
+      if (!layout.some(entry => entry.key === column.key)) {
+        layout.splice(Math.min(index, layout.length), 0, { key: column.key, visible: true });
+      }
+    });
+    
+    return layout;
+  }
+  
+  /**
+   * Create the content of a column chooser entry
+   * @param {Object} entry - Layout entry ({ key, visible })
+   * @param {Array} allColumns - Available columns
+   * @param {Object} handlers - Callbacks (onToggle receiving the checkbox, onDelete)
+   * @returns {HTMLElement} Entry element
+   * @private
+   */
+  _createColumnItem(entry, allColumns, handlers) {
+    const column = allColumns.find(c => c.key === entry.key);
+    
+    const item = document.createElement('div');
+    item.className = 'column-item';
+    
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = entry.visible;
+    checkbox.addEventListener('change', () => handlers.onToggle(checkbox));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${column.label}`));
+    item.appendChild(label);
+    
+    if (column.computed) {
+      const formula = document.createElement('code');
+      formula.className = 'column-formula';
+      formula.title = this._languageService.translate('columns.computed');
+      formula.textContent = `${column.key} = ${column.formula}`;
+      item.appendChild(formula);
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'btn btn-danger';
+      deleteButton.textContent = this._languageService.translate('app.delete');
+      deleteButton.addEventListener('click', handlers.onDelete);
+      item.appendChild(deleteButton);
+    }
+    
+    return item;
+  }
+  
+  /**
+   * Create the form adding a computed column
+   * @param {Function} onAdded - Callback after a column was added
+   * @returns {HTMLElement} Form element
+   * @private
+   */
+  _createFormulaForm(onAdded) {
+    const form = document.createElement('form');
+    form.className = 'column-formula-form';
+    
+    const title = document.createElement('h4');
+    title.textContent = this._languageService.translate('columns.add_title');
+    form.appendChild(title);
+    
+    const nameLabel = document.createElement('label');
+    nameLabel.textContent = this._languageService.translate('columns.name');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameLabel.appendChild(nameInput);
+    form.appendChild(nameLabel);
+    
+    const formulaLabel = document.createElement('label');
+    formulaLabel.textContent = this._languageService.translate('columns.formula');
+    const formulaInput = document.createElement('input');
+    formulaInput.type = 'text';
+    formulaInput.placeholder = this._languageService.translate('columns.formula_placeholder');
+    formulaLabel.appendChild(formulaInput);
+    form.appendChild(formulaLabel);
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = this._languageService.translate('columns.formula_hint', {
+      fields: this._dataService.getFormulaFields().join(', '),
+      functions: this._dataService.getFormulaFunctions().join(', '),
+      example: 'score_k>5'
+    });
+    form.appendChild(hint);
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.className = 'formula-error';
+    errorMessage.setAttribute('role', 'alert');
+    form.appendChild(errorMessage);
+    
+    const showError = (message) => {
+      errorMessage.textContent = message || '';
+    };
+    
+    // Report syntax errors while typing
+    formulaInput.addEventListener('input', () => {
+      const error = formulaInput.value.trim() ? this._dataService.checkFormula(formulaInput.value) : null;
+      formulaInput.setAttribute('aria-invalid', error ? 'true' : 'false');
+      showError(error ? this._languageService.translate('columns.formula_error', { message: error.message }) : null);
+    });
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'submit';
+    addButton.className = 'btn btn-primary';
+    addButton.textContent = this._languageService.translate('app.add');
+    form.appendChild(addButton);
+    
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      
+      try {
+        const column = this._dataService.saveComputedColumn({
+          label: nameInput.value,
+          formula: formulaInput.value
+        });
+        
+        nameInput.value = '';
+        formulaInput.value = '';
+        showError(null);
+        onAdded();
+        
+        this._uiService.showNotification(
+          this._languageService.translate('columns.added', { name: column.label }),
+          'success'
+        );
+      } catch (error) {
+        showError(error.message);
+      }
+    });
+    
+    return form;
+  }
+  
+  /**
+   * Format a computed value for display
+   * @param {number|null} value - Computed value
+   * @returns {string} Formatted value (empty if the formula gave no value)
+   * @private
+   */
+  _formatComputedValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+}
\ No newline at end of file
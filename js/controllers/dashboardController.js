@@ -16,15 +16,20 @@ export class DashboardController {
    * @param {Object} uiService - UI service instance
    * @param {Object} stateManager - State manager instance
    * @param {Object} languageService - Language service instance
+   * @param {Object} importController - Import controller instance
    */
-  constructor(dataService, chartService, uiService, stateManager, languageService) {
+  constructor(dataService, chartService, uiService, stateManager, languageService, importController) {
     this._dataService = dataService;
     this._chartService = chartService;
     this._uiService = uiService;
     this._stateManager = stateManager;
     this._languageService = languageService;
+    this._importController = importController;
     
     this._dashboardCharts = {};
+    
+    // Maximum number of entries listed per group of the change digest
+    this._digestListLimit = 10;
   }
   
   /**
@@ -66,6 +71,9 @@ export class DashboardController {
         } else {
           if (dashboardContainer) {
             dashboardContainer.innerHTML = '<div class="error-message">Failed to load data. Please try again.</div>';
+            
+            // Offer a local file import instead
+            dashboardContainer.appendChild(this._createImportSection());
           }
         }
       });
@@ -102,6 +110,12 @@ export class DashboardController {
     const summarySection = this._createSummarySection(stats);
     layout.appendChild(summarySection);
     
+    // Changes since the previous load
+    const digest = this._dataService.getChangeDigest();
+    if (digest) {
+      layout.appendChild(this._createDigestSection(digest));
+    }
+    
     // Charts section
     const chartsSection = this._createChartsSection(stats);
     layout.appendChild(chartsSection);
@@ -110,6 +124,10 @@ export class DashboardController {
     const topPlayersSection = this._createTopPlayersSection(stats);
     layout.appendChild(topPlayersSection);
     
+    // Import section
+    const importSection = this._createImportSection();
+    layout.appendChild(importSection);
+    
     // Add layout to container
     dashboardContainer.appendChild(layout);
     
@@ -140,6 +158,25 @@ export class DashboardController {
     return section;
   }
   
+  /**
+   * Create import section
+   * @returns {HTMLElement} Import section element
+   * @private
+   */
+  _createImportSection() {
+    const section = document.createElement('div');
+    section.className = 'dashboard-section import-section';
+    
+    const title = document.createElement('h2');
+    title.textContent = this._languageService.translate('import.title');
+    section.appendChild(title);
+    
+    // Drop zone
+    this._importController.createDropZone(section);
+    
+    return section;
+  }
+  
   /**
    * Create summary section
    * @param {Object} stats - Statistics data
@@ -199,6 +236,105 @@ export class DashboardController {
     return section;
   }
   
+  /**
+   * Create the "what's new since the last load" section
+   * @param {Object} digest - Change digest from the data service
+   * @returns {HTMLElement} Digest section element
+   * @private
+   */
+  _createDigestSection(digest) {
+    const section = document.createElement('div');
+    section.className = 'dashboard-section digest-section';
+    
+    const title = document.createElement('h2');
+    title.textContent = digest.since
+      ? this._languageService.translate('digest.title', { date: this._languageService.formatDate(digest.since) })
+      : this._languageService.translate('digest.title_previous');
+    section.appendChild(title);
+    
+    if (digest.changeCount === 0 && digest.allianceChanges.length === 0) {
+      const noChanges = document.createElement('p');
+      noChanges.className = 'help-text';
+      noChanges.textContent = this._languageService.translate('digest.no_changes');
+      section.appendChild(noChanges);
+      return section;
+    }
+    
+    const groups = document.createElement('div');
+    groups.className = 'digest-groups';
+    
+    const formatPlayer = player => (player.alliance ? `${player.name} [${player.alliance}]` : player.name);
+    const noRank = this._languageService.translate('digest.no_rank');
+    
+    const groupDefinitions = [
+      {
+        key: 'new_players',
+        className: 'digest-gain',
+        items: digest.newPlayers.map(formatPlayer)
+      },
+      {
+        key: 'left_players',
+        className: 'digest-loss',
+        items: digest.leftPlayers.map(formatPlayer)
+      },
+      {
+        key: 'score_gains',
+        className: 'digest-gain',
+        items: digest.scoreGains.map(player => `${player.name}: +${player.gain.toLocaleString()}`)
+      },
+      {
+        key: 'rank_changes',
+        items: digest.rankChanges.map(player => `${player.name}: ${player.from || noRank} → ${player.to || noRank}`)
+      },
+      {
+        key: 'alliance_changes',
+        items: digest.allianceChanges.map(alliance => this._languageService.translate('digest.alliance_change', alliance))
+      }
+    ];
+    
+    groupDefinitions.forEach(group => {
+      if (group.items.length === 0) return;
+      groups.appendChild(this._createDigestGroup(group));
+    });
+    
+    section.appendChild(groups);
+    
+    return section;
+  }
+  
+  /**
+   * Create one group of the change digest
+   * @param {Object} group - Group ({ key, className, items })
+   * @returns {HTMLElement} Group element
+   * @private
+   */
+  _createDigestGroup(group) {
+    const element = document.createElement('div');
+    element.className = `digest-group ${group.className || ''}`.trim();
+    
+    const title = document.createElement('h3');
+    title.textContent = `${this._languageService.translate(`digest.${group.key}`)} (${group.items.length})`;
+    element.appendChild(title);
+    
+    const list = document.createElement('ul');
+    
+    group.items.slice(0, this._digestListLimit).forEach(item => {
+      const listItem = document.createElement('li');
+      listItem.textContent = item;
+      list.appendChild(listItem);
+    });
+    
+    if (group.items.length > this._digestListLimit) {
+      const moreItem = document.createElement('li');
+      moreItem.textContent = `… +${group.items.length - this._digestListLimit}`;
+      list.appendChild(moreItem);
+    }
+    
+    element.appendChild(list);
+    
+    return element;
+  }
+  
   /**
    * Create summary card
    * @param {string} icon - Icon name
@@ -402,6 +538,14 @@ export class DashboardController {
    * @private
    */
   _createTopPlayersTable(players, metric) {
+    // Movement since the previous load is only comparable on the all-time leaderboard
+    const dateRange = this._dataService.resolveDateRange(this._stateManager.getState('filters.dateRange'));
+    const movements = dateRange ? null : this._dataService.getRankMovements(metric);
+    const movementLabels = {
+      newEntry: this._languageService.translate('rank.new'),
+      previous: this._languageService.translate('rank.previous')
+    };
+    
     // Create table
     const table = document.createElement('table');
     table.className = 'top-players-table';
@@ -440,9 +584,13 @@ export class DashboardController {
       const row = document.createElement('tr');
       row.dataset.playerId = player.id;
       
-      // Add rank
+      // Add rank with its movement
       const rankCell = document.createElement('td');
+      rankCell.className = 'rank-cell';
       rankCell.textContent = index + 1;
+      if (movements) {
+        rankCell.appendChild(this._uiService.createRankMovement(movements.get(player.id), movementLabels));
+      }
       row.appendChild(rankCell);
       
       // Add name
@@ -606,6 +754,20 @@ export class DashboardController {
       }
     });
     
+    // Listen for data changes (loads and imports)
+    this._stateManager.subscribe('processedData', () => {
+      if (this._stateManager.getState('currentView') === 'dashboard') {
+        this._renderDashboardView();
+      }
+    });
+    
+    // Listen for date range changes (aggregates are recomputed for the window)
+    this._stateManager.subscribe('filters.dateRange', () => {
+      if (this._stateManager.getState('currentView') === 'dashboard') {
+        this._renderDashboardView();
+      }
+    });
+    
     // Listen for theme changes to update charts
     this._stateManager.subscribe('theme', () => {
       if (this._stateManager.getState('currentView') === 'dashboard' && 
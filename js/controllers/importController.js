@@ -0,0 +1,395 @@
+/**
+ * importController.js
+ * 
+ * Controller for importing local data files in the TB Chest Analyzer.
+ * Manages drop zones, file previews, and the import summary dialog.
+ */
+
+/**
+ * ImportController - Handles local JSON/CSV file imports
+ */
+export class ImportController {
+  /**
+   * Initialize the import controller
+   * @param {Object} dataService - Data service instance
+   * @param {Object} uiService - UI service instance
+   * @param {Object} languageService - Language service instance
+   */
+  constructor(dataService, uiService, languageService) {
+    this._dataService = dataService;
+    this._uiService = uiService;
+    this._languageService = languageService;
+    
+    // Accepted file types
+    this._acceptedTypes = '.json,.csv,application/json,text/csv';
+    
+    // Maximum number of rows listed per data quality issue
+    this._maxIssueRowsShown = 20;
+    
+    // Import waiting for confirmation
+    this._pendingImport = null;
+    
+    // "Import as new dataset" and replace/merge controls of the open summary
+    this._datasetControls = null;
+    this._modeControls = null;
+  }
+  
+  /**
+   * Create a drop zone that imports dropped or picked files
+   * @param {HTMLElement} container - Container element
+   * @returns {HTMLElement} Drop zone element
+   */
+  createDropZone(container) {
+    return this._uiService.createFileDropZone(container, {
+      label: this._languageService.translate('import.drop_hint'),
+      accept: this._acceptedTypes,
+      onFiles: (files) => this.importFile(files[0])
+    });
+  }
+  
+  /**
+   * Read a file and show the import summary for confirmation
+   * @param {File} file - Local file
+   * @returns {Promise<boolean>} Whether the summary was shown
+   */
+  async importFile(file) {
+    try {
+      if (!file) {
+        return false;
+      }
+      
+      // Read and transform the file without touching the current data
+      const preview = await this._dataService.previewImport(file);
+      this._pendingImport = preview;
+      
+      // Only allow confirming if something can be imported
+      const buttons = [
+        {
+          text: this._languageService.translate('app.cancel'),
+          action: 'close',
+          primary: false
+        }
+      ];
+      
+      if (preview.acceptedCount > 0) {
+        buttons.push({
+          text: this._languageService.translate('import.confirm'),
+          action: 'confirm-import',
+          primary: true
+        });
+      }
+      
+      // Show summary
+      this._uiService.showModal(
+        this._languageService.translate('import.summary_title'),
+        this._createSummaryContent(preview),
+        buttons
+      );
+      
+      // Handle modal action
+      document.addEventListener('modal-action', (event) => {
+        if (event.detail.action === 'confirm-import') {
+          this._confirmImport();
+        } else {
+          this._pendingImport = null;
+          this._datasetControls = null;
+          this._modeControls = null;
+        }
+      }, { once: true });
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to import file:', error);
+      this._uiService.showNotification(
+        `${this._languageService.translate('import.failed')}: ${error.message}`,
+        'error'
+      );
+      return false;
+    }
+  }
+  
+  /**
+   * Apply the pending import
+   * @private
+   */
+  _confirmImport() {
+    const preview = this._pendingImport;
+    this._pendingImport = null;
+    
+    if (!preview) return;
+    
+    // Optionally register the file as a new dataset instead of replacing the active one
+    const options = { mode: this._getSelectedMode() };
+    if (this._datasetControls && this._datasetControls.checkbox.checked) {
+      options.datasetName = this._datasetControls.nameInput.value.trim() || preview.fileName;
+    }
+    this._datasetControls = null;
+    this._modeControls = null;
+    
+    const result = this._dataService.applyImport(preview, options);
+    if (!result) return;
+    
+    // Merges report what changed, replacements how much was read
+    const message = typeof result === 'object'
+      ? this._languageService.translate('import.merge_success', {
+        file: preview.fileName,
+        added: result.added,
+        updated: result.updated,
+        skipped: result.skipped
+      })
+      : this._languageService.translate('import.success', {
+        count: preview.acceptedCount,
+        file: preview.fileName
+      });
+    
+    this._uiService.showNotification(message, 'success');
+  }
+  
+  /**
+   * Get the import mode chosen in the open summary
+   * @returns {string} Import mode (replace, merge)
+   * @private
+   */
+  _getSelectedMode() {
+    if (!this._modeControls) {
+      return 'replace';
+    }
+    
+    return this._modeControls.merge.checked ? 'merge' : 'replace';
+  }
+  
+  /**
+   * Create import summary content
+   * @param {Object} preview - Import preview
+   * @returns {HTMLElement} Content element
+   * @private
+   */
+  _createSummaryContent(preview) {
+    const content = document.createElement('div');
+    content.className = 'import-summary';
+    
+    // File name
+    const fileElement = document.createElement('p');
+    fileElement.className = 'import-file-name';
+    fileElement.textContent = preview.fileName;
+    content.appendChild(fileElement);
+    
+    // Counts
+    const counts = document.createElement('div');
+    counts.className = 'import-counts';
+    
+    const stats = [
+      { label: this._languageService.translate('import.accepted'), value: preview.acceptedCount, className: 'accepted' },
+      { label: this._languageService.translate('import.repaired'), value: preview.repairedCount, className: 'repaired' },
+      { label: this._languageService.translate('import.rejected'), value: preview.rejectedCount, className: 'rejected' }
+    ];
+    
+    stats.forEach(stat => {
+      const statElement = document.createElement('div');
+      statElement.className = `import-count import-count-${stat.className}`;
+      
+      const valueElement = document.createElement('span');
+      valueElement.className = 'stat-value';
+      valueElement.textContent = stat.value;
+      
+      const labelElement = document.createElement('span');
+      labelElement.className = 'stat-label';
+      labelElement.textContent = stat.label;
+      
+      statElement.appendChild(valueElement);
+      statElement.appendChild(labelElement);
+      counts.appendChild(statElement);
+    });
+    
+    content.appendChild(counts);
+    
+    // Data quality report
+    content.appendChild(this._createQualityReport(preview.report));
+    
+    // Chests missing from the catalogue keep the points from the file
+    if (preview.unknownChests && preview.unknownChests.length > 0) {
+      const unknownElement = document.createElement('p');
+      unknownElement.className = 'import-unknown-chests';
+      unknownElement.textContent = this._languageService.translate('catalogue.unknown_in_import', {
+        chests: preview.unknownChests.map(chest => `${chest.name} (${chest.count})`).join(', ')
+      });
+      content.appendChild(unknownElement);
+    }
+    
+    if (preview.acceptedCount === 0) {
+      const hint = document.createElement('p');
+      hint.className = 'help-text';
+      hint.textContent = this._languageService.translate('import.no_rows');
+      content.appendChild(hint);
+      return content;
+    }
+    
+    // Replace or merge into the active dataset
+    content.appendChild(this._createModeControls(preview));
+    
+    // Import as new dataset
+    content.appendChild(this._createDatasetControls(preview));
+    
+    return content;
+  }
+  
+  /**
+   * Create the replace/merge choice with the outcome of each
+   * @param {Object} preview - Import preview
+   * @returns {HTMLElement} Controls element
+   * @private
+   */
+  _createModeControls(preview) {
+    const dataset = this._dataService.getActiveDataset();
+    
+    const container = document.createElement('div');
+    container.className = 'import-mode';
+    
+    const createOption = (mode) => {
+      const label = document.createElement('label');
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'import-mode';
+      radio.value = mode;
+      radio.checked = (dataset.importMode || 'replace') === mode;
+      
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${this._languageService.translate(`import.mode_${mode}`, { dataset: dataset.name })}`));
+      container.appendChild(label);
+      
+      return radio;
+    };
+    
+    const replace = createOption('replace');
+    const merge = createOption('merge');
+    
+    // Outcome hint for the selected mode
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    container.appendChild(hint);
+    
+    const updateHint = () => {
+      if (!merge.checked) {
+        hint.textContent = this._languageService.translate('import.replace_warning', { dataset: dataset.name });
+        return;
+      }
+      
+      const counts = this._dataService.getMergeSummary(preview);
+      hint.textContent = ['players', 'events']
+        .filter(type => counts[type].added + counts[type].updated + counts[type].skipped > 0)
+        .map(type => this._languageService.translate('import.merge_counts', {
+          type: this._languageService.translate(`import.${type}`),
+          ...counts[type]
+        }))
+        .join(' · ');
+    };
+    
+    replace.addEventListener('change', updateHint);
+    merge.addEventListener('change', updateHint);
+    updateHint();
+    
+    this._modeControls = { replace, merge };
+    
+    return container;
+  }
+  
+  /**
+   * Create the data quality report listing repaired and rejected rows by issue
+   * @param {Object} report - Data quality report from the validation service
+   * @returns {HTMLElement} Report element
+   * @private
+   */
+  _createQualityReport(report) {
+    const container = document.createElement('div');
+    container.className = 'quality-report';
+    
+    const title = document.createElement('h4');
+    title.textContent = this._languageService.translate('quality.title');
+    container.appendChild(title);
+    
+    if (report.issueCount === 0) {
+      const noIssues = document.createElement('p');
+      noIssues.className = 'help-text';
+      noIssues.textContent = this._languageService.translate('quality.no_issues');
+      container.appendChild(noIssues);
+      return container;
+    }
+    
+    Object.entries(report.issues).forEach(([code, issues]) => {
+      if (issues.length === 0) return;
+      
+      // One collapsible group per issue type
+      const group = document.createElement('details');
+      group.className = `quality-issue quality-issue-${code.replace(/_/g, '-')}`;
+      
+      const summary = document.createElement('summary');
+      summary.textContent = `${this._languageService.translate(`quality.${code}`)} (${issues.length})`;
+      group.appendChild(summary);
+      
+      const list = document.createElement('ul');
+      
+      issues.slice(0, this._maxIssueRowsShown).forEach(issue => {
+        const listItem = document.createElement('li');
+        listItem.className = `quality-${issue.status}`;
+        
+        const row = this._languageService.translate(`quality.row_${issue.type}`, { index: issue.index + 1 });
+        const status = this._languageService.translate(`quality.status_${issue.status}`);
+        listItem.textContent = `${row}: ${issue.message} (${status})`;
+        
+        list.appendChild(listItem);
+      });
+      
+      if (issues.length > this._maxIssueRowsShown) {
+        const moreItem = document.createElement('li');
+        moreItem.textContent = `… +${issues.length - this._maxIssueRowsShown}`;
+        list.appendChild(moreItem);
+      }
+      
+      group.appendChild(list);
+      container.appendChild(group);
+    });
+    
+    return container;
+  }
+  
+  /**
+   * Create the "import as new dataset" controls
+   * @param {Object} preview - Import preview
+   * @returns {HTMLElement} Controls element
+   * @private
+   */
+  _createDatasetControls(preview) {
+    const container = document.createElement('div');
+    container.className = 'import-dataset';
+    
+    const label = document.createElement('label');
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${this._languageService.translate('dataset.import_as_new')}`));
+    container.appendChild(label);
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = preview.fileName.replace(/\.[^.]+$/, '');
+    nameInput.placeholder = this._languageService.translate('dataset.name');
+    nameInput.disabled = true;
+    container.appendChild(nameInput);
+    
+    checkbox.addEventListener('change', () => {
+      nameInput.disabled = !checkbox.checked;
+      
+      // A new dataset is always created from the file alone
+      if (this._modeControls) {
+        this._modeControls.replace.disabled = checkbox.checked;
+        this._modeControls.merge.disabled = checkbox.checked;
+      }
+    });
+    
+    this._datasetControls = { checkbox, nameInput };
+    
+    return container;
+  }
+}
\ No newline at end of file
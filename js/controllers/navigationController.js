@@ -35,6 +35,11 @@ export class NavigationController {
         title: 'Analytics',
         icon: 'chart-bar'
       },
+      quota: {
+        id: 'quota',
+        title: 'Quota',
+        icon: 'tasks'
+      },
       settings: {
         id: 'settings',
         title: 'Settings',
@@ -15,15 +15,39 @@ export class PlayerController {
    * @param {Object} chartService - Chart service instance
    * @param {Object} uiService - UI service instance
    * @param {Object} stateManager - State manager instance
+   * @param {Object} presetController - Preset controller instance
+   * @param {Object} columnController - Column controller instance
+   * @param {Object} languageService - Language service instance
+   * @param {Object} exportService - Export service instance
    */
-  constructor(dataService, chartService, uiService, stateManager) {
+  constructor(dataService, chartService, uiService, stateManager, presetController, columnController, languageService, exportService) {
     this._dataService = dataService;
     this._chartService = chartService;
     this._uiService = uiService;
     this._stateManager = stateManager;
+    this._presetController = presetController;
+    this._columnController = columnController;
+    this._languageService = languageService;
+    this._exportService = exportService;
     
     this._playerCharts = {};
     this._comparisonData = [];
+    
+    // Players table, kept to replace its rows when the filters change
+    this._playersTable = null;
+    this._playersTableKey = null;
+    
+    // Set while the filter form updates the filters, so only the table is refreshed
+    this._filtersFromForm = false;
+    
+    // Height of the scrolling players table (pixels)
+    this._playersTableHeight = 600;
+    
+    // Sort used until the user picks one
+    this._defaultSort = [{ column: 'score', ascending: false }];
+    
+    // Cell edit waiting for its reason, so a dialog closed without saving is not applied later
+    this._pendingCellEdit = null;
   }
   
   /**
@@ -126,28 +150,53 @@ export class PlayerController {
    * @param {Object} filters - Filter criteria
    */
   filterPlayers(filters) {
-    // Update state
+    // Update state (the filters subscription refreshes the table)
+    this._filtersFromForm = true;
     this._stateManager.setState('filters', {
       ...this._stateManager.getState('filters'),
       ...filters
     });
-    
-    // Re-render players view
-    this._renderPlayersView();
+    this._filtersFromForm = false;
   }
   
   /**
    * Sort players by column
    * @param {string} column - Column to sort by
    * @param {boolean} ascending - Sort direction
+   * @param {Array} sort - Full sort ({ column, ascending }, first one sorted first) replacing the single column
    */
-  sortPlayers(column, ascending = true) {
+  sortPlayers(column, ascending = true, sort = null) {
     // Update state
-    this._stateManager.setState('players.sortColumn', column);
-    this._stateManager.setState('players.sortAscending', ascending);
+    this._stateManager.setState('playersSort', sort || [{ column, ascending }]);
+    
+    // Re-render players table
+    this._updatePlayersTable();
+  }
+  
+  /**
+   * Download the filtered players in the current sort order with the visible columns
+   * @param {string} format - Export format (csv, json or xlsx)
+   */
+  exportPlayers(format) {
+    const filters = this._stateManager.getState('filters');
+    const movements = this._getPlayerMovements(filters);
+    const players = this._getSortedPlayers(filters, movements);
+    const columns = this._columnController.getColumns('players', this._getPlayerColumns(movements));
+    
+    const exported = this._exportService.exportTable(
+      players,
+      columns,
+      format,
+      `players-${new Date().toISOString().slice(0, 10)}`,
+      { sheetName: this._languageService.translate('players.title') }
+    );
     
-    // Re-render players view
-    this._renderPlayersView();
+    if (exported) {
+      this._uiService.showNotification(
+        this._languageService.translate('export.done', { count: players.length }),
+        'success'
+      );
+    }
   }
   
   /**
@@ -246,6 +295,25 @@ export class PlayerController {
     this._createComparisonCharts();
   }
   
+  /**
+   * Show players that are probably the same person for review
+   * Merges and dismissals apply immediately.
+   */
+  showDuplicateReview() {
+    const content = document.createElement('div');
+    content.className = 'duplicate-review';
+    
+    this._renderDuplicateCandidates(content);
+    
+    this._uiService.showModal('Possible Duplicates', content, [
+      {
+        text: 'Close',
+        action: 'close',
+        primary: false
+      }
+    ]);
+  }
+  
   /**
    * Clear all players from comparison
    */
@@ -278,6 +346,13 @@ export class PlayerController {
       return;
     }
     
+    // Keep typing in the search box across re-renders
+    const searchFocused = Boolean(document.activeElement) && document.activeElement.id === 'filter-playerSearch';
+    
+    // Keep an open server or alliance list open while values are picked
+    const openPanel = playersContainer.querySelector('.multiselect-panel:not([hidden])');
+    const openMultiSelect = openPanel ? openPanel.parentElement.dataset.name : null;
+    
     // Clear previous content
     playersContainer.innerHTML = '';
     
@@ -286,37 +361,94 @@ export class PlayerController {
     controlsContainer.className = 'players-controls';
     playersContainer.appendChild(controlsContainer);
     
+    const filters = this._stateManager.getState('filters');
+    
     // Add filter UI
     this._uiService.createFilterUI(controlsContainer, {
       playerSearch: {
         type: 'text',
         label: 'Search Players',
-        placeholder: 'Enter player name'
+        placeholder: 'Name or query, e.g. alliance:"Alpha Legion" score>10000',
+        value: filters.playerSearch || ''
       },
       selectedServer: {
-        type: 'select',
-        label: 'Server',
-        options: [
-          { value: '', label: 'All Servers' },
-          ...this._dataService.getServers().map(server => ({ 
-            value: server, 
-            label: server 
-          }))
-        ]
+        type: 'multiselect',
+        label: 'Servers',
+        value: filters.selectedServer,
+        allLabel: 'All Servers',
+        includeLabel: 'Only selected servers',
+        excludeLabel: 'All except selected servers',
+        options: this._dataService.getServers().map(server => ({ 
+          value: server, 
+          label: server 
+        }))
       },
       selectedAlliance: {
-        type: 'select',
-        label: 'Alliance',
-        options: [
-          { value: '', label: 'All Alliances' },
-          ...this._dataService.getAlliances().map(alliance => ({ 
-            value: alliance, 
-            label: alliance 
-          }))
-        ]
+        type: 'multiselect',
+        label: 'Alliances',
+        value: filters.selectedAlliance,
+        allLabel: 'All Alliances',
+        includeLabel: 'Only selected alliances',
+        excludeLabel: 'All except selected alliances',
+        options: this._dataService.getAlliances().map(alliance => ({ 
+          value: alliance, 
+          label: alliance 
+        }))
       }
     }, this.filterPlayers.bind(this));
     
+    // Saved filter presets
+    this._presetController.createPresetControls(controlsContainer);
+    
+    // Column chooser with computed columns
+    this._columnController.createColumnButton(
+      controlsContainer,
+      'players',
+      this._getPlayerColumns(this._getPlayerMovements(filters)),
+      () => this._updatePlayersTable()
+    );
+    
+    // Export of the filtered players as shown in the table
+    const exportSelect = document.createElement('select');
+    exportSelect.className = 'export-select';
+    exportSelect.title = this._languageService.translate('export.title');
+    
+    [['', 'analytics.export'], ...this._exportService.getFormats().map(format => [format, `analytics.export_${format}`])]
+      .forEach(([value, key]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = this._languageService.translate(key);
+        exportSelect.appendChild(option);
+      });
+    
+    exportSelect.addEventListener('change', () => {
+      if (!exportSelect.value) return;
+      
+      this.exportPlayers(exportSelect.value);
+      exportSelect.value = '';
+    });
+    controlsContainer.appendChild(exportSelect);
+    
+    // Query syntax errors are shown below the search box
+    const queryStatus = document.createElement('div');
+    queryStatus.className = 'players-query-status';
+    controlsContainer.appendChild(queryStatus);
+    
+    if (openMultiSelect) {
+      const multiSelect = controlsContainer.querySelector(`.multiselect[data-name="${openMultiSelect}"]`);
+      if (multiSelect) {
+        multiSelect.setOpen(true);
+      }
+    }
+    
+    if (searchFocused) {
+      const searchInput = document.getElementById('filter-playerSearch');
+      if (searchInput) {
+        searchInput.focus();
+        searchInput.setSelectionRange(searchInput.value.length, searchInput.value.length);
+      }
+    }
+    
     // Add comparison button and badge
     const comparisonButton = document.createElement('button');
     comparisonButton.className = 'comparison-button';
@@ -327,6 +459,16 @@ export class PlayerController {
     
     controlsContainer.appendChild(comparisonButton);
     
+    // Add duplicate review button
+    const duplicatesButton = document.createElement('button');
+    duplicatesButton.className = 'duplicates-button';
+    duplicatesButton.textContent = 'Review Duplicates';
+    duplicatesButton.addEventListener('click', () => {
+      this.showDuplicateReview();
+    });
+    
+    controlsContainer.appendChild(duplicatesButton);
+    
     // Update badge count
     const badge = document.getElementById('comparison-badge');
     if (badge) {
@@ -334,39 +476,45 @@ export class PlayerController {
       badge.style.display = this._comparisonData.length > 0 ? 'block' : 'none';
     }
     
-    // Get filtered players
+    // Players table
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'players-table-container';
+    playersContainer.appendChild(tableContainer);
+    
+    this._playersTable = null;
+    this._updatePlayersTable();
+  }
+  
+  /**
+   * Update the query status and the players table for the current filters
+   * Only the rows are replaced while the table columns and sort stay the same.
+   * @private
+   */
+  _updatePlayersTable() {
+    const tableContainer = document.querySelector('#players-container .players-table-container');
+    if (!tableContainer) {
+      this._renderPlayersView();
+      return;
+    }
+    
     const filters = this._stateManager.getState('filters');
-    const players = this._dataService.getFilteredPlayers(filters);
-    
-    // Sort players if needed
-    const sortColumn = this._stateManager.getState('players.sortColumn') || 'score';
-    const sortAscending = this._stateManager.getState('players.sortAscending') || false;
-    
-    const sortedPlayers = [...players].sort((a, b) => {
-      let valueA = a[sortColumn];
-      let valueB = b[sortColumn];
-      
-      // Handle string vs number sorting
-      if (typeof valueA === 'string') {
-        return sortAscending 
-          ? valueA.localeCompare(valueB) 
-          : valueB.localeCompare(valueA);
-      } else {
-        return sortAscending 
-          ? valueA - valueB 
-          : valueB - valueA;
+    
+    // Report query syntax errors below the search box
+    const queryStatus = document.querySelector('#players-container .players-query-status');
+    if (queryStatus) {
+      queryStatus.innerHTML = '';
+      const queryError = this._dataService.checkPlayerQuery(filters.playerSearch);
+      if (queryError) {
+        queryStatus.appendChild(this._createQueryError(filters.playerSearch, queryError));
       }
-    });
+    }
     
-    // Create players table
-    const columns = [
-      { key: 'name', label: 'Player' },
-      { key: 'alliance', label: 'Alliance' },
-      { key: 'server', label: 'Server' },
-      { key: 'score', label: 'Score' },
-      { key: 'chests', label: 'Chests' },
-      { key: 'ratio', label: 'Ratio', format: value => value.toFixed(2) }
-    ];
+    const movements = this._getPlayerMovements(filters);
+    const sort = this._getPlayersSort();
+    const sortedPlayers = this._getSortedPlayers(filters, movements);
+    
+    // Create players table with the saved column order, visibility and computed columns
+    const columns = this._columnController.getColumns('players', this._getPlayerColumns(movements));
     
     const actions = [
       { 
@@ -381,32 +529,295 @@ export class PlayerController {
       }
     ];
     
-    const table = this._uiService.createTable(
-      sortedPlayers, 
-      columns, 
-      {
-        sortable: true,
-        actions: actions,
-        onSort: this.sortPlayers.bind(this),
-        currentSort: {
-          column: sortColumn,
-          ascending: sortAscending
-        }
-      }
-    );
+    // Replace only the rows if the columns and sort did not change
+    const tableKey = `${columns.map(column => column.key).join(',')}|${JSON.stringify(sort)}`;
     
-    // Add table to container
-    playersContainer.appendChild(table);
+    if (this._playersTable && this._playersTable.isConnected && this._playersTableKey === tableKey) {
+      this._playersTable.setData(sortedPlayers);
+    } else {
+      tableContainer.innerHTML = '';
+      
+      this._playersTable = this._uiService.createTable(
+        sortedPlayers, 
+        columns, 
+        {
+          sortable: true,
+          actions: actions,
+          onSort: this.sortPlayers.bind(this),
+          currentSort: sort,
+          // Corrections are confirmed with a reason and marked in the table
+          onCellEdit: this._confirmCellEdit.bind(this),
+          getEditNote: (player, key) => (player.importedValues && key in player.importedValues
+            ? this._languageService.translate('correction.edit_note', {
+              value: player.importedValues[key] === '' ? '–' : player.importedValues[key]
+            })
+            : null),
+          editHint: this._languageService.translate('correction.edit_hint'),
+          // Only the visible rows are rendered, so thousands of players stay responsive
+          virtual: { height: this._playersTableHeight },
+          pagination: {
+            pageSize: this._stateManager.getState('playersPageSize') || 0,
+            onPageSizeChange: (pageSize) => this._stateManager.setState('playersPageSize', pageSize)
+          }
+        }
+      );
+      this._playersTableKey = tableKey;
+      
+      tableContainer.appendChild(this._playersTable);
+    }
     
     // Show no results message if needed
+    const previousNoResults = tableContainer.querySelector('.no-results-message');
+    if (previousNoResults) {
+      previousNoResults.remove();
+    }
+    
     if (sortedPlayers.length === 0) {
       const noResults = document.createElement('div');
       noResults.className = 'no-results-message';
       noResults.textContent = 'No players found matching the current filters.';
-      playersContainer.appendChild(noResults);
+      tableContainer.appendChild(noResults);
     }
   }
   
+  /**
+   * Get the sort of the players table
+   * @returns {Array} Sort ({ column, ascending }, first one sorted first)
+   * @private
+   */
+  _getPlayersSort() {
+    const storedSort = this._stateManager.getState('playersSort');
+    return Array.isArray(storedSort) && storedSort.length > 0 ? storedSort : this._defaultSort;
+  }
+  
+  /**
+   * Get the filtered players with their leaderboard rank, sorted like the table
+   * @param {Object} filters - Current filters
+   * @param {Map|null} movements - Leaderboard movement per player ID
+   * @returns {Array} Sorted players
+   * @private
+   */
+  _getSortedPlayers(filters, movements) {
+    const players = this._dataService.getFilteredPlayers(filters).map(player => (
+      movements && movements.has(player.id) ? { ...player, scoreRank: movements.get(player.id).rank } : player
+    ));
+    
+    // Sort players by one or more columns
+    return this._sortPlayers(players, this._getPlayersSort());
+  }
+  
+  /**
+   * Sort players by several columns
+   * Ties keep their previous order, so the sort is stable.
+   * @param {Array} players - Players
+   * @param {Array} sort - Sort ({ column, ascending }, first one sorted first)
+   * @returns {Array} Sorted players
+   * @private
+   */
+  _sortPlayers(players, sort) {
+    return players
+      .map((player, index) => ({ player, index }))
+      .sort((a, b) => {
+        for (const { column, ascending } of sort) {
+          const result = this._compareValues(a.player[column], b.player[column], ascending);
+          if (result !== 0) {
+            return result;
+          }
+        }
+        
+        return a.index - b.index;
+      })
+      .map(entry => entry.player);
+  }
+  
+  /**
+   * Compare two cell values
+   * Missing values (e.g. a computed column dividing by zero) come last in both directions.
+   * @param {*} valueA - First value
+   * @param {*} valueB - Second value
+   * @param {boolean} ascending - Sort direction
+   * @returns {number} Comparison result
+   * @private
+   */
+  _compareValues(valueA, valueB, ascending) {
+    const missingA = valueA === null || valueA === undefined;
+    const missingB = valueB === null || valueB === undefined;
+    if (missingA || missingB) {
+      return missingA - missingB;
+    }
+    
+    // Numbers by value, text by the collation of the current language
+    const result = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : this._languageService.compareStrings(valueA, valueB);
+    
+    return ascending ? result : -result;
+  }
+  
+  /**
+   * Get the leaderboard movement since the previous load
+   * Only comparable on the all-time leaderboard, so no movement is returned for a date range.
+   * @param {Object} filters - Current filters
+   * @returns {Map|null} Movement per player ID
+   * @private
+   */
+  _getPlayerMovements(filters) {
+    return this._dataService.resolveDateRange(filters.dateRange)
+      ? null
+      : this._dataService.getRankMovements('score');
+  }
+  
+  /**
+   * Get the default columns of the players table
+   * @param {Map|null} movements - Leaderboard movement per player ID
+   * @returns {Array} Column configuration
+   * @private
+   */
+  _getPlayerColumns(movements) {
+    // Totals are corrected as all-time totals, so they are only editable without a date range
+    const allTime = !this._dataService.resolveDateRange(this._stateManager.getState('filters').dateRange);
+    
+    return [
+      ...(movements ? [{
+        key: 'scoreRank',
+        label: this._languageService.translate('players.rank'),
+        labelKey: 'players.rank',
+        render: (value, player) => {
+          const cell = document.createElement('span');
+          cell.className = 'rank-cell';
+          cell.textContent = value || '';
+          cell.appendChild(this._uiService.createRankMovement(movements.get(player.id), {
+            newEntry: this._languageService.translate('rank.new'),
+            previous: this._languageService.translate('rank.previous')
+          }));
+          return cell;
+        }
+      }] : []),
+      { key: 'name', label: 'Player', labelKey: 'players.name' },
+      { key: 'alliance', label: 'Alliance', labelKey: 'players.alliance', editable: 'text' },
+      { key: 'server', label: 'Server', labelKey: 'players.server', editable: 'text' },
+      { key: 'score', label: 'Score', labelKey: 'players.score', editable: allTime ? 'number' : null },
+      { key: 'chests', label: 'Chests', labelKey: 'players.chests', editable: allTime ? 'number' : null },
+      { key: 'ratio', label: 'Ratio', labelKey: 'players.ratio', format: value => value.toFixed(2) }
+    ];
+  }
+  
+  /**
+   * Ask for the reason of a cell edit and save it as a correction
+   * @param {Object} player - Edited player
+   * @param {string} field - Edited field
+   * @param {string} value - Entered value
+   * @private
+   */
+  _confirmCellEdit(player, field, value) {
+    const label = this._getFieldLabel(field);
+    
+    const content = document.createElement('div');
+    content.className = 'cell-edit-dialog';
+    
+    const change = document.createElement('p');
+    change.textContent = this._languageService.translate('correction.change', {
+      field: label,
+      player: player.name,
+      old: player[field],
+      new: value
+    });
+    content.appendChild(change);
+    
+    const reasonLabel = document.createElement('label');
+    reasonLabel.textContent = this._languageService.translate('correction.reason');
+    
+    const reasonInput = document.createElement('input');
+    reasonInput.type = 'text';
+    reasonInput.placeholder = this._languageService.translate('correction.reason_placeholder');
+    reasonLabel.appendChild(reasonInput);
+    content.appendChild(reasonLabel);
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = this._languageService.translate('correction.hint');
+    content.appendChild(hint);
+    
+    this._uiService.showModal(this._languageService.translate('correction.dialog_title', { field: label }), content, [
+      {
+        text: this._languageService.translate('app.cancel'),
+        action: 'close',
+        primary: false
+      },
+      {
+        text: this._languageService.translate('correction.save'),
+        action: 'save-correction',
+        primary: true
+      }
+    ]);
+    
+    reasonInput.focus();
+    
+    const edit = { playerId: player.id, field, value };
+    this._pendingCellEdit = edit;
+    
+    document.addEventListener('modal-action', (event) => {
+      if (event.detail.action !== 'save-correction' || this._pendingCellEdit !== edit) return;
+      this._pendingCellEdit = null;
+      
+      try {
+        if (this._dataService.setPlayerOverride(edit.playerId, edit.field, edit.value, reasonInput.value)) {
+          this._uiService.showNotification(
+            this._languageService.translate('correction.saved', { field: label, player: player.name }),
+            'success'
+          );
+        }
+      } catch (error) {
+        console.error('Failed to save correction:', error);
+        this._uiService.showNotification(
+          `${this._languageService.translate('correction.save_failed')}: ${error.message}`,
+          'error'
+        );
+      }
+    }, { once: true });
+  }
+  
+  /**
+   * Get the table label of a player field
+   * @param {string} field - Player field
+   * @returns {string} Label
+   * @private
+   */
+  _getFieldLabel(field) {
+    const column = this._getPlayerColumns(null).find(c => c.key === field);
+    return column ? this._languageService.translate(column.labelKey) : field;
+  }
+  
+  /**
+   * Create the inline message for a query syntax error, highlighting the offending part
+   * @param {string} query - Query text
+   * @param {Object} error - Syntax error ({ message, position, length })
+   * @returns {HTMLElement} Error element
+   * @private
+   */
+  _createQueryError(query, error) {
+    const container = document.createElement('div');
+    container.className = 'query-error';
+    container.setAttribute('role', 'alert');
+    
+    const message = document.createElement('span');
+    message.className = 'query-error-message';
+    message.textContent = `Query error: ${error.message}`;
+    container.appendChild(message);
+    
+    const code = document.createElement('code');
+    code.appendChild(document.createTextNode(query.slice(0, error.position)));
+    
+    const mark = document.createElement('mark');
+    mark.textContent = query.slice(error.position, error.position + error.length) || ' ';
+    code.appendChild(mark);
+    
+    code.appendChild(document.createTextNode(query.slice(error.position + error.length)));
+    container.appendChild(code);
+    
+    return container;
+  }
+  
   /**
    * Create player details content
    * @param {Object} player - Player data
@@ -504,11 +915,363 @@ export class PlayerController {
     
     chartsSection.appendChild(comparisonChartContainer);
     
+    // History chart
+    const historyChartContainer = document.createElement('div');
+    historyChartContainer.className = 'chart-container player-history-container';
+    historyChartContainer.id = 'player-history-chart';
+    
+    const historyTitle = document.createElement('h3');
+    historyTitle.textContent = 'History';
+    historyChartContainer.appendChild(historyTitle);
+    
+    chartsSection.appendChild(historyChartContainer);
+    
     content.appendChild(chartsSection);
     
+    // Chest breakdown section
+    content.appendChild(this._createChestBreakdownSection(player));
+    
+    // Alliance membership timeline
+    const allianceHistory = this._dataService.getAllianceHistory(player.id);
+    if (allianceHistory.length > 0) {
+      content.appendChild(this._createAllianceTimeline(allianceHistory));
+    }
+    
+    // Merged aliases
+    const merges = this._dataService.getPlayerMerges(player.id);
+    if (merges.length > 0) {
+      content.appendChild(this._createAliasSection(merges));
+    }
+    
+    // Manual corrections and their audit trail
+    const audit = this._dataService.getOverrideAudit(player.id);
+    if (audit.length > 0) {
+      content.appendChild(this._createCorrectionSection(player, audit));
+    }
+    
     return content;
   }
   
+  /**
+   * Create the alliance membership timeline
+   * @param {Array} periods - Membership periods, oldest first
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createAllianceTimeline(periods) {
+    const section = document.createElement('div');
+    section.className = 'player-alliance-section';
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Alliance History';
+    section.appendChild(title);
+    
+    // Segments sized by the length of each membership (the current one lasts until now)
+    const now = Date.now();
+    const start = new Date(periods[0].from).getTime();
+    const span = Math.max(now - start, 1);
+    const colorIndexes = new Map();
+    
+    const bar = document.createElement('div');
+    bar.className = 'alliance-timeline';
+    
+    const list = document.createElement('ul');
+    list.className = 'alliance-timeline-list';
+    
+    periods.forEach(period => {
+      const from = new Date(period.from);
+      const to = period.to ? new Date(period.to) : null;
+      const name = period.alliance || 'No alliance';
+      const range = to
+        ? `${from.toLocaleDateString()} – ${to.toLocaleDateString()}`
+        : `since ${from.toLocaleDateString()}`;
+      
+      // Same alliance, same color
+      if (!colorIndexes.has(period.alliance)) {
+        colorIndexes.set(period.alliance, colorIndexes.size % 4);
+      }
+      const colorClass = period.alliance ? `alliance-color-${colorIndexes.get(period.alliance)}` : 'alliance-none';
+      
+      const segment = document.createElement('div');
+      segment.className = `alliance-segment ${colorClass}`;
+      segment.style.flexGrow = Math.max(((to ? to.getTime() : now) - from.getTime()) / span, 0.02);
+      segment.title = `${name}: ${range}`;
+      bar.appendChild(segment);
+      
+      const item = document.createElement('li');
+      item.innerHTML = `<span class="alliance-swatch ${colorClass}"></span><strong></strong> ${range}`;
+      item.querySelector('strong').textContent = name;
+      list.appendChild(item);
+    });
+    
+    section.appendChild(bar);
+    section.appendChild(list);
+    
+    return section;
+  }
+  
+  /**
+   * Create the list of names merged into a player, each merge with an undo button
+   * @param {Array} merges - Merges from the data service
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createAliasSection(merges) {
+    const section = document.createElement('div');
+    section.className = 'player-alias-section';
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Also Known As';
+    section.appendChild(title);
+    
+    const list = document.createElement('ul');
+    list.className = 'player-alias-list';
+    
+    merges.forEach(merge => {
+      const item = document.createElement('li');
+      
+      const names = document.createElement('span');
+      names.textContent = `${merge.aliases.map(alias => alias.name).join(', ')} (merged ${new Date(merge.mergedAt).toLocaleDateString()})`;
+      item.appendChild(names);
+      
+      const undoButton = document.createElement('button');
+      undoButton.className = 'btn btn-secondary';
+      undoButton.textContent = 'Undo Merge';
+      undoButton.addEventListener('click', () => {
+        if (this._dataService.undoMerge(merge.mergeId)) {
+          this._uiService.hideModal();
+          this._uiService.showNotification('Merge undone', 'success');
+        }
+      });
+      item.appendChild(undoButton);
+      
+      list.appendChild(item);
+    });
+    
+    section.appendChild(list);
+    
+    return section;
+  }
+  
+  /**
+   * Create the list of corrected fields, each with a revert button, followed by the audit trail
+   * @param {Object} player - Player data
+   * @param {Array} audit - Audit entries of the player, newest first
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createCorrectionSection(player, audit) {
+    const section = document.createElement('div');
+    section.className = 'player-correction-section';
+    
+    const title = document.createElement('h3');
+    title.textContent = this._languageService.translate('correction.title');
+    section.appendChild(title);
+    
+    const overrides = this._dataService.getPlayerOverrides(player.id);
+    const importedValues = player.importedValues || {};
+    const formatValue = value => (value === null || value === undefined || value === '' ? '–' : value);
+    
+    const list = document.createElement('ul');
+    list.className = 'player-correction-list';
+    
+    Object.entries(overrides).forEach(([field, value]) => {
+      const item = document.createElement('li');
+      
+      const text = document.createElement('span');
+      text.textContent = field in importedValues
+        ? `${this._getFieldLabel(field)}: ${this._languageService.translate('correction.imported', {
+          value,
+          imported: formatValue(importedValues[field])
+        })}`
+        : `${this._getFieldLabel(field)}: ${value}`;
+      item.appendChild(text);
+      
+      const revertButton = document.createElement('button');
+      revertButton.className = 'btn btn-secondary';
+      revertButton.textContent = this._languageService.translate('correction.revert');
+      revertButton.addEventListener('click', () => {
+        try {
+          this._dataService.revertPlayerOverride(player.id, field);
+          this._uiService.hideModal();
+          this._uiService.showNotification(
+            this._languageService.translate('correction.reverted', { field: this._getFieldLabel(field), player: player.name }),
+            'success'
+          );
+        } catch (error) {
+          console.error('Failed to revert correction:', error);
+          this._uiService.showNotification(
+            `${this._languageService.translate('correction.revert_failed')}: ${error.message}`,
+            'error'
+          );
+        }
+      });
+      item.appendChild(revertButton);
+      
+      list.appendChild(item);
+    });
+    
+    if (list.children.length > 0) {
+      section.appendChild(list);
+    }
+    
+    // Every edit and revert with its reason
+    const history = document.createElement('ol');
+    history.className = 'correction-audit';
+    
+    audit.forEach(entry => {
+      const item = document.createElement('li');
+      const change = `${this._getFieldLabel(entry.field)}: ${formatValue(entry.oldValue)} → ${formatValue(entry.newValue)}`;
+      
+      const action = this._languageService.translate(entry.type === 'revert' ? 'correction.audit_revert' : 'correction.audit_edit');
+      
+      item.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${action} ${change}`;
+      
+      if (entry.reason) {
+        const reason = document.createElement('span');
+        reason.className = 'correction-reason';
+        reason.textContent = ` – ${entry.reason}`;
+        item.appendChild(reason);
+      }
+      
+      history.appendChild(item);
+    });
+    
+    section.appendChild(history);
+    
+    return section;
+  }
+  
+  /**
+   * Render the duplicate candidates into the review dialog
+   * @param {HTMLElement} container - Review content element
+   * @private
+   */
+  _renderDuplicateCandidates(container) {
+    container.innerHTML = '';
+    
+    const candidates = this._dataService.findDuplicateCandidates();
+    
+    if (candidates.length === 0) {
+      const noResults = document.createElement('div');
+      noResults.className = 'no-results-message';
+      noResults.textContent = 'No possible duplicates found.';
+      container.appendChild(noResults);
+      return;
+    }
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = 'Merged players are combined in this and all future imports. Merges can be undone from the player details.';
+    container.appendChild(hint);
+    
+    const describe = player => player.alliance ? `${player.name} (${player.alliance})` : player.name;
+    
+    candidates.forEach(candidate => {
+      const row = document.createElement('div');
+      row.className = 'duplicate-candidate';
+      
+      const names = document.createElement('span');
+      names.className = 'duplicate-names';
+      names.textContent = `${describe(candidate.merge)} → ${describe(candidate.keep)}`;
+      row.appendChild(names);
+      
+      const similarity = document.createElement('span');
+      similarity.className = 'duplicate-similarity';
+      similarity.textContent = `${Math.round(candidate.similarity * 100)}% · ${candidate.keep.server}`;
+      row.appendChild(similarity);
+      
+      // Merge into the more recently active player
+      const mergeButton = document.createElement('button');
+      mergeButton.className = 'btn btn-primary';
+      mergeButton.textContent = 'Merge';
+      mergeButton.title = `Keep ${candidate.keep.name}`;
+      mergeButton.addEventListener('click', () => {
+        if (this._dataService.mergePlayers(candidate.keep.id, [candidate.merge.id])) {
+          this._renderDuplicateCandidates(container);
+        }
+      });
+      row.appendChild(mergeButton);
+      
+      const dismissButton = document.createElement('button');
+      dismissButton.className = 'btn btn-secondary';
+      dismissButton.textContent = 'Not the Same';
+      dismissButton.addEventListener('click', () => {
+        this._dataService.dismissDuplicate(candidate.keep.id, candidate.merge.id);
+        this._renderDuplicateCandidates(container);
+      });
+      row.appendChild(dismissButton);
+      
+      container.appendChild(row);
+    });
+  }
+  
+  /**
+   * Create the chest breakdown section with a chart container and the most frequent chest types
+   * @param {Object} player - Player data
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createChestBreakdownSection(player) {
+    const section = document.createElement('div');
+    section.className = 'player-breakdown-section';
+    
+    const breakdown = this._dataService.getPlayerChestBreakdown(player.id);
+    
+    // Stacked chart (filled in by _createPlayerCharts)
+    const breakdownChartContainer = document.createElement('div');
+    breakdownChartContainer.className = 'chart-container';
+    breakdownChartContainer.id = 'player-breakdown-chart';
+    
+    const breakdownTitle = document.createElement('h3');
+    breakdownTitle.textContent = 'Chests by Source';
+    breakdownChartContainer.appendChild(breakdownTitle);
+    
+    if (breakdown.total === 0) {
+      const emptyMessage = document.createElement('p');
+      emptyMessage.className = 'help-text';
+      emptyMessage.textContent = 'No chest breakdown available for this player.';
+      breakdownChartContainer.appendChild(emptyMessage);
+    }
+    
+    section.appendChild(breakdownChartContainer);
+    
+    // Most frequent chest types
+    if (breakdown.topChests.length > 0) {
+      const topChestsContainer = document.createElement('div');
+      topChestsContainer.className = 'player-top-chests';
+      
+      const topChestsTitle = document.createElement('h3');
+      topChestsTitle.textContent = 'Most Frequent Chests';
+      topChestsContainer.appendChild(topChestsTitle);
+      
+      const columns = [
+        { key: 'name', label: 'Chest' },
+        { key: 'source', label: 'Source', format: value => this._formatChestSource(value) },
+        { key: 'level', label: 'Level' },
+        { key: 'count', label: 'Count' }
+      ];
+      
+      topChestsContainer.appendChild(this._uiService.createTable(breakdown.topChests, columns));
+      section.appendChild(topChestsContainer);
+    }
+    
+    return section;
+  }
+  
+  /**
+   * Format a chest source for display (e.g. "epic monster" -> "Epic Monster")
+   * @param {string} source - Chest source
+   * @returns {string} Display label
+   * @private
+   */
+  _formatChestSource(source) {
+    return String(source)
+      .split(/[\s_-]+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+  
   /**
    * Create player charts
    * @param {Object} player - Player data
@@ -600,6 +1363,120 @@ export class PlayerController {
     if (comparisonChart) {
       this._playerCharts.comparison = comparisonChart.id;
     }
+    
+    // Chest breakdown chart (stacked bar of sources by level)
+    this._createPlayerBreakdownChart(player);
+    
+    // History chart (line chart over stored snapshots)
+    this._createPlayerHistoryChart(player);
+  }
+  
+  /**
+   * Create player history chart from stored snapshots
+   * @param {Object} player - Player data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _createPlayerHistoryChart(player) {
+    const history = await this._dataService.getPlayerHistory(player.id);
+    
+    // Modal may have been closed or switched to another player meanwhile
+    const container = document.getElementById('player-history-chart');
+    if (!container || this._stateManager.getState('currentPlayer') !== player.id) {
+      return;
+    }
+    
+    if (history.length < 2) {
+      const emptyMessage = document.createElement('p');
+      emptyMessage.className = 'help-text';
+      emptyMessage.textContent = 'Not enough history yet. A snapshot is stored each day new data is loaded.';
+      container.appendChild(emptyMessage);
+      return;
+    }
+    
+    const historyData = {
+      series: [
+        {
+          name: 'Score',
+          data: history.map(entry => entry.score)
+        },
+        {
+          name: 'Chests',
+          data: history.map(entry => entry.chests)
+        }
+      ],
+      categories: history.map(entry => entry.date)
+    };
+    
+    const historyChart = this._chartService.createChart(
+      'player-history-chart',
+      'line',
+      historyData,
+      {
+        chart: {
+          height: 250
+        },
+        colors: ['#0266C8', '#F90101'],
+        yaxis: [
+          {
+            title: {
+              text: 'Score'
+            }
+          },
+          {
+            opposite: true,
+            title: {
+              text: 'Chests'
+            }
+          }
+        ]
+      }
+    );
+    
+    if (historyChart) {
+      this._playerCharts.history = historyChart.id;
+    }
+  }
+  
+  /**
+   * Create the stacked chest breakdown chart
+   * @param {Object} player - Player data
+   * @private
+   */
+  _createPlayerBreakdownChart(player) {
+    const breakdown = this._dataService.getPlayerChestBreakdown(player.id);
+    if (breakdown.total === 0) {
+      return;
+    }
+    
+    const breakdownData = {
+      series: breakdown.chart.series,
+      categories: breakdown.chart.categories.map(source => this._formatChestSource(source))
+    };
+    
+    const breakdownChart = this._chartService.createChart(
+      'player-breakdown-chart',
+      'bar',
+      breakdownData,
+      {
+        chart: {
+          height: 250,
+          stacked: true
+        },
+        plotOptions: {
+          bar: {
+            horizontal: true
+          }
+        },
+        legend: {
+          position: 'bottom'
+        }
+      }
+    );
+    
+    if (breakdownChart) {
+      this._playerCharts.breakdown = breakdownChart.id;
+    }
   }
   
   /**
@@ -835,8 +1712,19 @@ export class PlayerController {
       }
     });
     
-    // Listen for filter changes
+    // Listen for filter changes (the filter form already shows its own changes)
     this._stateManager.subscribe('filters', () => {
+      if (this._stateManager.getState('currentView') === 'players') {
+        if (this._filtersFromForm) {
+          this._updatePlayersTable();
+        } else {
+          this._renderPlayersView();
+        }
+      }
+    });
+    
+    // Listen for data changes (loads and imports)
+    this._stateManager.subscribe('processedData', () => {
       if (this._stateManager.getState('currentView') === 'players') {
         this._renderPlayersView();
       }
@@ -0,0 +1,313 @@
+/**
+ * presetController.js
+ * 
+ * Controller for saved filter presets in the TB Chest Analyzer.
+ * Provides the preset dropdown used by the Players and Analytics views and the dialogs to save and manage presets.
+ */
+
+/**
+ * PresetController - Handles the filter preset controls
+ */
+export class PresetController {
+  /**
+   * Initialize the preset controller
+   * @param {Object} presetService - Preset service instance
+   * @param {Object} uiService - UI service instance
+   * @param {Object} languageService - Language service instance
+   */
+  constructor(presetService, uiService, languageService) {
+    this._presetService = presetService;
+    this._uiService = uiService;
+    this._languageService = languageService;
+    
+    // File name used when exporting presets
+    this._exportFileName = 'filter-presets.json';
+  }
+  
+  /**
+   * Create the preset dropdown with save and manage buttons
+   * @param {HTMLElement} container - Container element
+   * @returns {HTMLElement} Controls element
+   */
+  createPresetControls(container) {
+    const controls = document.createElement('div');
+    controls.className = 'preset-controls';
+    
+    // Applying a preset replaces the current filters
+    const select = document.createElement('select');
+    select.className = 'preset-select';
+    select.title = this._languageService.translate('preset.apply');
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      
+      const preset = this._presetService.getPresets().find(p => p.id === select.value);
+      if (preset && this._presetService.applyPreset(preset.id)) {
+        this._uiService.showNotification(
+          this._languageService.translate('preset.applied', { name: preset.name }),
+          'success'
+        );
+      }
+    });
+    controls.appendChild(select);
+    
+    const fillOptions = () => {
+      select.innerHTML = '';
+      
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = this._languageService.translate('preset.placeholder');
+      select.appendChild(placeholder);
+      
+      this._presetService.getPresets().forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        select.appendChild(option);
+      });
+    };
+    fillOptions();
+    
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'preset-save';
+    saveButton.textContent = this._languageService.translate('preset.save');
+    saveButton.addEventListener('click', () => this.showSaveDialog(fillOptions));
+    controls.appendChild(saveButton);
+    
+    const manageButton = document.createElement('button');
+    manageButton.type = 'button';
+    manageButton.className = 'preset-manage';
+    manageButton.textContent = this._languageService.translate('preset.manage');
+    manageButton.addEventListener('click', () => this.showManageDialog(fillOptions));
+    controls.appendChild(manageButton);
+    
+    container.appendChild(controls);
+    return controls;
+  }
+  
+  /**
+   * Ask for a name and save the current filters as a preset
+   * @param {Function} onChange - Callback after the presets changed
+   */
+  showSaveDialog(onChange = null) {
+    const content = document.createElement('div');
+    content.className = 'preset-save-dialog';
+    
+    const label = document.createElement('label');
+    label.textContent = this._languageService.translate('preset.name');
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    label.appendChild(nameInput);
+    content.appendChild(label);
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = this._languageService.translate('preset.save_hint');
+    content.appendChild(hint);
+    
+    this._uiService.showModal(
+      this._languageService.translate('preset.save'),
+      content,
+      [
+        {
+          text: this._languageService.translate('app.cancel'),
+          action: 'close',
+          primary: false
+        },
+        {
+          text: this._languageService.translate('app.save'),
+          action: 'save-preset',
+          primary: true
+        }
+      ]
+    );
+    
+    nameInput.focus();
+    
+    document.addEventListener('modal-action', (event) => {
+      if (event.detail.action !== 'save-preset') return;
+      
+      try {
+        const preset = this._presetService.savePreset(nameInput.value);
+        if (onChange) onChange();
+        
+        this._uiService.showNotification(
+          this._languageService.translate('preset.saved', { name: preset.name }),
+          'success'
+        );
+      } catch (error) {
+        this._uiService.showNotification(error.message, 'error');
+      }
+    }, { once: true });
+  }
+  
+  /**
+   * Show the dialog to rename, delete, export and import presets
+   * @param {Function} onChange - Callback after the presets changed
+   */
+  showManageDialog(onChange = null) {
+    const content = document.createElement('div');
+    content.className = 'preset-manage-dialog';
+    
+    const list = document.createElement('div');
+    list.className = 'preset-list';
+    content.appendChild(list);
+    
+    const refresh = () => {
+      this._renderPresetList(list, refresh);
+      if (onChange) onChange();
+    };
+    this._renderPresetList(list, refresh);
+    
+    // Share presets with other officers
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'btn btn-secondary';
+    exportButton.textContent = this._languageService.translate('preset.export');
+    exportButton.addEventListener('click', () => this._exportPresets());
+    content.appendChild(exportButton);
+    
+    this._uiService.createFileDropZone(content, {
+      label: this._languageService.translate('preset.import_hint'),
+      accept: '.json,application/json',
+      onFiles: (files) => this._importPresets(files[0], refresh)
+    });
+    
+    this._uiService.showModal(
+      this._languageService.translate('preset.manage'),
+      content,
+      [
+        {
+          text: this._languageService.translate('app.close'),
+          action: 'close',
+          primary: true
+        }
+      ]
+    );
+  }
+  
+  /**
+   * Render the editable preset list
+   * @param {HTMLElement} list - List element
+   * @param {Function} refresh - Callback re-rendering the list after a change
+   * @private
+   */
+  _renderPresetList(list, refresh) {
+    list.innerHTML = '';
+    
+    const presets = this._presetService.getPresets();
+    if (presets.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'help-text';
+      empty.textContent = this._languageService.translate('preset.none');
+      list.appendChild(empty);
+      return;
+    }
+    
+    presets.forEach(preset => {
+      const row = document.createElement('div');
+      row.className = 'preset-row';
+      
+      // Renamed when the input loses focus
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = preset.name;
+      nameInput.addEventListener('change', () => {
+        try {
+          if (this._presetService.renamePreset(preset.id, nameInput.value)) {
+            refresh();
+          } else {
+            nameInput.value = preset.name;
+          }
+        } catch (error) {
+          nameInput.value = preset.name;
+          this._uiService.showNotification(error.message, 'error');
+        }
+      });
+      row.appendChild(nameInput);
+      
+      const summary = document.createElement('span');
+      summary.className = 'preset-summary';
+      summary.textContent = this._describeFilters(preset.filters);
+      row.appendChild(summary);
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'btn btn-danger';
+      deleteButton.textContent = this._languageService.translate('app.delete');
+      deleteButton.addEventListener('click', () => {
+        this._presetService.deletePreset(preset.id);
+        refresh();
+      });
+      row.appendChild(deleteButton);
+      
+      list.appendChild(row);
+    });
+  }
+  
+  /**
+   * Describe the filters of a preset in one line
+   * @param {Object} filters - Preset filters
+   * @returns {string} Description
+   * @private
+   */
+  _describeFilters(filters) {
+    const parts = Object.entries(filters)
+      .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0) &&
+        !(value && Array.isArray(value.values) && value.values.length === 0))
+      .map(([key, value]) => {
+        if (key === 'dateRange') {
+          return value.preset === 'custom' ? `${value.start || '…'} – ${value.end || '…'}` : value.preset;
+        }
+        if (value && Array.isArray(value.values)) {
+          return `${value.exclude ? '≠ ' : ''}${value.values.join(', ')}`;
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      });
+    
+    return parts.length > 0 ? parts.join(' · ') : this._languageService.translate('preset.no_filters');
+  }
+  
+  /**
+   * Download all presets as a JSON file
+   * @private
+   */
+  _exportPresets() {
+    const blob = new Blob([this._presetService.exportPresets()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this._exportFileName;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Import presets from a JSON file
+   * @param {File} file - Local JSON file
+   * @param {Function} refresh - Callback re-rendering the list
+   * @private
+   */
+  async _importPresets(file, refresh) {
+    try {
+      if (!file) return;
+      
+      const counts = this._presetService.importPresets(await file.text());
+      refresh();
+      
+      this._uiService.showNotification(
+        this._languageService.translate('preset.imported', counts),
+        counts.rejected > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Failed to import presets:', error);
+      this._uiService.showNotification(
+        `${this._languageService.translate('preset.import_failed')}: ${error.message}`,
+        'error'
+      );
+    }
+  }
+}
\ No newline at end of file
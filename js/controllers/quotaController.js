@@ -0,0 +1,278 @@
+/**
+ * quotaController.js
+ * 
+ * Controller for the quota view in the TB Chest Analyzer.
+ * Lists each player's progress against the weekly chest quota.
+ */
+
+/**
+ * QuotaController - Handles the weekly quota view
+ */
+export class QuotaController {
+  /**
+   * Initialize the quota controller
+   * @param {Object} dataService - Data service instance
+   * @param {Object} uiService - UI service instance
+   * @param {Object} stateManager - State manager instance
+   * @param {Object} languageService - Language service instance
+   */
+  constructor(dataService, uiService, stateManager, languageService) {
+    this._dataService = dataService;
+    this._uiService = uiService;
+    this._stateManager = stateManager;
+    this._languageService = languageService;
+    
+    // Number of weeks shown in the history, including the current week
+    this._weekCount = 8;
+    
+    // Status sort order (players needing attention first)
+    this._statusOrder = { behind: 0, on_track: 1, met: 2, no_data: 3, no_quota: 4 };
+  }
+  
+  /**
+   * Initialize the quota controller
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      console.log('Initializing quota controller...');
+      
+      // Set up state subscriptions
+      this._setupStateSubscriptions();
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize quota controller:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Show the quota view
+   */
+  showView() {
+    if (this._dataService.isDataLoaded()) {
+      this._renderQuotaView();
+    } else {
+      // Show loading message
+      const quotaContainer = document.getElementById('quota-container');
+      if (quotaContainer) {
+        quotaContainer.innerHTML = '<div class="loading-message">Loading data...</div>';
+      }
+      
+      // Try to load data
+      this._dataService.loadData().then(success => {
+        if (success) {
+          this._renderQuotaView();
+        } else if (quotaContainer) {
+          quotaContainer.innerHTML = '<div class="error-message">Failed to load data. Please try again.</div>';
+        }
+      });
+    }
+  }
+  
+  /**
+   * Show only players behind the quota, or all players
+   * @param {boolean} behindOnly - Whether to hide players that met or are on track
+   */
+  setBehindOnly(behindOnly) {
+    this._stateManager.setState('quotaView.behindOnly', behindOnly);
+  }
+  
+  /**
+   * Render the quota view
+   * @private
+   */
+  _renderQuotaView() {
+    // Get quota container
+    const quotaContainer = document.getElementById('quota-container');
+    if (!quotaContainer) {
+      console.error('Quota container not found');
+      return;
+    }
+    
+    // Clear previous content
+    quotaContainer.innerHTML = '';
+    
+    // Header
+    const header = document.createElement('div');
+    header.className = 'view-header';
+    
+    const title = document.createElement('h2');
+    title.textContent = this._languageService.translate('quota.title');
+    header.appendChild(title);
+    
+    quotaContainer.appendChild(header);
+    
+    // Weekly tracking needs dated activity
+    if (!this._dataService.hasEvents()) {
+      const hint = document.createElement('p');
+      hint.className = 'help-text';
+      hint.textContent = this._languageService.translate('quota.needs_events');
+      quotaContainer.appendChild(hint);
+    }
+    
+    const progress = this._dataService.getQuotaProgress({ weeks: this._weekCount });
+    
+    // Summary
+    quotaContainer.appendChild(this._createSummary(progress));
+    
+    // Behind-only toggle
+    const behindOnly = this._stateManager.getState('quotaView.behindOnly') === true;
+    
+    const toggleLabel = document.createElement('label');
+    toggleLabel.className = 'quota-filter';
+    
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = behindOnly;
+    toggle.addEventListener('change', () => this.setBehindOnly(toggle.checked));
+    
+    toggleLabel.appendChild(toggle);
+    toggleLabel.appendChild(document.createTextNode(` ${this._languageService.translate('quota.behind_only')}`));
+    quotaContainer.appendChild(toggleLabel);
+    
+    // Players needing attention first, then by progress
+    const rows = progress
+      .filter(row => !behindOnly || row.status === 'behind')
+      .sort((a, b) => (this._statusOrder[a.status] - this._statusOrder[b.status]) || (a.progress - b.progress));
+    
+    const columns = [
+      { key: 'name', label: this._languageService.translate('players.name') },
+      { key: 'alliance', label: this._languageService.translate('players.alliance') },
+      { key: 'rank', label: this._languageService.translate('quota.rank') },
+      {
+        key: 'chests',
+        label: this._languageService.translate('players.chests'),
+        format: (value, row) => this._formatAgainstTarget(value, row.target.chests)
+      },
+      {
+        key: 'points',
+        label: this._languageService.translate('players.score'),
+        format: (value, row) => this._formatAgainstTarget(value, row.target.points)
+      },
+      {
+        key: 'progress',
+        label: this._languageService.translate('quota.progress'),
+        format: (value, row) => row.status === 'no_quota' || row.status === 'no_data' ? '' : `${Math.round(value * 100)}%`
+      },
+      {
+        key: 'status',
+        label: this._languageService.translate('quota.status'),
+        format: value => this._languageService.translate(`quota.status_${value}`)
+      },
+      {
+        key: 'streak',
+        label: this._languageService.translate('quota.streak'),
+        format: value => this._formatStreak(value)
+      },
+      {
+        key: 'weeks',
+        label: this._languageService.translate('quota.history'),
+        format: value => this._formatWeeks(value)
+      }
+    ];
+    
+    const table = this._uiService.createTable(rows, columns, {
+      rowClass: row => `quota-row quota-${row.status.replace('_', '-')}`
+    });
+    quotaContainer.appendChild(table);
+    
+    // Show no results message if needed
+    if (rows.length === 0) {
+      const noResults = document.createElement('div');
+      noResults.className = 'no-results-message';
+      noResults.textContent = this._languageService.translate('quota.no_players');
+      quotaContainer.appendChild(noResults);
+    }
+  }
+  
+  /**
+   * Create the status summary
+   * @param {Array} progress - Quota progress per player
+   * @returns {HTMLElement} Summary element
+   * @private
+   */
+  _createSummary(progress) {
+    const summary = document.createElement('div');
+    summary.className = 'quota-summary';
+    
+    ['met', 'on_track', 'behind'].forEach(status => {
+      const statElement = document.createElement('div');
+      statElement.className = `quota-stat quota-${status.replace('_', '-')}`;
+      
+      const valueElement = document.createElement('span');
+      valueElement.className = 'stat-value';
+      valueElement.textContent = progress.filter(row => row.status === status).length;
+      
+      const labelElement = document.createElement('span');
+      labelElement.className = 'stat-label';
+      labelElement.textContent = this._languageService.translate(`quota.status_${status}`);
+      
+      statElement.appendChild(valueElement);
+      statElement.appendChild(labelElement);
+      summary.appendChild(statElement);
+    });
+    
+    return summary;
+  }
+  
+  /**
+   * Format a value against its quota target
+   * @param {number} value - Current value
+   * @param {number} target - Target value (0 = not required)
+   * @returns {string} Formatted value
+   * @private
+   */
+  _formatAgainstTarget(value, target) {
+    return target > 0 ? `${value.toLocaleString()} / ${target.toLocaleString()}` : value.toLocaleString();
+  }
+  
+  /**
+   * Format a quota streak
+   * @param {Object} streak - Streak with met flag and number of weeks
+   * @returns {string} Formatted streak
+   * @private
+   */
+  _formatStreak(streak) {
+    if (!streak || streak.count === 0) {
+      return '';
+    }
+    
+    return this._languageService.translate(streak.met ? 'quota.streak_met' : 'quota.streak_missed', {
+      count: streak.count
+    });
+  }
+  
+  /**
+   * Format the weekly history, oldest week first
+   * @param {Array} weeks - Weekly results, newest first
+   * @returns {string} One marker per week (● met, ○ missed)
+   * @private
+   */
+  _formatWeeks(weeks) {
+    return [...weeks].reverse().map(week => week.met ? '●' : '○').join('');
+  }
+  
+  /**
+   * Set up state subscriptions
+   * @private
+   */
+  _setupStateSubscriptions() {
+    // Listen for view changes
+    this._stateManager.subscribe('currentView', (viewId) => {
+      if (viewId === 'quota') {
+        this.showView();
+      }
+    });
+    
+    // Re-render when data, quota settings or the toggle change
+    ['processedData', 'quota', 'quotaView'].forEach(path => {
+      this._stateManager.subscribe(path, () => {
+        if (this._stateManager.getState('currentView') === 'quota') {
+          this._renderQuotaView();
+        }
+      });
+    });
+  }
+}
\ No newline at end of file
@@ -16,13 +16,15 @@ export class SettingsController {
    * @param {Object} languageService - Language service instance
    * @param {Object} dataService - Data service instance
    * @param {Object} errorHandler - Error handler instance
+   * @param {Object} importController - Import controller instance
    */
-  constructor(stateManager, uiService, languageService, dataService, errorHandler) {
+  constructor(stateManager, uiService, languageService, dataService, errorHandler, importController) {
     this._stateManager = stateManager;
     this._uiService = uiService;
     this._languageService = languageService;
     this._dataService = dataService;
     this._errorHandler = errorHandler;
+    this._importController = importController;
     
     // Default settings
     this._defaultSettings = {
@@ -122,19 +124,33 @@ export class SettingsController {
     
     form.appendChild(appearanceSection);
     
+    // Datasets section
+    form.appendChild(this._createDatasetsSection());
+    
     // Data section
     const dataSection = this._createSettingsSection('Data');
     
-    // Data source setting
+    // Data source setting (of the active dataset)
     const dataSourceGroup = this._createSettingGroup(
       'dataSource',
       this._languageService.translate('settings.data_source'),
       'text',
       null,
-      this._stateManager.getState('dataSource') || this._defaultSettings.dataSource
+      this._dataService.getActiveDataset().source || this._defaultSettings.dataSource
     );
     dataSection.appendChild(dataSourceGroup);
     
+    // Local file import
+    const importGroup = document.createElement('div');
+    importGroup.className = 'setting-group';
+    
+    const importLabel = document.createElement('label');
+    importLabel.textContent = this._languageService.translate('import.title');
+    importGroup.appendChild(importLabel);
+    
+    this._importController.createDropZone(importGroup);
+    dataSection.appendChild(importGroup);
+    
     // Auto refresh setting
     const autoRefreshGroup = this._createSettingGroup(
       'autoRefresh',
@@ -183,8 +199,17 @@ export class SettingsController {
     clearCacheGroup.appendChild(clearCacheButton);
     dataSection.appendChild(clearCacheGroup);
     
+    // Storage usage
+    dataSection.appendChild(this._createStorageInfoGroup());
+    
     form.appendChild(dataSection);
     
+    // Quota section
+    form.appendChild(this._createQuotaSection());
+    
+    // Chest catalogue section
+    form.appendChild(this._createChestCatalogueSection());
+    
     // Error reporting section
     const errorSection = this._createSettingsSection('Error Reporting');
     
@@ -302,6 +327,592 @@ export class SettingsController {
     return section;
   }
   
+  /**
+   * Create the datasets section
+   * Changes here apply immediately instead of on save.
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createDatasetsSection() {
+    const section = this._createSettingsSection(this._languageService.translate('dataset.title'));
+    const activeDataset = this._dataService.getActiveDataset();
+    
+    const list = document.createElement('div');
+    list.className = 'dataset-list';
+    
+    this._dataService.getDatasets().forEach(dataset => {
+      const row = document.createElement('div');
+      row.className = `dataset-item${dataset.id === activeDataset.id ? ' active' : ''}`;
+      
+      // Name (renamed on change)
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = dataset.name;
+      nameInput.title = this._languageService.translate('dataset.name');
+      nameInput.addEventListener('change', () => {
+        this._dataService.updateDataset(dataset.id, { name: nameInput.value });
+      });
+      row.appendChild(nameInput);
+      
+      // Source and last load
+      const info = document.createElement('span');
+      info.className = 'help-text';
+      const sourceText = dataset.type === 'file'
+        ? this._languageService.translate('dataset.imported_file', { file: dataset.source })
+        : dataset.source;
+      const loadedText = dataset.lastLoaded
+        ? this._languageService.translate('dataset.last_loaded', { date: new Date(dataset.lastLoaded).toLocaleString() })
+        : this._languageService.translate('dataset.never_loaded');
+      info.textContent = `${sourceText} · ${loadedText}`;
+      row.appendChild(info);
+      
+      // How loads and imports apply to the stored data
+      const modeSelect = document.createElement('select');
+      modeSelect.title = this._languageService.translate('dataset.import_mode');
+      ['replace', 'merge'].forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = this._languageService.translate(`dataset.mode_${mode}`);
+        option.selected = (dataset.importMode || 'replace') === mode;
+        modeSelect.appendChild(option);
+      });
+      modeSelect.addEventListener('change', () => {
+        this._dataService.updateDataset(dataset.id, { importMode: modeSelect.value });
+      });
+      row.appendChild(modeSelect);
+      
+      // Switch button or active marker
+      if (dataset.id === activeDataset.id) {
+        const activeBadge = document.createElement('span');
+        activeBadge.className = 'dataset-active-badge';
+        activeBadge.textContent = this._languageService.translate('dataset.active');
+        row.appendChild(activeBadge);
+      } else {
+        const switchButton = document.createElement('button');
+        switchButton.type = 'button';
+        switchButton.className = 'btn btn-secondary';
+        switchButton.textContent = this._languageService.translate('dataset.activate');
+        switchButton.addEventListener('click', async () => {
+          await this._dataService.switchDataset(dataset.id);
+          this._renderSettingsView();
+        });
+        row.appendChild(switchButton);
+      }
+      
+      // Remove button (not for the last dataset)
+      if (this._dataService.getDatasets().length > 1) {
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-danger';
+        removeButton.title = this._languageService.translate('app.remove');
+        removeButton.innerHTML = '<i class="fas fa-trash"></i>';
+        removeButton.addEventListener('click', () => this._confirmRemoveDataset(dataset));
+        row.appendChild(removeButton);
+      }
+      
+      list.appendChild(row);
+    });
+    
+    section.appendChild(list);
+    
+    // Add a dataset loaded from a URL
+    const addGroup = document.createElement('div');
+    addGroup.className = 'setting-group dataset-add';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = this._languageService.translate('dataset.name');
+    addGroup.appendChild(nameInput);
+    
+    const sourceInput = document.createElement('input');
+    sourceInput.type = 'text';
+    sourceInput.placeholder = this._languageService.translate('dataset.source');
+    addGroup.appendChild(sourceInput);
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-secondary';
+    addButton.textContent = this._languageService.translate('dataset.add');
+    addButton.addEventListener('click', async () => {
+      try {
+        const dataset = this._dataService.addDataset({
+          name: nameInput.value,
+          type: 'url',
+          source: sourceInput.value.trim()
+        });
+        
+        await this._dataService.switchDataset(dataset.id);
+        this._renderSettingsView();
+      } catch (error) {
+        this._uiService.showNotification(error.message, 'error');
+      }
+    });
+    addGroup.appendChild(addButton);
+    
+    section.appendChild(addGroup);
+    
+    return section;
+  }
+  
+  /**
+   * Ask for confirmation and remove a dataset
+   * @param {Object} dataset - Dataset to remove
+   * @private
+   */
+  _confirmRemoveDataset(dataset) {
+    this._uiService.showModal(
+      this._languageService.translate('app.confirm'),
+      this._languageService.translate('dataset.confirm_remove', { name: dataset.name }),
+      [
+        {
+          text: this._languageService.translate('app.cancel'),
+          action: 'close',
+          primary: false
+        },
+        {
+          text: this._languageService.translate('app.remove'),
+          action: 'remove-dataset',
+          primary: true
+        }
+      ]
+    );
+    
+    // Handle modal action
+    document.addEventListener('modal-action', async (event) => {
+      if (event.detail.action === 'remove-dataset') {
+        if (await this._dataService.removeDataset(dataset.id)) {
+          this._renderSettingsView();
+          this._uiService.showNotification(
+            this._languageService.translate('dataset.removed'),
+            'success'
+          );
+        }
+      }
+    }, { once: true });
+  }
+  
+  /**
+   * Create the storage usage group (filled in once the browser reports usage)
+   * @returns {HTMLElement} Setting group element
+   * @private
+   */
+  _createStorageInfoGroup() {
+    const group = document.createElement('div');
+    group.className = 'setting-group storage-info';
+    
+    const label = document.createElement('label');
+    label.textContent = this._languageService.translate('storage.title');
+    group.appendChild(label);
+    
+    const usageElement = document.createElement('p');
+    usageElement.className = 'storage-usage';
+    usageElement.textContent = this._languageService.translate('app.loading');
+    group.appendChild(usageElement);
+    
+    const countsElement = document.createElement('p');
+    countsElement.className = 'help-text';
+    group.appendChild(countsElement);
+    
+    this._dataService.getStorageInfo().then(info => {
+      if (!info.available) {
+        usageElement.textContent = this._languageService.translate('storage.unavailable');
+      } else if (info.usage !== null && info.quota) {
+        usageElement.textContent = this._languageService.translate('storage.usage', {
+          usage: this._formatBytes(info.usage),
+          quota: this._formatBytes(info.quota),
+          percent: (info.usage / info.quota * 100).toFixed(1)
+        });
+      } else {
+        usageElement.textContent = this._languageService.translate('storage.usage_unknown');
+      }
+      
+      countsElement.textContent = this._languageService.translate('storage.counts', {
+        players: info.players.toLocaleString(),
+        events: info.events.toLocaleString(),
+        snapshots: info.snapshots.toLocaleString()
+      });
+      
+      // Last failed write, if any
+      if (info.lastError) {
+        const errorElement = document.createElement('p');
+        errorElement.className = 'storage-error';
+        errorElement.textContent = `${this._languageService.translate('storage.write_failed')}: ${info.lastError}`;
+        group.appendChild(errorElement);
+      }
+    });
+    
+    return group;
+  }
+  
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Number of bytes
+   * @returns {string} Formatted size (e.g. "3.2 MB")
+   * @private
+   */
+  _formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    
+    while (value >= 1024 && unitIndex < units.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+    
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+  }
+  
+  /**
+   * Create the weekly quota section
+   * Quota inputs have no name so they stay out of the general settings.
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createQuotaSection() {
+    const section = this._createSettingsSection(this._languageService.translate('quota.settings_title'));
+    const quota = this._dataService.getQuotaSettings();
+    
+    // Global quota
+    const globalGroup = document.createElement('div');
+    globalGroup.className = 'setting-group quota-global';
+    
+    const globalLabel = document.createElement('label');
+    globalLabel.textContent = this._languageService.translate('quota.global');
+    globalGroup.appendChild(globalLabel);
+    
+    globalGroup.appendChild(this._createQuotaTargetInputs(quota.global));
+    section.appendChild(globalGroup);
+    
+    // Overrides per alliance or rank
+    const overridesGroup = document.createElement('div');
+    overridesGroup.className = 'setting-group';
+    
+    const overridesLabel = document.createElement('label');
+    overridesLabel.textContent = this._languageService.translate('quota.overrides');
+    overridesGroup.appendChild(overridesLabel);
+    
+    const overridesList = document.createElement('div');
+    overridesList.className = 'quota-overrides';
+    overridesGroup.appendChild(overridesList);
+    
+    Object.entries(quota.alliances).forEach(([key, target]) => {
+      overridesList.appendChild(this._createQuotaOverrideRow('alliance', key, target));
+    });
+    Object.entries(quota.ranks).forEach(([key, target]) => {
+      overridesList.appendChild(this._createQuotaOverrideRow('rank', key, target));
+    });
+    
+    // Suggestions for override names
+    [
+      { id: 'quota-alliance-options', values: this._dataService.getAlliances() },
+      { id: 'quota-rank-options', values: this._dataService.getRanks() }
+    ].forEach(list => {
+      const datalist = document.createElement('datalist');
+      datalist.id = list.id;
+      list.values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+      });
+      overridesGroup.appendChild(datalist);
+    });
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-secondary';
+    addButton.textContent = this._languageService.translate('quota.add_override');
+    addButton.addEventListener('click', () => {
+      overridesList.appendChild(this._createQuotaOverrideRow('alliance', '', { chests: 0, points: 0 }));
+    });
+    overridesGroup.appendChild(addButton);
+    
+    section.appendChild(overridesGroup);
+    
+    return section;
+  }
+  
+  /**
+   * Create chest and point inputs for a quota target
+   * @param {Object} target - Quota target ({ chests, points })
+   * @returns {HTMLElement} Inputs element
+   * @private
+   */
+  _createQuotaTargetInputs(target) {
+    const inputs = document.createElement('div');
+    inputs.className = 'quota-target';
+    
+    ['chests', 'points'].forEach(metric => {
+      const label = document.createElement('label');
+      label.textContent = this._languageService.translate(`quota.min_${metric}`);
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.value = target[metric];
+      input.dataset.quotaMetric = metric;
+      
+      label.appendChild(input);
+      inputs.appendChild(label);
+    });
+    
+    return inputs;
+  }
+  
+  /**
+   * Create an editable quota override row
+   * @param {string} scope - Override scope (alliance, rank)
+   * @param {string} key - Alliance name or rank
+   * @param {Object} target - Quota target ({ chests, points })
+   * @returns {HTMLElement} Row element
+   * @private
+   */
+  _createQuotaOverrideRow(scope, key, target) {
+    const row = document.createElement('div');
+    row.className = 'quota-override';
+    
+    const scopeSelect = document.createElement('select');
+    scopeSelect.dataset.quotaField = 'scope';
+    ['alliance', 'rank'].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = this._languageService.translate(`quota.scope_${value}`);
+      scopeSelect.appendChild(option);
+    });
+    scopeSelect.value = scope;
+    row.appendChild(scopeSelect);
+    
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.value = key;
+    keyInput.dataset.quotaField = 'key';
+    keyInput.setAttribute('list', `quota-${scope}-options`);
+    scopeSelect.addEventListener('change', () => {
+      keyInput.setAttribute('list', `quota-${scopeSelect.value}-options`);
+    });
+    row.appendChild(keyInput);
+    
+    row.appendChild(this._createQuotaTargetInputs(target));
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary';
+    removeButton.title = this._languageService.translate('app.remove');
+    removeButton.innerHTML = '<i class="fas fa-times"></i>';
+    removeButton.addEventListener('click', () => row.remove());
+    row.appendChild(removeButton);
+    
+    return row;
+  }
+  
+  /**
+   * Collect and save the quota section of the settings form
+   * @param {HTMLFormElement} form - Settings form
+   * @private
+   */
+  _saveQuotaSettings(form) {
+    const readTarget = (element) => {
+      const target = {};
+      element.querySelectorAll('[data-quota-metric]').forEach(input => {
+        target[input.dataset.quotaMetric] = parseInt(input.value, 10) || 0;
+      });
+      return target;
+    };
+    
+    const quota = { global: { chests: 0, points: 0 }, alliances: {}, ranks: {} };
+    
+    const globalGroup = form.querySelector('.quota-global');
+    if (globalGroup) {
+      quota.global = readTarget(globalGroup);
+    }
+    
+    form.querySelectorAll('.quota-override').forEach(row => {
+      const scope = row.querySelector('[data-quota-field="scope"]').value;
+      const key = row.querySelector('[data-quota-field="key"]').value.trim();
+      
+      if (key) {
+        quota[scope === 'rank' ? 'ranks' : 'alliances'][key] = readTarget(row);
+      }
+    });
+    
+    this._dataService.setQuotaSettings(quota);
+  }
+  
+  /**
+   * Create the chest catalogue section
+   * Catalogue inputs have no name so they stay out of the general settings.
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  _createChestCatalogueSection() {
+    const section = this._createSettingsSection(this._languageService.translate('catalogue.title'));
+    
+    const hint = document.createElement('p');
+    hint.className = 'help-text';
+    hint.textContent = this._languageService.translate('catalogue.hint');
+    section.appendChild(hint);
+    
+    // Editable entries
+    const entriesGroup = document.createElement('div');
+    entriesGroup.className = 'setting-group';
+    
+    const entriesList = document.createElement('div');
+    entriesList.className = 'chest-catalogue';
+    this._dataService.getChestCatalogue().forEach(entry => {
+      entriesList.appendChild(this._createChestCatalogueRow(entry));
+    });
+    entriesGroup.appendChild(entriesList);
+    
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn btn-secondary';
+    addButton.textContent = this._languageService.translate('catalogue.add_chest');
+    addButton.addEventListener('click', () => {
+      entriesList.appendChild(this._createChestCatalogueRow({ name: '', category: '', level: null, points: 0 }));
+    });
+    entriesGroup.appendChild(addButton);
+    
+    section.appendChild(entriesGroup);
+    
+    // Chests seen in the data but missing from the catalogue
+    const unknownChests = this._dataService.getUnknownChests();
+    if (unknownChests.length > 0) {
+      const unknownGroup = document.createElement('div');
+      unknownGroup.className = 'setting-group';
+      
+      const unknownLabel = document.createElement('label');
+      unknownLabel.textContent = this._languageService.translate('catalogue.unknown');
+      unknownGroup.appendChild(unknownLabel);
+      
+      const unknownList = document.createElement('ul');
+      unknownList.className = 'chest-catalogue-unknown';
+      
+      unknownChests.forEach(chest => {
+        const item = document.createElement('li');
+        item.textContent = `${chest.name} (${chest.count}) `;
+        
+        const addChestButton = document.createElement('button');
+        addChestButton.type = 'button';
+        addChestButton.className = 'btn btn-secondary';
+        addChestButton.textContent = this._languageService.translate('app.add');
+        addChestButton.addEventListener('click', () => {
+          entriesList.appendChild(this._createChestCatalogueRow({ name: chest.name, category: '', level: null, points: 0 }));
+          item.remove();
+        });
+        
+        item.appendChild(addChestButton);
+        unknownList.appendChild(item);
+      });
+      
+      unknownGroup.appendChild(unknownList);
+      section.appendChild(unknownGroup);
+    }
+    
+    // JSON import
+    const importGroup = document.createElement('div');
+    importGroup.className = 'setting-group';
+    
+    this._uiService.createFileDropZone(importGroup, {
+      label: this._languageService.translate('catalogue.import_hint'),
+      accept: '.json,application/json',
+      onFiles: (files) => this._importChestCatalogue(files[0])
+    });
+    
+    section.appendChild(importGroup);
+    
+    return section;
+  }
+  
+  /**
+   * Create an editable chest catalogue row
+   * @param {Object} entry - Catalogue entry ({ name, category, level, points })
+   * @returns {HTMLElement} Row element
+   * @private
+   */
+  _createChestCatalogueRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'chest-catalogue-entry';
+    
+    const fields = [
+      { field: 'name', type: 'text', value: entry.name },
+      { field: 'category', type: 'text', value: entry.category },
+      { field: 'level', type: 'number', value: entry.level !== null ? entry.level : '' },
+      { field: 'points', type: 'number', value: entry.points }
+    ];
+    
+    fields.forEach(config => {
+      const input = document.createElement('input');
+      input.type = config.type;
+      input.value = config.value;
+      input.placeholder = this._languageService.translate(`catalogue.${config.field}`);
+      input.title = input.placeholder;
+      input.dataset.catalogueField = config.field;
+      if (config.type === 'number') {
+        input.min = 0;
+      }
+      row.appendChild(input);
+    });
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary';
+    removeButton.title = this._languageService.translate('app.remove');
+    removeButton.innerHTML = '<i class="fas fa-times"></i>';
+    removeButton.addEventListener('click', () => row.remove());
+    row.appendChild(removeButton);
+    
+    return row;
+  }
+  
+  /**
+   * Collect and save the chest catalogue section of the settings form
+   * @param {HTMLFormElement} form - Settings form
+   * @private
+   */
+  _saveChestCatalogue(form) {
+    const entries = [];
+    
+    form.querySelectorAll('.chest-catalogue-entry').forEach(row => {
+      const entry = {};
+      row.querySelectorAll('[data-catalogue-field]').forEach(input => {
+        entry[input.dataset.catalogueField] = input.value.trim();
+      });
+      
+      // Skip rows left empty
+      if (entry.name) {
+        entries.push(entry);
+      }
+    });
+    
+    this._dataService.setChestCatalogue(entries);
+  }
+  
+  /**
+   * Import a chest catalogue JSON file and refresh the view
+   * @param {File} file - Local JSON file
+   * @private
+   */
+  async _importChestCatalogue(file) {
+    try {
+      const result = await this._dataService.importChestCatalogue(file);
+      
+      this._renderSettingsView();
+      this._uiService.showNotification(
+        this._languageService.translate('catalogue.imported', {
+          count: result.count,
+          rejected: result.rejected.length
+        }),
+        result.rejected.length > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Failed to import chest catalogue:', error);
+      this._uiService.showNotification(
+        `${this._languageService.translate('import.failed')}: ${error.message}`,
+        'error'
+      );
+    }
+  }
+  
   /**
    * Create setting group
    * @param {string} name - Setting name
@@ -412,6 +1023,8 @@ export class SettingsController {
       
       // Save settings
       this._saveSettings(settings);
+      this._saveQuotaSettings(form);
+      this._saveChestCatalogue(form);
       
       // Show success notification
       this._uiService.showNotification('Settings saved successfully', 'success');
@@ -526,5 +1139,12 @@ export class SettingsController {
         this.showView();
       }
     });
+    
+    // Dataset switches from the header change the data source shown here
+    this._stateManager.subscribe('activeDataset', () => {
+      if (this._stateManager.getState('currentView') === 'settings') {
+        this._renderSettingsView();
+      }
+    });
   }
 }
\ No newline at end of file
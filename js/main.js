@@ -11,12 +11,25 @@ import { LanguageService } from './services/languageService.js';
 import { StateManager } from './services/stateManager.js';
 import { ChartService } from './services/chartService.js';
 import { UIService } from './services/uiService.js';
+import { StorageService } from './services/storageService.js';
+import { ValidationService } from './services/validationService.js';
+import { QueryService } from './services/queryService.js';
+import { FormulaService } from './services/formulaService.js';
+import { PresetService } from './services/presetService.js';
+import { ExportService } from './services/exportService.js';
+import { RefreshScheduler } from './services/refreshScheduler.js';
 
 // Import controllers
 import { AppController } from './controllers/appController.js';
 import { NavigationController } from './controllers/navigationController.js';
+import { DashboardController } from './controllers/dashboardController.js';
+import { ImportController } from './controllers/importController.js';
 import { AnalyticsController } from './controllers/analyticsController.js';
 import { PlayerController } from './controllers/playerController.js';
+import { QuotaController } from './controllers/quotaController.js';
+import { PresetController } from './controllers/presetController.js';
+import { ColumnController } from './controllers/columnController.js';
+import { SettingsController } from './controllers/settingsController.js';
 
 // Import utils
 import { ErrorHandler } from './utils/errorHandler.js';
@@ -41,24 +54,69 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     const stateManager = new StateManager();
     
-    const dataService = new DataService(stateManager, errorHandler);
+    const storageService = new StorageService(errorHandler);
+    const validationService = new ValidationService();
+    const queryService = new QueryService();
+    const formulaService = new FormulaService();
+    const dataService = new DataService(stateManager, errorHandler, storageService, validationService, queryService, formulaService);
     const chartService = new ChartService(stateManager, errorHandler);
     const uiService = new UIService(languageService, stateManager, errorHandler);
+    const refreshScheduler = new RefreshScheduler(dataService, stateManager, errorHandler);
+    const exportService = new ExportService(languageService, errorHandler);
+    
+    const presetService = new PresetService(stateManager, errorHandler);
+    await presetService.initialize();
     
     // Initialize controllers
     const navigationController = new NavigationController(uiService, stateManager);
+    const presetController = new PresetController(presetService, uiService, languageService);
+    const columnController = new ColumnController(dataService, uiService, languageService);
+    
+    // Local file imports are offered by the dashboard and the settings view
+    const importController = new ImportController(dataService, uiService, languageService);
+    
+    const dashboardController = new DashboardController(
+      dataService,
+      chartService,
+      uiService,
+      stateManager,
+      languageService,
+      importController
+    );
+    
+    const settingsController = new SettingsController(
+      stateManager,
+      uiService,
+      languageService,
+      dataService,
+      errorHandler,
+      importController
+    );
+    
     const analyticsController = new AnalyticsController(
       dataService, 
       chartService, 
       uiService, 
-      stateManager
+      stateManager,
+      presetController
     );
     
     const playerController = new PlayerController(
       dataService,
       chartService,
       uiService,
-      stateManager
+      stateManager,
+      presetController,
+      columnController,
+      languageService,
+      exportService
+    );
+    
+    const quotaController = new QuotaController(
+      dataService,
+      uiService,
+      stateManager,
+      languageService
     );
     
     // Initialize main application controller
@@ -69,7 +127,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       analyticsController,
       playerController,
       stateManager,
-      errorHandler
+      errorHandler,
+      languageService,
+      quotaController,
+      refreshScheduler,
+      dashboardController,
+      settingsController
     );
     
     // Start the application
@@ -13,24 +13,112 @@ export class DataService {
    * Initialize the data service
    * @param {Object} stateManager - State manager instance
    * @param {Object} errorHandler - Error handler instance
+   * @param {Object} storageService - Storage service instance
+   * @param {Object} validationService - Validation service instance
+   * @param {Object} queryService - Query service instance
+   * @param {Object} formulaService - Formula service instance
    */
-  constructor(stateManager, errorHandler) {
+  constructor(stateManager, errorHandler, storageService, validationService, queryService, formulaService) {
     this._stateManager = stateManager;
     this._errorHandler = errorHandler;
+    this._storageService = storageService;
+    this._validationService = validationService;
+    this._queryService = queryService;
+    this._formulaService = formulaService;
     
-    // Data cache
+    // Data cache (source rows as imported, players and events with aliases merged)
+    // Memberships hold the alliance periods seen per source player id ({ name, server, runs })
+    // Digest holds the changes of the last load compared with the load before it
+    // Previous rankings hold the leaderboard positions of the load before it ({ metric: { playerId: rank } })
     this._cache = {
+      sourcePlayers: [],
+      sourceEvents: [],
       players: [],
+      events: [],
+      memberships: {},
+      digest: null,
+      previousRankings: null,
       alliances: [],
       servers: [],
       lastUpdated: null
     };
     
+    // Number of players listed as biggest score gains in the change digest
+    this._digestTopGains = 10;
+    
+    // Data quality report of the latest load ({ source, reviewed, date, report }) and the number of issues in its state summary
+    this._qualityReport = null;
+    this._qualitySampleSize = 5;
+    
+    // Metrics with a leaderboard whose movement is tracked between loads
+    this._rankingMetrics = ['score', 'chests', 'ratio'];
+    
     // Default data source URL
     this._dataSourceUrl = 'data/chest_data.json';
     
+    // Known CSV header names per player field (lower-case, used for header auto-detection)
+    this._csvColumnAliases = {
+      id: ['id', 'player_id', 'playerid', 'player id', 'spieler_id', 'spieler id'],
+      name: ['name', 'player', 'player_name', 'playername', 'player name', 'spieler', 'spielername'],
+      alliance: ['alliance', 'clan', 'guild', 'allianz', 'clan name'],
+      server: ['server', 'realm', 'world', 'welt'],
+      score: ['score', 'points', 'total_score', 'total score', 'punkte', 'punktzahl'],
+      chests: ['chests', 'chest_count', 'chest count', 'total_chests', 'total chests', 'truhen', 'anzahl truhen'],
+      chest: ['chest', 'chest_name', 'chest name', 'chest_type', 'chest type', 'truhe', 'truhenname'],
+      source: ['source', 'chest_source', 'chest source', 'origin', 'quelle'],
+      timestamp: ['timestamp', 'time', 'date', 'opened_at', 'opened at', 'datum', 'zeit'],
+      rank: ['rank', 'role', 'rang', 'rolle'],
+      level: ['level', 'chest_level', 'chest level', 'stufe']
+    };
+    
+    // Column order assumed for CSV files without a header row
+    this._csvDefaultColumnOrder = ['id', 'name', 'alliance', 'server', 'score', 'chests'];
+    
+    // Custom CSV column mapping (field -> header name or column index)
+    this._csvColumnMapping = null;
+    
     // Cache duration in milliseconds (1 hour)
     this._cacheDuration = 60 * 60 * 1000;
+    
+    // Weekly quota (global minimum with per-alliance and per-rank overrides)
+    this._quotaSettings = this._normalizeQuotaSettings(null);
+    
+    // Chest catalogue (name, category, level, points) and its lookup by lower-case name
+    this._chestCatalogue = [];
+    this._chestCatalogueIndex = new Map();
+    
+    // Merged players of the active dataset ({ mergeId, aliasId, aliasName, server, canonicalId, canonicalName, mergedAt })
+    // and player pairs confirmed as different people
+    this._playerAliases = [];
+    this._dismissedDuplicates = [];
+    
+    // Minimum name similarity (0-1) for duplicate candidates
+    this._duplicateThreshold = 0.75;
+    
+    // Registered datasets ({ id, name, type: url|file, source, importMode: replace|merge, lastLoaded }) and the active one
+    this._datasets = [];
+    this._activeDatasetId = 'default';
+    
+    // Player values available to computed column formulas
+    this._formulaFields = {
+      score: player => player.score,
+      chests: player => player.chests,
+      ratio: player => player.ratio,
+      quotaTarget: player => this.getQuotaTarget(player).chests,
+      quotaPoints: player => this.getQuotaTarget(player).points
+    };
+    
+    // User-defined computed columns ({ key, label, formula }) and column layouts per view ({ viewId: [{ key, visible }] })
+    this._computedColumns = [];
+    this._columnLayouts = {};
+    
+    // Player fields that can be corrected by hand and their value types
+    this._editableFields = { alliance: 'text', server: 'text', score: 'number', chests: 'number' };
+    
+    // Manual corrections of the active dataset ({ playerId: { field: value } }) applied on top of every import,
+    // and their audit trail ({ id, type: edit|revert, playerId, playerName, field, oldValue, newValue, reason, timestamp })
+    this._playerOverrides = {};
+    this._overrideAudit = [];
   }
   
   /**
@@ -41,8 +129,24 @@ export class DataService {
     try {
       console.log('Initializing data service...');
       
-      // Load cached data if available
-      this._loadFromCache();
+      // Load the dataset registry
+      this._loadDatasets();
+      
+      // Load player aliases and corrections (applied when the dataset is restored)
+      this._loadPlayerAliases();
+      this._loadPlayerOverrides();
+      
+      // Restore the active dataset (migrating the old localStorage cache once)
+      await this._loadFromStorage();
+      
+      // Load quota configuration
+      this._loadQuotaSettings();
+      
+      // Load computed columns and column layouts
+      this._loadColumnSettings();
+      
+      // Load chest catalogue
+      this._loadChestCatalogue();
       
       // Set up state subscriptions
       this._setupStateSubscriptions();
@@ -57,9 +161,13 @@ export class DataService {
   /**
    * Load data from source
    * @param {boolean} forceRefresh - Force refresh from source
+   * @param {Object} options - Load options
+   * @param {boolean} options.background - Keep the UI usable (no loading overlay, no error notification)
    * @returns {Promise<boolean>} Success status
    */
-  async loadData(forceRefresh = false) {
+  async loadData(forceRefresh = false, options = {}) {
+    const { background = false } = options;
+    
     try {
       // Check if data is already loaded and not expired
       if (!forceRefresh && this.isDataLoaded() && this._isCacheValid()) {
@@ -68,22 +176,77 @@ export class DataService {
       }
       
       // Update loading state
-      this._stateManager.setState('isLoading', true);
+      if (!background) {
+        this._stateManager.setState('isLoading', true);
+      }
+      
+      // Imported files cannot be fetched again
+      const dataset = this.getActiveDataset();
+      if (dataset.type === 'file') {
+        if (this.isDataLoaded()) {
+          this._stateManager.setState('isLoading', false);
+          return true;
+        }
+        
+        throw new Error(`Dataset "${dataset.name}" has no stored data. Import ${dataset.source} again.`);
+      }
       
-      // Get data source URL from state or use default
-      const dataSource = this._stateManager.getState('dataSource') || this._dataSourceUrl;
+      const dataSource = dataset.source;
       
-      // Fetch data
-      const response = await fetch(dataSource);
+      let data;
       
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (this._isCsvSource(dataSource)) {
+        // Download and parse CSV
+        data = await this._readCsv(dataSource, true);
+      } else {
+        // Fetch data
+        const response = await fetch(dataSource);
+        
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        data = await response.json();
       }
       
-      const data = await response.json();
+      // Process data
+      await this._processData(data, dataSource);
+      
+      // Update loading state
+      this._stateManager.setState('isLoading', false);
+      
+      // Update state
+      this._stateManager.setState('dataLoaded', true);
+      
+      return true;
+    } catch (error) {
+      // Handle error
+      this._errorHandler.handleError(error, 'DataService.loadData', !background);
+      
+      // Update loading state
+      this._stateManager.setState('isLoading', false);
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Load player data from a CSV source
+   * @param {string|File|Blob} source - CSV URL or file
+   * @param {Object} options - Import options
+   * @param {Object} options.mapping - Column mapping (field -> header name or column index)
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadCsv(source, options = {}) {
+    try {
+      // Update loading state
+      this._stateManager.setState('isLoading', true);
+      
+      // Parse CSV (URLs are downloaded by PapaParse)
+      const data = await this._readCsv(source, typeof source === 'string', options.mapping);
       
       // Process data
-      await this._processData(data);
+      await this._processData(data, typeof source === 'string' ? source : (source.name || 'csv'));
       
       // Update loading state
       this._stateManager.setState('isLoading', false);
@@ -94,7 +257,7 @@ export class DataService {
       return true;
     } catch (error) {
       // Handle error
-      this._errorHandler.handleError(error, 'DataService.loadData');
+      this._errorHandler.handleError(error, 'DataService.loadCsv');
       
       // Update loading state
       this._stateManager.setState('isLoading', false);
@@ -103,6 +266,118 @@ export class DataService {
     }
   }
   
+  /**
+   * Set the CSV column mapping used for future CSV imports
+   * @param {Object|null} mapping - Column mapping (field -> header name or column index), null for auto-detection
+   */
+  setCsvColumnMapping(mapping) {
+    this._csvColumnMapping = mapping ? { ...mapping } : null;
+    
+    console.log('CSV column mapping updated');
+  }
+  
+  /**
+   * Read a local JSON or CSV file and prepare it for import without replacing the cache
+   * @param {File} file - Local file
+   * @returns {Promise<Object>} Import preview with accepted and rejected rows
+   */
+  async previewImport(file) {
+    let data;
+    
+    if (this._isCsvSource(file)) {
+      // Parse CSV text read from the file
+      const text = await this._readFileAsText(file);
+      data = await this._readCsv(text);
+    } else if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+      const text = await this._readFileAsText(file);
+      data = JSON.parse(text);
+      
+      // Accept a bare array of players as well
+      if (Array.isArray(data)) {
+        data = { players: data };
+      }
+    } else {
+      throw new Error(`Unsupported file type: ${file.name}`);
+    }
+    
+    const result = this._transformData(data, file.name);
+    
+    return {
+      fileName: file.name,
+      unknownChests: this.getUnknownChests(result.events),
+      totalRows: result.acceptedCount + result.rejected.length,
+      acceptedCount: result.acceptedCount,
+      repairedCount: result.report.repaired,
+      playerCount: result.players.length,
+      eventCount: result.events.length,
+      rejectedCount: result.rejected.length,
+      rejected: result.rejected,
+      report: result.report,
+      result
+    };
+  }
+  
+  /**
+   * Replace the cached dataset with a previewed import
+   * @param {Object} preview - Import preview from previewImport
+   * @param {Object} options - Import options
+   * @param {string} options.datasetName - Register the import as a new dataset with this name
+   * @param {string} options.mode - Replace the stored data or merge into it (replace, merge)
+   * @returns {Object|boolean} Merge counts when merging, otherwise true; false on failure
+   */
+  applyImport(preview, options = {}) {
+    try {
+      if (!preview || !preview.result || preview.result.players.length === 0) {
+        throw new Error('Import contains no valid rows');
+      }
+      
+      if (options.datasetName) {
+        const dataset = this.addDataset({ name: options.datasetName, type: 'file', source: preview.fileName });
+        this._activateDataset(dataset.id);
+        
+        // Alliance history belongs to the previous dataset, and its players must not be diffed against the new one
+        this._cache.memberships = {};
+        this._cache.players = [];
+      }
+      
+      // The report was shown in the import preview
+      this._publishQualityReport(preview.result.report, preview.fileName, true);
+      
+      // A new dataset has nothing to merge into
+      if (options.mode === 'merge' && !options.datasetName) {
+        const { result, counts } = this._mergeWithCache(preview.result);
+        this._commitData(result, preview.result);
+        this._stateManager.setState('dataLoaded', true);
+        this._stateManager.setState('lastMerge', counts);
+        
+        console.log(`Merged ${preview.fileName}: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped`);
+        
+        return counts;
+      }
+      
+      this._commitData(preview.result);
+      
+      // Update state
+      this._stateManager.setState('dataLoaded', true);
+      
+      console.log(`Imported ${preview.acceptedCount} players from ${preview.fileName}`);
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.applyImport');
+      return false;
+    }
+  }
+  
+  /**
+   * Count what merging a previewed import into the current data would add, update and skip
+   * @param {Object} preview - Import preview from previewImport
+   * @returns {Object} Counts ({ added, updated, skipped, players, events })
+   */
+  getMergeSummary(preview) {
+    return this._mergeWithCache(preview.result).counts;
+  }
+  
   /**
    * Check if data is loaded
    * @returns {boolean} Data loaded status
@@ -119,37 +394,167 @@ export class DataService {
     return [...this._cache.players];
   }
   
+  /**
+   * Check a player search query for syntax errors
+   * @param {string} query - Query text
+   * @returns {Object|null} Syntax error ({ message, position, length }) or null if the query is valid
+   */
+  checkPlayerQuery(query) {
+    return this._queryService.parse(query, this._computedColumns.map(column => column.key)).error;
+  }
+  
+  /**
+   * Get the player fields computed column formulas can use
+   * @returns {Array<string>} Field names
+   */
+  getFormulaFields() {
+    return Object.keys(this._formulaFields);
+  }
+  
+  /**
+   * Get the functions computed column formulas can use
+   * @returns {Array<string>} Function names
+   */
+  getFormulaFunctions() {
+    return this._formulaService.getFunctions();
+  }
+  
+  /**
+   * Check a computed column formula for syntax errors
+   * @param {string} formula - Formula text (e.g. score / 1000)
+   * @returns {Object|null} Syntax error ({ message, position, length }) or null if the formula is valid
+   */
+  checkFormula(formula) {
+    return this._formulaService.parse(formula, this.getFormulaFields()).error;
+  }
+  
+  /**
+   * Get the computed columns
+   * @returns {Array} Computed columns ({ key, label, formula })
+   */
+  getComputedColumns() {
+    return this._computedColumns.map(column => ({ ...column }));
+  }
+  
+  /**
+   * Add or update a computed column
+   * The key is derived from the label once and used as field name in player search queries.
+   * @param {Object} column - Column ({ key, label, formula }, without key for a new column)
+   * @returns {Object} Saved column
+   */
+  saveComputedColumn(column) {
+    const label = String(column.label || '').trim();
+    const formula = String(column.formula || '').trim();
+    
+    if (!label) {
+      throw new Error('Column name is required');
+    }
+    
+    const error = this.checkFormula(formula);
+    if (error) {
+      throw new Error(error.message);
+    }
+    
+    let saved = column.key ? this._computedColumns.find(c => c.key === column.key) : null;
+    if (saved) {
+      saved.label = label;
+      saved.formula = formula;
+    } else {
+      saved = { key: this._createColumnKey(label), label, formula };
+      this._computedColumns.push(saved);
+    }
+    
+    this._saveColumnSettings();
+    
+    return { ...saved };
+  }
+  
+  /**
+   * Delete a computed column
+   * @param {string} key - Column key
+   * @returns {boolean} Success status
+   */
+  deleteComputedColumn(key) {
+    const index = this._computedColumns.findIndex(column => column.key === key);
+    if (index === -1) {
+      return false;
+    }
+    
+    this._computedColumns.splice(index, 1);
+    
+    // Drop the column from every layout
+    Object.keys(this._columnLayouts).forEach(viewId => {
+      this._columnLayouts[viewId] = this._columnLayouts[viewId].filter(entry => entry.key !== key);
+    });
+    
+    this._saveColumnSettings();
+    return true;
+  }
+  
+  /**
+   * Get the saved column layout of a view
+   * @param {string} viewId - View ID (e.g. players)
+   * @returns {Array|null} Column order and visibility ({ key, visible }) or null if not customized
+   */
+  getColumnLayout(viewId) {
+    const layout = this._columnLayouts[viewId];
+    return layout ? layout.map(entry => ({ ...entry })) : null;
+  }
+  
+  /**
+   * Save the column layout of a view
+   * @param {string} viewId - View ID (e.g. players)
+   * @param {Array|null} layout - Column order and visibility ({ key, visible }), null restores the default
+   * @returns {boolean} Success status
+   */
+  setColumnLayout(viewId, layout) {
+    if (layout) {
+      this._columnLayouts[viewId] = layout
+        .filter(entry => entry && typeof entry.key === 'string')
+        .map(entry => ({ key: entry.key, visible: entry.visible !== false }));
+    } else {
+      delete this._columnLayouts[viewId];
+    }
+    
+    this._saveColumnSettings();
+    return true;
+  }
+  
   /**
    * Get filtered players
+   * The player search accepts the query language of the query service (e.g. alliance:"Alpha Legion" score>10000).
    * @param {Object} filters - Filter criteria
    * @returns {Array} Filtered players
    */
   getFilteredPlayers(filters = {}) {
     try {
-      // Start with all players
-      let filteredPlayers = [...this._cache.players];
+      // Start with all players, aggregated for the date range if one is set
+      let filteredPlayers = this._applyComputedColumns(this._getPlayersInRange(filters ? filters.dateRange : null));
       
       // Apply filters
       if (filters) {
-        // Filter by player name
+        // Filter by search query (queries with syntax errors are ignored until fixed)
         if (filters.playerSearch) {
-          const searchTerm = filters.playerSearch.toLowerCase();
-          filteredPlayers = filteredPlayers.filter(player => 
-            player.name.toLowerCase().includes(searchTerm)
-          );
+          const computedKeys = this._computedColumns.map(column => column.key);
+          const { predicate } = this._queryService.compile(filters.playerSearch, computedKeys);
+          if (predicate) {
+            filteredPlayers = filteredPlayers.filter(predicate);
+          }
         }
         
-        // Filter by server
-        if (filters.selectedServer) {
+        // Filter by servers (a single server, a list, or { values, exclude })
+        const servers = this._normalizeSelection(filters.selectedServer);
+        if (servers) {
           filteredPlayers = filteredPlayers.filter(player => 
-            player.server === filters.selectedServer
+            servers.values.includes(player.server) !== servers.exclude
           );
         }
         
-        // Filter by alliance
-        if (filters.selectedAlliance) {
+        // Filter by alliances (a single alliance, a list, or { values, exclude })
+        const alliances = this._normalizeSelection(filters.selectedAlliance);
+        if (alliances) {
           filteredPlayers = filteredPlayers.filter(player => 
-            player.alliance === filters.selectedAlliance
+            alliances.values.includes(player.alliance || '') !== alliances.exclude
           );
         }
         
@@ -227,291 +632,3542 @@ export class DataService {
    * @returns {Object|null} Player data or null if not found
    */
   getPlayerDetails(playerId) {
-    return this._cache.players.find(player => player.id === playerId) || null;
+    // Prefer the totals for the active date range, fall back to all-time totals
+    const dateRange = this._stateManager.getState('filters.dateRange');
+    return this._getPlayersInRange(dateRange).find(player => player.id === playerId) ||
+      this._cache.players.find(player => player.id === playerId) ||
+      null;
   }
   
   /**
-   * Get all alliances
-   * @returns {Array} Alliances data
+   * Resolve a date range selection into start and end dates
+   * @param {Object|null} dateRange - Date range selection
+   * @param {string} dateRange.preset - Preset (all, this_week, last_week, this_month, custom)
+   * @param {string} dateRange.start - Custom start date (YYYY-MM-DD, inclusive)
+   * @param {string} dateRange.end - Custom end date (YYYY-MM-DD, inclusive)
+   * @returns {Object|null} Range with start (inclusive) and end (exclusive) dates, null for all time
    */
-  getAlliances() {
-    return [...this._cache.alliances];
+  resolveDateRange(dateRange) {
+    if (!dateRange || !dateRange.preset || dateRange.preset === 'all') {
+      return null;
+    }
+    
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const weekStart = this._getWeekStart(today);
+    
+    switch (dateRange.preset) {
+      case 'this_week':
+        return { start: weekStart, end: this._addDays(weekStart, 7) };
+        
+      case 'last_week':
+        return { start: this._addDays(weekStart, -7), end: weekStart };
+        
+      case 'this_month':
+        return {
+          start: new Date(today.getFullYear(), today.getMonth(), 1),
+          end: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+        };
+        
+      case 'custom': {
+        const start = dateRange.start ? this._parseDateKey(dateRange.start) : null;
+        const end = dateRange.end ? this._parseDateKey(dateRange.end) : null;
+        
+        if (!start && !end) {
+          return null;
+        }
+        
+        // End date is inclusive in the picker
+        return { start, end: end ? this._addDays(end, 1) : null };
+      }
+        
+      default:
+        throw new Error(`Unknown date range preset: ${dateRange.preset}`);
+    }
   }
   
   /**
-   * Get all servers
-   * @returns {Array} Servers data
+   * Check if chest events are loaded
+   * @returns {boolean} Whether the dataset contains per-chest events
    */
-  getServers() {
-    return [...this._cache.servers];
+  hasEvents() {
+    return this._cache.events.length > 0;
   }
   
   /**
-   * Get data statistics
-   * @returns {Object} Data statistics
+   * Get chest events
+   * @param {Object} filters - Filter criteria
+   * @param {string} filters.playerId - Only events of this player
+   * @param {string} filters.source - Only events from this chest source
+   * @param {string} filters.chestName - Only events of this chest type
+   * @returns {Array} Events, newest first
+   */
+  getEvents(filters = {}) {
+    let events = [...this._cache.events];
+    
+    if (filters.playerId) {
+      events = events.filter(event => event.playerId === filters.playerId);
+    }
+    
+    if (filters.source) {
+      events = events.filter(event => event.source === filters.source);
+    }
+    
+    if (filters.chestName) {
+      events = events.filter(event => event.chestName === filters.chestName);
+    }
+    
+    // Newest first, events without timestamp last
+    return events.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+  }
+  
+  /**
+   * Get chest events of a player
+   * @param {string} playerId - Player ID
+   * @returns {Array} Events, newest first
+   */
+  getPlayerEvents(playerId) {
+    return this.getEvents({ playerId });
+  }
+  
+  /**
+   * Get all chest sources found in the events
+   * @returns {Array} Chest sources
    */
-  getStatistics() {
+  getChestSources() {
+    return [...new Set(this._cache.events.map(event => event.source))].sort();
+  }
+  
+  /**
+   * Get stored dataset snapshots
+   * @returns {Promise<Array>} Snapshot summaries, oldest first
+   */
+  async getSnapshots() {
     try {
-      const players = this._cache.players;
-      
-      // Calculate statistics
-      const totalPlayers = players.length;
-      const totalChests = players.reduce((sum, player) => sum + player.chests, 0);
-      const totalScore = players.reduce((sum, player) => sum + player.score, 0);
-      
-      const averageChests = totalPlayers > 0 ? totalChests / totalPlayers : 0;
-      const averageScore = totalPlayers > 0 ? totalScore / totalPlayers : 0;
-      const averageRatio = totalPlayers > 0 
-        ? players.reduce((sum, player) => sum + player.ratio, 0) / totalPlayers 
-        : 0;
-      
-      // Top players by score
-      const topPlayersByScore = [...players]
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10);
+      const snapshots = await this._storageService.getAllByPrefix('snapshots', this._activeDatasetId);
       
-      // Top players by chests
-      const topPlayersByChests = [...players]
-        .sort((a, b) => b.chests - a.chests)
-        .slice(0, 10);
+      return snapshots
+        .map(snapshot => ({
+          date: snapshot.date,
+          importedAt: snapshot.importedAt,
+          playerCount: snapshot.players.length,
+          totalScore: snapshot.players.reduce((sum, player) => sum + player.score, 0),
+          totalChests: snapshot.players.reduce((sum, player) => sum + player.chests, 0)
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getSnapshots', false);
+      return [];
+    }
+  }
+  
+  /**
+   * Get a player's score and chests over all stored snapshots
+   * @param {string} playerId - Player ID
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async getPlayerHistory(playerId) {
+    try {
+      const snapshots = await this._storageService.getAllByPrefix('snapshots', this._activeDatasetId);
       
-      // Top players by ratio
-      const topPlayersByRatio = [...players]
-        .sort((a, b) => b.ratio - a.ratio)
-        .slice(0, 10);
+      return snapshots
+        .map(snapshot => {
+          // Snapshots from before a merge list the player under each alias
+          const rows = snapshot.players.filter(p => this._resolvePlayerAlias(p.id, p.name, p.server) === playerId);
+          if (rows.length === 0) {
+            return null;
+          }
+          
+          const score = rows.reduce((sum, row) => sum + row.score, 0);
+          const chests = rows.reduce((sum, row) => sum + row.chests, 0);
+          const player = rows.find(row => row.id === playerId) || rows[0];
+          
+          return {
+            date: snapshot.date,
+            score,
+            chests,
+            ratio: chests > 0 ? score / chests : 0,
+            alliance: player.alliance
+          };
+        })
+        .filter(entry => entry !== null)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getPlayerHistory', false);
+      return [];
+    }
+  }
+  
+  /**
+   * Get the full data quality report of the latest load
+   * URL loads and refreshes are accepted without review; their report is only available afterwards.
+   * @returns {Object|null} Report ({ source, reviewed, date, report }) or null before the first load
+   */
+  getQualityReport() {
+    return this._qualityReport ? JSON.parse(JSON.stringify(this._qualityReport)) : null;
+  }
+  
+  /**
+   * Get the changes of the last load compared with the load before it
+   * @returns {Object|null} Change digest or null if the dataset was loaded only once
+   */
+  getChangeDigest() {
+    return this._cache.digest;
+  }
+  
+  /**
+   * Get each player's leaderboard movement since the previous load
+   * Positions are taken from the all-time leaderboard of the metric.
+   * @param {string} metric - Leaderboard metric (score, chests, ratio)
+   * @returns {Map|null} Movements by player ID ({ rank, previousRank, delta, isNew }), null if there is no previous load
+   */
+  getRankMovements(metric = 'score') {
+    const previous = this._cache.previousRankings && this._cache.previousRankings[metric];
+    if (!previous) {
+      return null;
+    }
+    
+    const movements = new Map();
+    
+    this._rankPlayers(this._cache.players, metric).forEach((player, index) => {
+      const rank = index + 1;
+      const previousRank = previous[player.id] || null;
       
-      // Alliance statistics
-      const allianceStats = {};
-      this._cache.alliances.forEach(alliance => {
-        const alliancePlayers = players.filter(player => player.alliance === alliance);
-        
-        allianceStats[alliance] = {
-          playerCount: alliancePlayers.length,
-          totalScore: alliancePlayers.reduce((sum, player) => sum + player.score, 0),
-          totalChests: alliancePlayers.reduce((sum, player) => sum + player.chests, 0),
-          averageScore: alliancePlayers.length > 0 
-            ? alliancePlayers.reduce((sum, player) => sum + player.score, 0) / alliancePlayers.length 
-            : 0,
-          averageChests: alliancePlayers.length > 0 
-            ? alliancePlayers.reduce((sum, player) => sum + player.chests, 0) / alliancePlayers.length 
-            : 0,
-          averageRatio: alliancePlayers.length > 0 
-            ? alliancePlayers.reduce((sum, player) => sum + player.ratio, 0) / alliancePlayers.length 
-            : 0
+      movements.set(player.id, {
+        rank,
+        previousRank,
+        delta: previousRank ? previousRank - rank : 0,
+        isNew: previousRank === null
+      });
+    });
+    
+    return movements;
+  }
+  
+  /**
+   * Get the alliances a player belonged to over time
+   * @param {string} playerId - Player ID
+   * @returns {Array} Membership periods ({ alliance, from, to, lastSeen }), oldest first; the current one has no end
+   */
+  getAllianceHistory(playerId) {
+    return (this._getMembershipPeriods().get(playerId) || []).map(period => ({ ...period }));
+  }
+  
+  /**
+   * Get the weekly quota configuration
+   * @returns {Object} Quota settings
+   */
+  getQuotaSettings() {
+    return JSON.parse(JSON.stringify(this._quotaSettings));
+  }
+  
+  /**
+   * Update and persist the weekly quota configuration
+   * @param {Object} settings - Quota settings
+   * @param {Object} settings.global - Global minimum ({ chests, points })
+   * @param {Object} settings.alliances - Minimums per alliance name
+   * @param {Object} settings.ranks - Minimums per rank
+   * @returns {boolean} Success status
+   */
+  setQuotaSettings(settings) {
+    try {
+      this._quotaSettings = this._normalizeQuotaSettings(settings);
+      
+      localStorage.setItem('tb_quota_settings', JSON.stringify(this._quotaSettings));
+      this._stateManager.setState('quota', this.getQuotaSettings());
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.setQuotaSettings');
+      return false;
+    }
+  }
+  
+  /**
+   * Get the weekly quota that applies to a player
+   * Rank overrides take precedence over alliance overrides, which take precedence over the global quota.
+   * @param {Object} player - Player
+   * @param {Object} settings - Quota settings (defaults to the current configuration)
+   * @returns {Object} Target with chests, points and the scope it came from
+   */
+  getQuotaTarget(player, settings = this._quotaSettings) {
+    if (player.rank && settings.ranks[player.rank]) {
+      return { ...settings.ranks[player.rank], scope: 'rank' };
+    }
+    
+    if (player.alliance && settings.alliances[player.alliance]) {
+      return { ...settings.alliances[player.alliance], scope: 'alliance' };
+    }
+    
+    return { ...settings.global, scope: 'global' };
+  }
+  
+  /**
+   * Get each player's progress against the weekly quota
+   * Players without dated activity get the status no_data instead of counting as behind.
+   * @param {Object} options - Options
+   * @param {number} options.weeks - Number of weeks to evaluate, including the current one
+   * @returns {Array} Progress per player (current week totals, status, streak and weekly history)
+   */
+  getQuotaProgress(options = {}) {
+    try {
+      const weekCount = options.weeks || 8;
+      const now = new Date();
+      const currentWeekStart = this._getWeekStart(now);
+      
+      // Share of the current week that has passed, used to judge the pace
+      const elapsed = (now.getTime() - currentWeekStart.getTime()) / (7 * 24 * 60 * 60 * 1000);
+      
+      // Aggregate every week once, newest first
+      const weeks = [];
+      for (let i = 0; i < weekCount; i++) {
+        const start = this._addDays(currentWeekStart, -7 * i);
+        const totals = new Map(
+          this._aggregatePlayersForRange({ start, end: this._addDays(start, 7) })
+            .map(player => [player.id, player])
+        );
+        weeks.push({ start, key: this._formatDateKey(start), totals });
+      }
+      
+      const firstActivity = this._getFirstActivity();
+      
+      return this._cache.players.map(player => {
+        const target = this.getQuotaTarget(player);
+        const firstActive = firstActivity.get(player.id);
+        
+        // Weeks before a player's first activity do not count against them
+        const history = weeks
+          .filter(week => firstActive && this._addDays(week.start, 7) > firstActive)
+          .map(week => {
+            const total = week.totals.get(player.id);
+            const chests = total ? total.chests : 0;
+            const points = total ? total.score : 0;
+            
+            return {
+              weekStart: week.key,
+              chests,
+              points,
+              met: this._isQuotaMet(target, chests, points)
+            };
+          });
+        
+        const current = history.length > 0 && history[0].weekStart === weeks[0].key
+          ? history[0]
+          : { weekStart: weeks[0].key, chests: 0, points: 0, met: this._isQuotaMet(target, 0, 0) };
+        const progress = this._getQuotaRatio(target, current.chests, current.points);
+        
+        let status = 'behind';
+        if (!target.chests && !target.points) {
+          status = 'no_quota';
+        } else if (!firstActive) {
+          // Without dated activity the weekly totals are unknown, not zero
+          status = 'no_data';
+        } else if (current.met) {
+          status = 'met';
+        } else if (progress >= elapsed) {
+          status = 'on_track';
+        }
+        
+        return {
+          id: player.id,
+          name: player.name,
+          alliance: player.alliance,
+          server: player.server,
+          rank: player.rank || '',
+          target,
+          chests: current.chests,
+          points: current.points,
+          progress,
+          status,
+          streak: this._getQuotaStreak(history),
+          weeks: history
         };
       });
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getQuotaProgress', false);
+      return [];
+    }
+  }
+  
+  /**
+   * Get a player's chests broken down by source and level
+   * Chest events (within the global date range) take precedence over a chestBreakdown from the source file.
+   * @param {string} playerId - Player ID
+   * @param {number} topCount - Number of most frequent chest types to return
+   * @returns {Object} Total, stacked chart data (sources by level) and the most frequent chest types
+   */
+  getPlayerChestBreakdown(playerId, topCount = 10) {
+    try {
+      let entries;
+      
+      const playerEvents = this.getPlayerEvents(playerId);
+      if (playerEvents.length > 0) {
+        const range = this.resolveDateRange(this._stateManager.getState('filters.dateRange'));
+        
+        entries = playerEvents
+          .filter(event => !range || (event.timestamp && this._isInRange(event.timestamp, range)))
+          .map(event => ({ source: event.source, level: event.level, name: event.chestName, count: 1 }));
+      } else {
+        const player = this._cache.players.find(p => p.id === playerId);
+        entries = (player && player.chestBreakdown) || [];
+      }
+      
+      // Count per source and level
+      const sourceTotals = new Map();
+      const levels = new Set();
+      const counts = new Map();
+      
+      entries.forEach(entry => {
+        const key = `${entry.source}|${entry.level}`;
+        counts.set(key, (counts.get(key) || 0) + entry.count);
+        sourceTotals.set(entry.source, (sourceTotals.get(entry.source) || 0) + entry.count);
+        levels.add(entry.level);
+      });
+      
+      // Largest sources first, levels ascending with unlevelled chests last
+      const sources = [...sourceTotals.keys()].sort((a, b) => sourceTotals.get(b) - sourceTotals.get(a));
+      const sortedLevels = [...levels].sort((a, b) => (a === null) - (b === null) || a - b);
+      
+      // Count per chest type
+      const chestTotals = new Map();
+      entries.filter(entry => entry.name).forEach(entry => {
+        const key = `${entry.name}|${entry.source}|${entry.level}`;
+        const total = chestTotals.get(key) || { name: entry.name, source: entry.source, level: entry.level, count: 0 };
+        total.count += entry.count;
+        chestTotals.set(key, total);
+      });
+      
+      return {
+        total: [...sourceTotals.values()].reduce((sum, count) => sum + count, 0),
+        chart: {
+          series: sortedLevels.map(level => ({
+            name: level !== null ? `Level ${level}` : 'Other',
+            data: sources.map(source => counts.get(`${source}|${level}`) || 0)
+          })),
+          categories: sources
+        },
+        topChests: [...chestTotals.values()]
+          .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+          .slice(0, topCount)
+      };
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getPlayerChestBreakdown', false);
+      return { total: 0, chart: { series: [], categories: [] }, topChests: [] };
+    }
+  }
+  
+  /**
+   * Get the chest catalogue
+   * @returns {Array} Catalogue entries ({ name, category, level, points })
+   */
+  getChestCatalogue() {
+    return this._chestCatalogue.map(entry => ({ ...entry }));
+  }
+  
+  /**
+   * Replace the chest catalogue and recompute scores of the loaded events
+   * @param {Array} entries - Catalogue entries ({ name, category, level, points })
+   * @returns {boolean} Success status
+   */
+  setChestCatalogue(entries) {
+    try {
+      const { catalogue } = this._normalizeChestCatalogue(entries);
+      
+      this._chestCatalogue = catalogue;
+      this._indexChestCatalogue();
+      
+      localStorage.setItem('tb_chest_catalogue', JSON.stringify(catalogue));
+      this._stateManager.setState('chestCatalogue', this.getChestCatalogue());
+      
+      // Recompute event points and player totals with the new values
+      if (this._cache.sourceEvents.length > 0) {
+        this._cache.sourceEvents.forEach(event => this._applyChestCatalogueToEvent(event));
+        this._aggregateEvents(this._cache.sourceEvents, this._cache.sourcePlayers);
+        this._applyPlayerAliases();
+        this._saveDataset();
+        
+        this._stateManager.setState('processedData', {
+          playerCount: this._cache.players.length,
+          lastUpdated: this._cache.lastUpdated
+        });
+      }
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.setChestCatalogue');
+      return false;
+    }
+  }
+  
+  /**
+   * Import a chest catalogue from a JSON file
+   * Accepts an array of entries or an object with a chests array.
+   * @param {File} file - Local JSON file
+   * @returns {Promise<Object>} Number of imported entries and rejected entries with reasons
+   */
+  async importChestCatalogue(file) {
+    const text = await this._readFileAsText(file);
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : (data && data.chests);
+    
+    if (!Array.isArray(entries)) {
+      throw new Error('Catalogue file must contain an array of chests');
+    }
+    
+    const { catalogue, rejected } = this._normalizeChestCatalogue(entries);
+    
+    if (!this.setChestCatalogue(catalogue)) {
+      throw new Error('Failed to save chest catalogue');
+    }
+    
+    return { count: catalogue.length, rejected };
+  }
+  
+  /**
+   * Get chest names found in events but missing from the catalogue
+   * @param {Array} events - Normalized events (defaults to the loaded events)
+   * @returns {Array} Unknown chests ({ name, count }), most frequent first; empty if no catalogue is configured
+   */
+  getUnknownChests(events = this._cache.events) {
+    if (this._chestCatalogue.length === 0) {
+      return [];
+    }
+    
+    const counts = new Map();
+    events.forEach(event => {
+      if (!this._findCatalogueEntry(event.chestName, event.level)) {
+        counts.set(event.chestName, (counts.get(event.chestName) || 0) + 1);
+      }
+    });
+    
+    return [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Get all ranks
+   * @returns {Array} Distinct player ranks
+   */
+  getRanks() {
+    return [...new Set(this._cache.players.map(player => player.rank).filter(Boolean))].sort();
+  }
+  
+  /**
+   * Find players that are probably the same person under another id or name
+   * Players on the same server are compared by name similarity; pairs marked as different are skipped.
+   * @param {Object} options - Options
+   * @param {number} options.threshold - Minimum name similarity (0-1)
+   * @returns {Array} Candidates ({ keep, merge, similarity }), most similar first
+   */
+  findDuplicateCandidates(options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : this._duplicateThreshold;
+    const dismissed = new Set(this._dismissedDuplicates);
+    const candidates = [];
+    
+    // Compare only within a server
+    const byServer = new Map();
+    this._cache.players.forEach(player => {
+      if (!byServer.has(player.server)) {
+        byServer.set(player.server, []);
+      }
+      byServer.get(player.server).push({ player, name: this._normalizePlayerName(player.name) });
+    });
+    
+    byServer.forEach(entries => {
+      this._getSimilarNamePairs(entries, threshold).forEach(([a, b]) => {
+        if (dismissed.has([a.player.id, b.player.id].sort().join('|'))) return;
+        
+        const similarity = this._getNameSimilarity(a.name, b.name, threshold);
+        if (similarity < threshold) return;
+        
+        // Keep the most recently active player (the current name)
+        const [keep, merge] = this._comparePlayerActivity(a.player, b.player) >= 0
+          ? [a.player, b.player]
+          : [b.player, a.player];
+        
+        candidates.push({ keep: { ...keep }, merge: { ...merge }, similarity });
+      });
+    });
+    
+    return candidates.sort((a, b) => b.similarity - a.similarity);
+  }
+  
+  /**
+   * Merge players into one, recording them as aliases applied to this and all future imports
+   * @param {string} canonicalId - ID of the player to keep
+   * @param {Array<string>} aliasIds - IDs of the players merged into it
+   * @returns {string|null} Merge ID (used to undo the merge) or null on failure
+   */
+  mergePlayers(canonicalId, aliasIds) {
+    try {
+      const canonical = this._cache.players.find(player => player.id === canonicalId);
+      if (!canonical) {
+        throw new Error(`Player not found: ${canonicalId}`);
+      }
+      
+      const aliases = aliasIds
+        .filter(id => id !== canonicalId)
+        .map(id => {
+          const player = this._cache.players.find(p => p.id === id);
+          if (!player) {
+            throw new Error(`Player not found: ${id}`);
+          }
+          return player;
+        });
+      
+      if (aliases.length === 0) {
+        throw new Error('No players to merge');
+      }
+      
+      const mergeId = `merge_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+      const mergedAt = new Date().toISOString();
+      
+      // Players merged earlier into an alias follow it through the chain
+      aliases.forEach(player => {
+        this._playerAliases.push({
+          mergeId,
+          aliasId: player.id,
+          aliasName: player.name,
+          server: player.server,
+          canonicalId,
+          canonicalName: canonical.name,
+          mergedAt
+        });
+      });
+      
+      this._savePlayerAliases();
+      this._refreshPlayerAliases();
+      
+      console.log(`Merged ${aliases.length} players into ${canonical.name}`);
+      
+      return mergeId;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.mergePlayers');
+      return null;
+    }
+  }
+  
+  /**
+   * Undo a merge, splitting the aliases off again
+   * @param {string} mergeId - Merge ID from mergePlayers
+   * @returns {boolean} Success status
+   */
+  undoMerge(mergeId) {
+    try {
+      const remaining = this._playerAliases.filter(entry => entry.mergeId !== mergeId);
+      if (remaining.length === this._playerAliases.length) {
+        throw new Error(`Merge not found: ${mergeId}`);
+      }
+      
+      this._playerAliases = remaining;
+      this._savePlayerAliases();
+      this._refreshPlayerAliases();
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.undoMerge');
+      return false;
+    }
+  }
+  
+  /**
+   * Get the merges that resolve to a player
+   * @param {string} playerId - Canonical player ID
+   * @returns {Array} Merges ({ mergeId, mergedAt, aliases: [{ id, name }] }), newest first
+   */
+  getPlayerMerges(playerId) {
+    const merges = new Map();
+    
+    this._playerAliases.forEach(entry => {
+      if (this._resolvePlayerAlias(entry.canonicalId) !== playerId) return;
+      
+      if (!merges.has(entry.mergeId)) {
+        merges.set(entry.mergeId, { mergeId: entry.mergeId, mergedAt: entry.mergedAt, aliases: [] });
+      }
+      merges.get(entry.mergeId).aliases.push({ id: entry.aliasId, name: entry.aliasName });
+    });
+    
+    return [...merges.values()].sort((a, b) => b.mergedAt.localeCompare(a.mergedAt));
+  }
+  
+  /**
+   * Mark two players as different people so they are no longer suggested as duplicates
+   * @param {string} playerId - First player ID
+   * @param {string} otherPlayerId - Second player ID
+   */
+  dismissDuplicate(playerId, otherPlayerId) {
+    if (this._isDuplicateDismissed(playerId, otherPlayerId)) return;
+    
+    this._dismissedDuplicates.push([playerId, otherPlayerId].sort().join('|'));
+    this._savePlayerAliases();
+  }
+  
+  /**
+   * Get the player fields that can be corrected by hand
+   * @returns {Object} Value type (text or number) per field
+   */
+  getEditableFields() {
+    return { ...this._editableFields };
+  }
+  
+  /**
+   * Correct a player field by hand
+   * The correction is kept across imports until it is reverted and recorded in the audit trail.
+   * @param {string} playerId - Player ID
+   * @param {string} field - Field from getEditableFields
+   * @param {string|number} value - New value
+   * @param {string} reason - Why the value was corrected
+   * @returns {Object|null} Audit entry, or null if the value did not change
+   */
+  setPlayerOverride(playerId, field, value, reason = '') {
+    const player = this._cache.players.find(p => p.id === playerId);
+    if (!player) {
+      throw new Error(`Player not found: ${playerId}`);
+    }
+    
+    const newValue = this._normalizeOverrideValue(field, value);
+    if (newValue === player[field]) {
+      return null;
+    }
+    
+    const entry = this._recordOverrideChange('edit', player, field, player[field], newValue, reason);
+    
+    this._playerOverrides[playerId] = { ...this._playerOverrides[playerId], [field]: newValue };
+    this._savePlayerOverrides();
+    this._refreshPlayerOverrides();
+    
+    return { ...entry };
+  }
+  
+  /**
+   * Revert a corrected player field to the imported value
+   * @param {string} playerId - Player ID
+   * @param {string} field - Corrected field
+   * @param {string} reason - Why the correction was reverted
+   * @returns {Object} Audit entry
+   */
+  revertPlayerOverride(playerId, field, reason = '') {
+    const overrides = this._playerOverrides[playerId];
+    if (!overrides || !(field in overrides)) {
+      throw new Error(`No correction of ${field} for player ${playerId}`);
+    }
+    
+    const player = this._cache.players.find(p => p.id === playerId);
+    const importedValues = player && player.importedValues ? player.importedValues : {};
+    
+    const entry = this._recordOverrideChange(
+      'revert',
+      player || { id: playerId, name: playerId },
+      field,
+      overrides[field],
+      field in importedValues ? importedValues[field] : null,
+      reason
+    );
+    
+    delete overrides[field];
+    if (Object.keys(overrides).length === 0) {
+      delete this._playerOverrides[playerId];
+    }
+    
+    this._savePlayerOverrides();
+    this._refreshPlayerOverrides();
+    
+    return { ...entry };
+  }
+  
+  /**
+   * Get the corrected fields of a player
+   * @param {string} playerId - Player ID
+   * @returns {Object} Corrected value per field
+   */
+  getPlayerOverrides(playerId) {
+    return { ...this._playerOverrides[playerId] };
+  }
+  
+  /**
+   * Get the audit trail of manual corrections
+   * @param {string} playerId - Only the entries of this player (all if omitted)
+   * @returns {Array} Audit entries, newest first
+   */
+  getOverrideAudit(playerId = null) {
+    return this._overrideAudit
+      .filter(entry => !playerId || entry.playerId === playerId)
+      .map(entry => ({ ...entry }))
+      .reverse();
+  }
+  
+  /**
+   * Get all alliances
+   * @returns {Array} Alliances data
+   */
+  getAlliances() {
+    return [...this._cache.alliances];
+  }
+  
+  /**
+   * Get all servers
+   * @returns {Array} Servers data
+   */
+  getServers() {
+    return [...this._cache.servers];
+  }
+  
+  /**
+   * Get data statistics
+   * @param {Object|null} dateRange - Date range selection (defaults to the global filter)
+   * @returns {Object} Data statistics
+   */
+  getStatistics(dateRange = this._stateManager.getState('filters.dateRange')) {
+    try {
+      const players = this._getPlayersInRange(dateRange);
+      
+      // Calculate statistics
+      const totalPlayers = players.length;
+      const totalChests = players.reduce((sum, player) => sum + player.chests, 0);
+      const totalScore = players.reduce((sum, player) => sum + player.score, 0);
+      
+      const averageChests = totalPlayers > 0 ? totalChests / totalPlayers : 0;
+      const averageScore = totalPlayers > 0 ? totalScore / totalPlayers : 0;
+      const averageRatio = totalPlayers > 0 
+        ? players.reduce((sum, player) => sum + player.ratio, 0) / totalPlayers 
+        : 0;
+      
+      // Top players by score
+      const topPlayersByScore = this._rankPlayers(players, 'score').slice(0, 10);
+      
+      // Top players by chests
+      const topPlayersByChests = this._rankPlayers(players, 'chests').slice(0, 10);
+      
+      // Top players by ratio
+      const topPlayersByRatio = this._rankPlayers(players, 'ratio').slice(0, 10);
+      
+      // Alliance statistics (chests count for the alliance the player was in at the time)
+      const contributions = this._getAllianceContributions(players, this.resolveDateRange(dateRange));
+      const alliances = [...new Set([...this._cache.alliances, ...contributions.keys()])].filter(Boolean).sort();
+      
+      const allianceStats = {};
+      alliances.forEach(alliance => {
+        const alliancePlayers = [...(contributions.get(alliance) || new Map()).values()];
+        
+        allianceStats[alliance] = {
+          playerCount: alliancePlayers.length,
+          totalScore: alliancePlayers.reduce((sum, player) => sum + player.score, 0),
+          totalChests: alliancePlayers.reduce((sum, player) => sum + player.chests, 0),
+          averageScore: alliancePlayers.length > 0 
+            ? alliancePlayers.reduce((sum, player) => sum + player.score, 0) / alliancePlayers.length 
+            : 0,
+          averageChests: alliancePlayers.length > 0 
+            ? alliancePlayers.reduce((sum, player) => sum + player.chests, 0) / alliancePlayers.length 
+            : 0,
+          averageRatio: alliancePlayers.length > 0 
+            ? alliancePlayers.reduce((sum, player) => sum + player.ratio, 0) / alliancePlayers.length 
+            : 0
+        };
+      });
+      
+      // Server statistics
+      const serverStats = {};
+      this._cache.servers.forEach(server => {
+        const serverPlayers = players.filter(player => player.server === server);
+        
+        serverStats[server] = {
+          playerCount: serverPlayers.length,
+          totalScore: serverPlayers.reduce((sum, player) => sum + player.score, 0),
+          totalChests: serverPlayers.reduce((sum, player) => sum + player.chests, 0),
+          averageScore: serverPlayers.length > 0 
+            ? serverPlayers.reduce((sum, player) => sum + player.score, 0) / serverPlayers.length 
+            : 0,
+          averageChests: serverPlayers.length > 0 
+            ? serverPlayers.reduce((sum, player) => sum + player.chests, 0) / serverPlayers.length 
+            : 0,
+          averageRatio: serverPlayers.length > 0 
+            ? serverPlayers.reduce((sum, player) => sum + player.ratio, 0) / serverPlayers.length 
+            : 0
+        };
+      });
+      
+      return {
+        totalPlayers,
+        totalChests,
+        totalScore,
+        averageChests,
+        averageScore,
+        averageRatio,
+        topPlayersByScore,
+        topPlayersByChests,
+        topPlayersByRatio,
+        allianceStats,
+        serverStats,
+        lastUpdated: this._cache.lastUpdated
+      };
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getStatistics', false);
+      return {
+        totalPlayers: 0,
+        totalChests: 0,
+        totalScore: 0,
+        averageChests: 0,
+        averageScore: 0,
+        averageRatio: 0,
+        topPlayersByScore: [],
+        topPlayersByChests: [],
+        topPlayersByRatio: [],
+        allianceStats: {},
+        serverStats: {},
+        lastUpdated: null
+      };
+    }
+  }
+  
+  /**
+   * Get data for a specific chart
+   * @param {string} chartType - Chart type
+   * @param {Object} options - Chart options
+   * @returns {Object} Chart data
+   */
+  getChartData(chartType, options = {}) {
+    try {
+      // Charts follow the global date range unless filters are given
+      const players = this.getFilteredPlayers(
+        options.filters || { dateRange: this._stateManager.getState('filters.dateRange') }
+      );
+      
+      switch (chartType) {
+        case 'score_distribution':
+          return this._createScoreDistributionData(players);
+          
+        case 'chest_distribution':
+          return this._createChestDistributionData(players);
+          
+        case 'alliance_comparison':
+          return this._createAllianceComparisonData(players);
+          
+        case 'server_comparison':
+          return this._createServerComparisonData(players);
+          
+        case 'ratio_distribution':
+          return this._createRatioDistributionData(players);
+          
+        case 'top_players':
+          return this._createTopPlayersData(players, options.metric || 'score');
+          
+        default:
+          throw new Error(`Unknown chart type: ${chartType}`);
+      }
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getChartData', false);
+      return {
+        series: [],
+        categories: []
+      };
+    }
+  }
+  
+  /**
+   * Get data for an analytics chart, honouring the active filters
+   * @param {string} analyticsType - Analytics chart type
+   * @param {Object} options - Chart options
+   * @returns {Object} Chart data
+   */
+  getAnalyticsData(analyticsType, options = {}) {
+    // Map analytics charts onto the shared chart data builders
+    const chartTypes = {
+      playerDistribution: 'score_distribution',
+      chestComparison: 'chest_distribution',
+      alliancePerformance: 'alliance_comparison',
+      serverActivity: 'server_comparison',
+      topPlayers: 'top_players'
+    };
+    
+    return this.getChartData(chartTypes[analyticsType] || analyticsType, {
+      ...options,
+      filters: this._stateManager.getState('filters')
+    });
+  }
+  
+  /**
+   * Clear data cache of the active dataset
+   */
+  clearCache() {
+    this._resetCache();
+    
+    // Clear stored dataset (snapshots are kept for the history)
+    if (this._storageService.isAvailable()) {
+      this._storageService.writeBatch([
+        { store: 'players', clearPrefix: this._activeDatasetId },
+        { store: 'events', clearPrefix: this._activeDatasetId },
+        { store: 'meta', delete: [`dataset:${this._activeDatasetId}`] }
+      ]).catch(error => {
+        this._errorHandler.handleError(error, 'DataService.clearCache');
+      });
+    } else {
+      localStorage.removeItem('tb_data_cache');
+    }
+    
+    // Update state
+    this._stateManager.setState('dataLoaded', false);
+    
+    console.log('Data cache cleared');
+  }
+  
+  /**
+   * Get storage usage and record counts for the settings view
+   * @returns {Promise<Object>} Usage and quota in bytes (null if unknown), record counts and the last write error
+   */
+  async getStorageInfo() {
+    const info = {
+      available: this._storageService.isAvailable(),
+      usage: null,
+      quota: null,
+      players: this._cache.sourcePlayers.length,
+      events: this._cache.sourceEvents.length,
+      snapshots: 0,
+      lastError: this._stateManager.getState('storageError') || null
+    };
+    
+    try {
+      const estimate = await this._storageService.getUsage();
+      if (estimate) {
+        info.usage = estimate.usage;
+        info.quota = estimate.quota;
+      }
+      
+      if (info.available) {
+        info.snapshots = await this._storageService.count('snapshots');
+      }
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.getStorageInfo', false);
+    }
+    
+    return info;
+  }
+  
+  /**
+   * Set data source URL of the active dataset
+   * @param {string} url - Data source URL
+   */
+  setDataSource(url) {
+    const dataset = this.getActiveDataset();
+    if (dataset.source !== url || dataset.type !== 'url') {
+      this.updateDataset(dataset.id, { type: 'url', source: url });
+    }
+    
+    // Update state
+    this._stateManager.setState('dataSource', url);
+    
+    console.log(`Data source set to: ${url}`);
+  }
+  
+  /**
+   * Get registered datasets
+   * @returns {Array} Datasets ({ id, name, type, source, lastLoaded })
+   */
+  getDatasets() {
+    return this._datasets.map(dataset => ({ ...dataset }));
+  }
+  
+  /**
+   * Get the active dataset
+   * @returns {Object} Active dataset
+   */
+  getActiveDataset() {
+    const dataset = this._datasets.find(d => d.id === this._activeDatasetId) || this._datasets[0];
+    return { ...dataset };
+  }
+  
+  /**
+   * Register a new dataset
+   * @param {Object} dataset - Dataset definition
+   * @param {string} dataset.name - Display name
+   * @param {string} dataset.type - Source type (url, file)
+   * @param {string} dataset.source - Source URL or imported file name
+   * @param {string} dataset.importMode - How loads apply to stored data (replace, merge)
+   * @returns {Object} Registered dataset
+   */
+  addDataset({ name, type = 'url', source = '', importMode = 'replace' }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Dataset name is required');
+    }
+    if (type !== 'file' && !source) {
+      throw new Error('Dataset source URL is required');
+    }
+    
+    const dataset = {
+      id: `dataset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      name: String(name).trim(),
+      type: type === 'file' ? 'file' : 'url',
+      source,
+      importMode: importMode === 'merge' ? 'merge' : 'replace',
+      lastLoaded: null
+    };
+    
+    this._datasets.push(dataset);
+    this._saveDatasets();
+    
+    return { ...dataset };
+  }
+  
+  /**
+   * Update a registered dataset
+   * @param {string} datasetId - Dataset ID
+   * @param {Object} changes - Changed fields (name, type, source, importMode)
+   * @returns {boolean} Success status
+   */
+  updateDataset(datasetId, changes) {
+    const dataset = this._datasets.find(d => d.id === datasetId);
+    if (!dataset) {
+      return false;
+    }
+    
+    if (changes.name !== undefined && String(changes.name).trim()) {
+      dataset.name = String(changes.name).trim();
+    }
+    if (changes.type !== undefined) {
+      dataset.type = changes.type === 'file' ? 'file' : 'url';
+    }
+    if (changes.source !== undefined) {
+      dataset.source = changes.source;
+    }
+    if (changes.importMode !== undefined) {
+      dataset.importMode = changes.importMode === 'merge' ? 'merge' : 'replace';
+    }
+    
+    this._saveDatasets();
+    return true;
+  }
+  
+  /**
+   * Remove a dataset and its stored data
+   * The last remaining dataset cannot be removed.
+   * @param {string} datasetId - Dataset ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeDataset(datasetId) {
+    try {
+      if (this._datasets.length <= 1) {
+        throw new Error('The last dataset cannot be removed');
+      }
+      
+      // Move away from the dataset before deleting it
+      if (datasetId === this._activeDatasetId) {
+        const next = this._datasets.find(d => d.id !== datasetId);
+        await this.switchDataset(next.id);
+      }
+      
+      this._datasets = this._datasets.filter(d => d.id !== datasetId);
+      this._saveDatasets();
+      this._writeDatasetEntry('tb_player_aliases', null, datasetId);
+      this._writeDatasetEntry('tb_player_overrides', null, datasetId);
+      
+      if (this._storageService.isAvailable()) {
+        await this._storageService.writeBatch([
+          { store: 'players', clearPrefix: datasetId },
+          { store: 'events', clearPrefix: datasetId },
+          { store: 'snapshots', clearPrefix: datasetId },
+          { store: 'meta', delete: [`dataset:${datasetId}`] }
+        ]);
+      }
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.removeDataset');
+      return false;
+    }
+  }
+  
+  /**
+   * Switch to another dataset, restoring its stored data or loading it from its URL
+   * @param {string} datasetId - Dataset ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async switchDataset(datasetId) {
+    try {
+      if (!this._datasets.some(d => d.id === datasetId)) {
+        throw new Error(`Dataset not found: ${datasetId}`);
+      }
+      
+      this._activateDataset(datasetId);
+      this._resetCache();
+      
+      // A failed download has already been reported by loadData
+      const restored = await this._loadFromStorage();
+      let loaded = true;
+      if (!restored && this.getActiveDataset().type === 'url') {
+        loaded = await this.loadData(true);
+      }
+      
+      // Notify views that the dataset changed
+      this._stateManager.setState('dataLoaded', this.isDataLoaded());
+      this._stateManager.setState('processedData', {
+        playerCount: this._cache.players.length,
+        lastUpdated: this._cache.lastUpdated ? this._cache.lastUpdated.toISOString() : null
+      });
+      
+      return loaded;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService.switchDataset');
+      return false;
+    }
+  }
+  
+  /**
+   * Process raw data
+   * @param {Object} data - Raw data
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async _processData(data, sourceName = '') {
+    try {
+      // Transform and commit in one step
+      const result = this._transformData(data, sourceName);
+      
+      // Merge datasets keep records missing from the new load
+      if (this.getActiveDataset().importMode === 'merge' && this.isDataLoaded()) {
+        const merge = this._mergeWithCache(result);
+        this._commitData(merge.result, result);
+        this._stateManager.setState('lastMerge', merge.counts);
+        
+        console.log(`Merged load: ${merge.counts.added} added, ${merge.counts.updated} updated, ${merge.counts.skipped} skipped`);
+      } else {
+        this._commitData(result);
+      }
+      
+      // URL loads and refreshes are accepted without review, their quality report is announced afterwards
+      this._publishQualityReport(result.report, sourceName, false);
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._processData', false);
+      return false;
+    }
+  }
+  
+  /**
+   * Keep the data quality report of the latest load and publish its summary in the state
+   * The state only gets the counts and a few issues; getQualityReport returns the full report.
+   * @param {Object} report - Data quality report from the validation service
+   * @param {string} source - File name or URL the data came from
+   * @param {boolean} reviewed - Whether the user already saw the report (import preview)
+   * @private
+   */
+  _publishQualityReport(report, source, reviewed) {
+    if (report.repaired > 0 || report.rejected > 0) {
+      console.warn(`Data quality: ${report.repaired} rows repaired, ${report.rejected} rows rejected`);
+    }
+    
+    const date = new Date().toISOString();
+    this._qualityReport = { source, reviewed, date, report };
+    
+    const sample = Object.entries(report.issues)
+      .flatMap(([code, issues]) => issues.map(issue => ({ code, ...issue })))
+      .slice(0, this._qualitySampleSize);
+    
+    this._stateManager.setState('dataQuality', {
+      source,
+      reviewed,
+      date,
+      valid: report.valid,
+      repaired: report.repaired,
+      rejected: report.rejected,
+      issueCount: report.issueCount,
+      sample
+    });
+  }
+  
+  /**
+   * Transform raw data into players, events, alliances and servers without touching the cache
+   * @param {Object} data - Raw data with players and/or chest events
+   * @param {string} sourceName - File name or URL the data came from (part of fallback event ids)
+   * @returns {Object} Transformed data with rejected rows
+   * @private
+   */
+  _transformData(data, sourceName = '') {
+    // Process players
+    const players = (data && data.players) || [];
+    const rawEvents = (data && data.events) || [];
+    
+    const processedPlayers = [];
+    const rejected = [];
+    const usedIds = new Set();
+    
+    // Validate rows against the declared schema
+    const playerResults = this._validationService.validateRows('player', players);
+    const eventResults = this._validationService.validateRows('event', rawEvents);
+    
+    // Transform player data
+    playerResults.forEach(({ index, status, reason, value: player }) => {
+      if (status === 'rejected') {
+        rejected.push({ type: 'player', index, reason, row: players[index] });
+        return;
+      }
+      
+      const score = player.score || 0;
+      const chests = player.chests || 0;
+      
+      // Rows without an id get one from the name (as events do) so later imports match them
+      let id = player.id || this._getDerivedPlayerId(player.name);
+      if (!player.id && usedIds.has(id)) {
+        id = `${id}_${index}`;
+      }
+      usedIds.add(id);
+      
+      processedPlayers.push({
+        id,
+        name: player.name,
+        alliance: player.alliance || '',
+        server: player.server || 'Unknown',
+        score,
+        chests,
+        ratio: chests > 0 ? score / chests : 0,
+        rank: player.rank || '',
+        timestamp: this._toIsoTimestamp(player.timestamp || player.date || player.lastActive),
+        chestBreakdown: this._normalizeChestBreakdown(player.chestBreakdown)
+      });
+    });
+    
+    // Transform chest events and derive player aggregates from them
+    const playerLookup = this._createPlayerLookup(processedPlayers);
+    const events = [];
+    eventResults.forEach(({ index, status, reason, value: event }) => {
+      if (status === 'rejected') {
+        rejected.push({ type: 'event', index, reason, row: rawEvents[index] });
+        return;
+      }
+      
+      events.push(this._normalizeEvent(event, playerLookup));
+    });
+    
+    this._assignEventIds(events, sourceName);
+    this._aggregateEvents(events, processedPlayers);
+    
+    const { alliances, servers } = this._extractAlliancesAndServers(processedPlayers);
+    
+    return {
+      players: processedPlayers,
+      events,
+      alliances,
+      servers,
+      acceptedCount: players.length + rawEvents.length - rejected.length,
+      rejected,
+      report: this._validationService.createReport([...playerResults, ...eventResults])
+    };
+  }
+  
+  /**
+   * Get the unique alliances and servers of a player list
+   * @param {Array} players - Players
+   * @returns {Object} Sorted alliances and servers
+   * @private
+   */
+  _extractAlliancesAndServers(players) {
+    // Extract unique alliances
+    const alliances = [...new Set(players
+      .map(player => player.alliance)
+      .filter(alliance => alliance !== '')
+    )].sort();
+    
+    // Extract unique servers
+    const servers = [...new Set(players
+      .map(player => player.server)
+      .filter(server => server !== 'Unknown')
+    )].sort();
+    
+    return { alliances, servers };
+  }
+  
+  /**
+   * Merge transformed data into the cached source rows without touching the cache
+   * Players are matched by id and events by event id; already seen events and older player rows are skipped.
+   * @param {Object} result - Transformed data from _transformData
+   * @returns {Object} Merged data (shaped like _transformData output) and counts
+   * @private
+   */
+  _mergeWithCache(result) {
+    const counts = {
+      players: { added: 0, updated: 0, skipped: 0 },
+      events: { added: 0, updated: 0, skipped: 0 }
+    };
+    
+    // Rows that only carried a name are matched to the stored player of that name
+    const knownIds = new Set(this._cache.sourcePlayers.map(player => player.id));
+    const idsByName = new Map();
+    this._cache.sourcePlayers.forEach(player => {
+      const key = player.name.toLowerCase();
+      if (!idsByName.has(key)) {
+        idsByName.set(key, player.id);
+      }
+    });
+    
+    const resolvePlayerId = (id, name) => {
+      if (knownIds.has(id) || id !== this._getDerivedPlayerId(name)) return id;
+      return idsByName.get(String(name).toLowerCase()) || id;
+    };
+    
+    // Work on copies so the transformed data (e.g. an import preview) stays untouched
+    const newEvents = result.events.map(event => ({
+      ...event,
+      playerId: resolvePlayerId(event.playerId, event.playerName)
+    }));
+    const newPlayers = result.players.map(player => ({
+      ...player,
+      id: resolvePlayerId(player.id, player.name)
+    }));
+    
+    // Events: new ids are added, known ids only replace the stored event if it changed
+    const events = [...this._cache.sourceEvents];
+    const eventIndex = new Map(events.map((event, index) => [event.id, index]));
+    
+    newEvents.forEach(event => {
+      const index = eventIndex.get(event.id);
+      
+      if (index === undefined) {
+        eventIndex.set(event.id, events.length);
+        events.push(event);
+        counts.events.added++;
+      } else if (this._isSameRecord(events[index], event, Object.keys(event))) {
+        counts.events.skipped++;
+      } else {
+        events[index] = event;
+        counts.events.updated++;
+      }
+    });
+    
+    // Players: totals of players with events are recounted below, so only their details are compared
+    const players = this._cache.sourcePlayers.map(player => ({ ...player }));
+    const playerIndex = new Map(players.map((player, index) => [player.id, index]));
+    const eventPlayerIds = new Set(newEvents.map(event => event.playerId));
+    
+    newPlayers.forEach(player => {
+      const index = playerIndex.get(player.id);
+      
+      if (index === undefined) {
+        playerIndex.set(player.id, players.length);
+        players.push(player);
+        counts.players.added++;
+        return;
+      }
+      
+      const existing = players[index];
+      const fields = eventPlayerIds.has(player.id)
+        ? ['name', 'alliance', 'server', 'rank']
+        : ['name', 'alliance', 'server', 'rank', 'score', 'chests', 'timestamp'];
+      
+      // Rows older than the stored one do not overwrite it
+      const isOlder = existing.timestamp && player.timestamp && player.timestamp < existing.timestamp;
+      
+      if (isOlder || this._isSameRecord(existing, player, fields)) {
+        counts.players.skipped++;
+      } else {
+        players[index] = { ...existing, ...player };
+        counts.players.updated++;
+      }
+    });
+    
+    this._aggregateEvents(events, players);
+    
+    ['added', 'updated', 'skipped'].forEach(key => {
+      counts[key] = counts.players[key] + counts.events[key];
+    });
+    
+    return {
+      result: {
+        ...result,
+        ...this._extractAlliancesAndServers(players),
+        players,
+        events
+      },
+      counts
+    };
+  }
+  
+  /**
+   * Check if two records have equal values for the given fields
+   * @param {Object} a - First record
+   * @param {Object} b - Second record
+   * @param {Array<string>} fields - Fields to compare
+   * @returns {boolean} Whether the records are equal
+   * @private
+   */
+  _isSameRecord(a, b, fields) {
+    return fields.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+  }
+  
+  /**
+   * Index players by id and by lowercased name (the first player of a name wins)
+   * @param {Array} players - Players
+   * @returns {Object} Lookup ({ byId, byName } maps)
+   * @private
+   */
+  _createPlayerLookup(players) {
+    const byId = new Map();
+    const byName = new Map();
+    
+    players.forEach(player => {
+      byId.set(player.id, player);
+      
+      const name = player.name.toLowerCase();
+      if (!byName.has(name)) {
+        byName.set(name, player);
+      }
+    });
+    
+    return { byId, byName };
+  }
+  
+  /**
+   * Normalize a raw chest event and resolve the player it belongs to
+   * @param {Object} event - Raw chest event
+   * @param {Object} playerLookup - Players from the same source (from _createPlayerLookup, used to resolve names to ids)
+   * @returns {Object} Normalized event
+   * @private
+   */
+  _normalizeEvent(event, playerLookup) {
+    const playerKey = String(event.playerId || event.player || event.playerName).trim();
+    const playerName = String(event.playerName || event.player || event.playerId).trim();
+    
+    // Resolve by id first, then by name, otherwise derive an id from the name
+    const lowerKey = playerKey.toLowerCase();
+    const player = playerLookup.byId.get(playerKey) || playerLookup.byName.get(lowerKey);
+    
+    const hasLevel = event.level !== undefined && event.level !== null && event.level !== '';
+    
+    const normalized = {
+      id: event.id ? String(event.id) : null,
+      playerId: player ? player.id : (event.playerId ? playerKey : this._getDerivedPlayerId(playerKey)),
+      playerName: player ? player.name : playerName,
+      alliance: event.alliance || (player ? player.alliance : ''),
+      server: event.server || (player ? player.server : 'Unknown'),
+      chestName: String(event.chestName || event.chest).trim(),
+      level: hasLevel && Number.isFinite(Number(event.level)) ? Number(event.level) : null,
+      category: null,
+      source: String(event.source || '').trim().toLowerCase() || 'unknown',
+      timestamp: this._toIsoTimestamp(event.timestamp),
+      basePoints: Number(event.points) || 0,
+      points: Number(event.points) || 0
+    };
+    
+    // Catalogue point values replace the points given in the file
+    this._applyChestCatalogueToEvent(normalized);
+    
+    return normalized;
+  }
+  
+  /**
+   * Get the id given to a player that is only known by name
+   * @param {string} name - Player name
+   * @returns {string} Derived player id
+   * @private
+   */
+  _getDerivedPlayerId(name) {
+    return `player_${String(name).toLowerCase().replace(/\s+/g, '_')}`;
+  }
+  
+  /**
+   * Give events without an id a stable id derived from their content
+   * @param {Array} events - Normalized events
+   * @param {string} sourceName - File name or URL the events came from
+   * @private
+   */
+  _assignEventIds(events, sourceName) {
+    const occurrences = {};
+    
+    events.forEach(event => {
+      if (event.id) return;
+      
+      // Without a timestamp the content is not unique across files, so the source is part of the id
+      // (not the row, which moves when rows are inserted above)
+      const origin = event.timestamp || sourceName;
+      
+      // Same content in the same file gets a running number so re-imports produce the same ids
+      const base = `${event.playerId}|${origin}|${event.chestName}|${event.source}`;
+      occurrences[base] = (occurrences[base] || 0) + 1;
+      event.id = `${base}#${occurrences[base]}`;
+    });
+  }
+  
+  /**
+   * Derive per-player score and chest totals from chest events
+   * @param {Array} events - Normalized events
+   * @param {Array} players - Players to update (players only seen in events are added)
+   * @private
+   */
+  _aggregateEvents(events, players) {
+    if (events.length === 0) return;
+    
+    const totals = new Map();
+    
+    events.forEach(event => {
+      let total = totals.get(event.playerId);
+      if (!total) {
+        total = { score: 0, chests: 0, latest: null };
+        totals.set(event.playerId, total);
+      }
+      
+      total.score += event.points;
+      total.chests += 1;
+      
+      // Remember the most recent event for alliance and server
+      if (!total.latest || (event.timestamp || '') >= (total.latest.timestamp || '')) {
+        total.latest = event;
+      }
+    });
+    
+    const playersById = new Map(players.map(player => [player.id, player]));
+    
+    totals.forEach((total, playerId) => {
+      let player = playersById.get(playerId);
+      
+      if (!player) {
+        player = {
+          id: playerId,
+          name: total.latest.playerName,
+          alliance: total.latest.alliance || '',
+          server: total.latest.server || 'Unknown',
+          rank: '',
+          timestamp: null,
+          chestBreakdown: null
+        };
+        players.push(player);
+      }
+      
+      // Events take precedence over pre-aggregated totals
+      player.score = total.score;
+      player.chests = total.chests;
+      player.ratio = total.chests > 0 ? total.score / total.chests : 0;
+      player.timestamp = total.latest.timestamp || player.timestamp;
+    });
+  }
+  
+  /**
+   * Replace the cache with transformed data
+   * @param {Object} result - Transformed data from _transformData (or merged data)
+   * @param {Object} imported - Rows read in this import, used for the alliance history (defaults to result)
+   * @private
+   */
+  _commitData(result, imported = result) {
+    // Keep the previous load to compare against
+    const previousPlayers = this._cache.players;
+    const previousUpdated = this._cache.lastUpdated;
+    
+    // Update cache
+    this._cache.sourcePlayers = result.players;
+    this._cache.sourceEvents = result.events || [];
+    this._applyPlayerAliases();
+    this._setAlliancesAndServers(result.alliances, result.servers);
+    this._cache.lastUpdated = new Date();
+    
+    // The first load of a dataset has nothing to compare with
+    let digestChanged = false;
+    if (previousPlayers.length === 0) {
+      this._cache.digest = null;
+      digestChanged = true;
+    } else {
+      // The previous data arrived with the last digest, not with refreshes that changed nothing
+      const since = this._cache.digest ? new Date(this._cache.digest.until) : previousUpdated;
+      const digest = this._createChangeDigest(previousPlayers, this._cache.players, since);
+      
+      // Unchanged loads keep the last digest
+      if (digest.changeCount > 0 || digest.allianceChanges.length > 0) {
+        this._cache.digest = digest;
+        digestChanged = true;
+      }
+    }
+    
+    // Movements stay relative to the last load that changed the leaderboard
+    if (previousPlayers.length === 0) {
+      this._cache.previousRankings = null;
+    } else {
+      const previousRankings = this._createRankings(previousPlayers);
+      if (JSON.stringify(previousRankings) !== JSON.stringify(this._createRankings(this._cache.players))) {
+        this._cache.previousRankings = previousRankings;
+      }
+    }
+    
+    // Extend the alliance history with this import
+    this._recordMemberships(imported.players, imported.events || [], this._cache.lastUpdated.toISOString());
+    
+    // Persist the dataset
+    this._saveDataset();
+    
+    // Record when the active dataset was last loaded
+    const activeDataset = this._datasets.find(d => d.id === this._activeDatasetId);
+    if (activeDataset) {
+      activeDataset.lastLoaded = this._cache.lastUpdated.toISOString();
+      this._saveDatasets();
+    }
+    
+    // Record a dated snapshot for history views
+    this._saveSnapshot();
+    
+    // Notify views that the dataset changed
+    this._stateManager.setState('processedData', {
+      playerCount: result.players.length,
+      lastUpdated: this._cache.lastUpdated.toISOString()
+    });
+    if (digestChanged) {
+      this._stateManager.setState('changeDigest', this._cache.digest);
+    }
+  }
+  
+  /**
+   * Read a local file as text using the FileReader API
+   * @param {File|Blob} file - File to read
+   * @returns {Promise<string>} File content
+   * @private
+   */
+  _readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error(`Failed to read file: ${file.name}`));
+      reader.readAsText(file);
+    });
+  }
+  
+  /**
+   * Check if a data source is a CSV file
+   * @param {string|File|Blob} source - Data source URL or file
+   * @returns {boolean} Whether the source is CSV
+   * @private
+   */
+  _isCsvSource(source) {
+    if (typeof source === 'string') {
+      // Ignore query string and hash when checking the extension
+      return /\.csv$/i.test(source.split(/[?#]/)[0]);
+    }
+    
+    if (source && typeof source === 'object') {
+      return source.type === 'text/csv' || /\.csv$/i.test(source.name || '');
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Parse a CSV source and map its rows onto player fields
+   * @param {string|File|Blob} source - CSV URL, CSV text or file
+   * @param {boolean} download - Whether a string source is a URL to download
+   * @param {Object} mapping - Optional column mapping overriding the configured one
+   * @returns {Promise<Object>} Raw data in the same shape as the JSON source
+   * @private
+   */
+  async _readCsv(source, download = false, mapping = null) {
+    const results = await this._parseCsv(source, download);
+    
+    // Report row-level parse errors without aborting the import
+    if (results.errors && results.errors.length > 0) {
+      console.warn(`CSV parsed with ${results.errors.length} error(s):`, results.errors);
+    }
+    
+    return this._mapCsvRows(results.data, mapping || this._csvColumnMapping);
+  }
+  
+  /**
+   * Parse CSV with PapaParse, sniffing the delimiter
+   * @param {string|File|Blob} source - CSV URL, CSV text or file
+   * @param {boolean} download - Whether a string source is a URL to download
+   * @returns {Promise<Object>} PapaParse results
+   * @private
+   */
+  _parseCsv(source, download = false) {
+    return new Promise((resolve, reject) => {
+      if (typeof Papa === 'undefined') {
+        reject(new Error('PapaParse is not available'));
+        return;
+      }
+      
+      Papa.parse(source, {
+        download,
+        header: false,
+        skipEmptyLines: 'greedy',
+        // Empty delimiter lets PapaParse guess from the candidates below
+        delimiter: '',
+        delimitersToGuess: [',', ';', '\t', '|'],
+        complete: results => resolve(results),
+        error: error => reject(error instanceof Error ? error : new Error(String(error && error.message || error)))
+      });
+    });
+  }
+  
+  /**
+   * Map parsed CSV rows onto the player fields expected by _processData
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   * @param {Object|null} mapping - Column mapping (field -> header name or column index)
+   * @returns {Object} Raw data with a players array
+   * @private
+   */
+  _mapCsvRows(rows, mapping) {
+    if (!rows || rows.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+    
+    const header = rows[0].map(cell => String(cell).trim().toLowerCase());
+    const hasHeader = this._isCsvHeaderRow(header, rows[1]);
+    const columns = this._resolveCsvColumns(hasHeader ? header : null, mapping);
+    
+    if (columns.name === undefined && columns.id === undefined) {
+      throw new Error('CSV file has no player name or id column');
+    }
+    
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    
+    const getCell = (row, field) => {
+      const index = columns[field];
+      return index !== undefined && row[index] !== undefined ? String(row[index]).trim() : '';
+    };
+    
+    // A chest column means one row per opened chest
+    if (columns.chest !== undefined) {
+      const events = dataRows.map(row => ({
+        playerId: getCell(row, 'id') || undefined,
+        playerName: getCell(row, 'name') || undefined,
+        alliance: getCell(row, 'alliance'),
+        server: getCell(row, 'server') || undefined,
+        chestName: getCell(row, 'chest'),
+        level: getCell(row, 'level') !== '' ? this._parseCsvNumber(getCell(row, 'level')) : undefined,
+        source: getCell(row, 'source'),
+        timestamp: getCell(row, 'timestamp') || undefined,
+        points: getCell(row, 'score') !== '' ? this._parseCsvNumber(getCell(row, 'score')) : undefined
+      }));
+      
+      return { events };
+    }
+    
+    const players = dataRows.map(row => {
+      const getPlayerCell = field => getCell(row, field);
+      
+      return {
+        id: getPlayerCell('id') || undefined,
+        name: getPlayerCell('name') || undefined,
+        alliance: getPlayerCell('alliance'),
+        server: getPlayerCell('server') || undefined,
+        rank: getPlayerCell('rank') || undefined,
+        timestamp: getPlayerCell('timestamp') || undefined,
+        score: getPlayerCell('score') !== '' ? this._parseCsvNumber(getPlayerCell('score')) : undefined,
+        chests: getPlayerCell('chests') !== '' ? this._parseCsvNumber(getPlayerCell('chests')) : undefined
+      };
+    });
+    
+    return { players };
+  }
+  
+  /**
+   * Decide whether the first CSV row is a header row
+   * @param {Array<string>} firstRow - First row (lower-cased)
+   * @param {Array<string>} secondRow - Second row, if any
+   * @returns {boolean} Whether the first row is a header
+   * @private
+   */
+  _isCsvHeaderRow(firstRow, secondRow) {
+    // Any known column name marks a header
+    const knownNames = Object.values(this._csvColumnAliases).flat();
+    if (firstRow.some(cell => knownNames.includes(cell))) {
+      return true;
+    }
+    
+    // Otherwise a header has no numbers where the data below has them
+    if (!secondRow) {
+      return false;
+    }
+    
+    return firstRow.some((cell, index) => 
+      isNaN(this._parseCsvNumber(cell)) && !isNaN(this._parseCsvNumber(secondRow[index]))
+    );
+  }
+  
+  /**
+   * Resolve the column index for each player field
+   * @param {Array<string>|null} header - Lower-cased header row, null if the file has none
+   * @param {Object|null} mapping - Column mapping (field -> header name or column index)
+   * @returns {Object} Column indexes by field
+   * @private
+   */
+  _resolveCsvColumns(header, mapping) {
+    const columns = {};
+    
+    Object.keys(this._csvColumnAliases).forEach(field => {
+      const mapped = mapping ? mapping[field] : undefined;
+      
+      if (typeof mapped === 'number') {
+        columns[field] = mapped;
+      } else if (typeof mapped === 'string' && header) {
+        const index = header.indexOf(mapped.trim().toLowerCase());
+        if (index !== -1) {
+          columns[field] = index;
+        }
+      } else if (header) {
+        const index = header.findIndex(cell => this._csvColumnAliases[field].includes(cell));
+        if (index !== -1) {
+          columns[field] = index;
+        }
+      } else {
+        const index = this._csvDefaultColumnOrder.indexOf(field);
+        if (index !== -1) {
+          columns[field] = index;
+        }
+      }
+    });
+    
+    return columns;
+  }
+  
+  /**
+   * Parse a number from a CSV cell, accepting thousands separators and decimal commas
+   * @param {string} value - Cell value
+   * @returns {number} Parsed number or NaN
+   * @private
+   */
+  _parseCsvNumber(value) {
+    let text = String(value === undefined || value === null ? '' : value).replace(/[\s']/g, '');
+    if (text === '') {
+      return NaN;
+    }
+    
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    
+    if (lastComma !== -1 && lastDot !== -1) {
+      // Both present: the last one is the decimal separator
+      const decimal = lastComma > lastDot ? ',' : '.';
+      const thousands = decimal === ',' ? '.' : ',';
+      text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      // One separator: thousands if repeated or followed by exactly three digits
+      const separator = lastComma !== -1 ? ',' : '.';
+      const parts = text.split(separator);
+      const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+      text = isThousands ? parts.join('') : parts.join('.');
+    }
+    
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+  }
+  
+  /**
+   * Persist the current dataset to IndexedDB
+   * Failed writes are reported to the user instead of being dropped silently.
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async _saveDataset() {
+    try {
+      if (!this._storageService.isAvailable()) {
+        // Browsers without IndexedDB keep the single localStorage entry
+        localStorage.setItem('tb_data_cache', JSON.stringify({
+          players: this._cache.sourcePlayers,
+          events: this._cache.sourceEvents,
+          memberships: this._cache.memberships,
+          digest: this._cache.digest,
+          previousRankings: this._cache.previousRankings,
+          alliances: this._cache.alliances,
+          servers: this._cache.servers,
+          lastUpdated: this._cache.lastUpdated.toISOString()
+        }));
+      } else {
+        const datasetId = this._activeDatasetId;
+        
+        // Replace players and events together so the stores never disagree
+        // Rows are stored as imported so merges can be undone later
+        await this._storageService.writeBatch([
+          {
+            store: 'players',
+            clearPrefix: datasetId,
+            put: this._cache.sourcePlayers.map(player => ({ ...player, datasetId }))
+          },
+          {
+            store: 'events',
+            clearPrefix: datasetId,
+            put: this._cache.sourceEvents.map(event => ({ ...event, datasetId }))
+          },
+          {
+            store: 'meta',
+            put: [{
+              key: `dataset:${datasetId}`,
+              memberships: this._cache.memberships,
+              digest: this._cache.digest,
+              previousRankings: this._cache.previousRankings,
+              alliances: this._cache.alliances,
+              servers: this._cache.servers,
+              lastUpdated: this._cache.lastUpdated.toISOString()
+            }]
+          }
+        ]);
+      }
+      
+      this._stateManager.setState('storageError', null);
+      return true;
+    } catch (error) {
+      const storageError = this._storageService.isQuotaError(error)
+        ? new Error('Browser storage is full. The data is loaded but was not saved and will be lost on reload.')
+        : error;
+      
+      this._stateManager.setState('storageError', storageError.message);
+      this._errorHandler.handleError(storageError, 'DataService._saveDataset', true);
+      return false;
+    }
+  }
+  
+  /**
+   * Save the current dataset as a snapshot keyed by import date
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async _saveSnapshot() {
+    try {
+      if (!this._storageService.isAvailable() || !this._cache.lastUpdated) {
+        return false;
+      }
+      
+      // Later imports on the same day replace that day's snapshot
+      await this._storageService.put('snapshots', {
+        datasetId: this._activeDatasetId,
+        date: this._formatDateKey(this._cache.lastUpdated),
+        importedAt: this._cache.lastUpdated.toISOString(),
+        players: this._cache.players.map(player => ({
+          id: player.id,
+          name: player.name,
+          alliance: player.alliance,
+          server: player.server,
+          score: player.score,
+          chests: player.chests
+        }))
+      });
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._saveSnapshot', true);
+      return false;
+    }
+  }
+  
+  /**
+   * Get players with totals recomputed for a date range
+   * @param {Object|null} dateRange - Date range selection
+   * @returns {Array} Players (copies when a range is active)
+   * @private
+   */
+  _getPlayersInRange(dateRange) {
+    const range = this.resolveDateRange(dateRange);
+    if (!range) {
+      return [...this._cache.players];
+    }
+    
+    return this._aggregatePlayersForRange(range);
+  }
+  
+  /**
+   * Get players with totals recomputed for a resolved range
+   * @param {Object} range - Range with start (inclusive) and end (exclusive) dates
+   * @returns {Array} Player copies active in the range
+   * @private
+   */
+  _aggregatePlayersForRange(range) {
+    // Sum events inside the window per player
+    const totals = new Map();
+    const playersWithEvents = new Set();
+    
+    this._cache.events.forEach(event => {
+      playersWithEvents.add(event.playerId);
+      
+      if (!event.timestamp || !this._isInRange(event.timestamp, range)) return;
+      
+      const total = totals.get(event.playerId) || { score: 0, chests: 0 };
+      total.score += event.points;
+      total.chests += 1;
+      totals.set(event.playerId, total);
+    });
+    
+    return this._cache.players
+      .filter(player => playersWithEvents.has(player.id)
+        ? totals.has(player.id)
+        // Pre-aggregated rows count as a whole by their own timestamp
+        : Boolean(player.timestamp) && this._isInRange(player.timestamp, range))
+      .map(player => {
+        const total = totals.get(player.id);
+        if (!total) {
+          return { ...player };
+        }
+        
+        const ranged = {
+          ...player,
+          score: total.score,
+          chests: total.chests,
+          ratio: total.chests > 0 ? total.score / total.chests : 0
+        };
+        
+        // Corrected totals are all-time totals and do not apply to the range
+        if (player.importedValues) {
+          const importedValues = { ...player.importedValues };
+          delete importedValues.score;
+          delete importedValues.chests;
+          
+          if (Object.keys(importedValues).length > 0) {
+            ranged.importedValues = importedValues;
+          } else {
+            delete ranged.importedValues;
+          }
+        }
+        
+        return ranged;
+      });
+  }
+  
+  /**
+   * Normalize an optional per-player chest breakdown from the source file
+   * Accepts an array of { source, level, name, count } entries or an object keyed by source
+   * whose values are counts or objects of counts keyed by level.
+   * @param {Array|Object|null} breakdown - Raw chest breakdown
+   * @returns {Array|null} Entries ({ source, level, name, count }) or null if none given
+   * @private
+   */
+  _normalizeChestBreakdown(breakdown) {
+    if (!breakdown || typeof breakdown !== 'object') {
+      return null;
+    }
+    
+    const entries = [];
+    const addEntry = (source, level, name, count) => {
+      const value = count === undefined ? 1 : Number(count);
+      const levelValue = level !== undefined && level !== null && level !== '' ? Number(level) : null;
+      
+      // Drop entries that cannot be counted
+      if (!Number.isFinite(value) || value <= 0 || (levelValue !== null && !Number.isFinite(levelValue))) {
+        return;
+      }
+      
+      entries.push({
+        source: String(source || '').trim().toLowerCase() || 'unknown',
+        level: levelValue,
+        name: name ? String(name).trim() : null,
+        count: value
+      });
+    };
+    
+    if (Array.isArray(breakdown)) {
+      breakdown.forEach(entry => {
+        if (entry && typeof entry === 'object') {
+          addEntry(entry.source, entry.level, entry.name || entry.chestName || entry.chest, entry.count);
+        }
+      });
+    } else {
+      Object.entries(breakdown).forEach(([source, value]) => {
+        if (Array.isArray(value)) {
+          return;
+        }
+        
+        if (value && typeof value === 'object') {
+          Object.entries(value).forEach(([level, count]) => addEntry(source, level, null, count));
+        } else {
+          addEntry(source, null, null, value);
+        }
+      });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Normalize chest catalogue entries, dropping invalid ones
+   * @param {Array} entries - Raw catalogue entries
+   * @returns {Object} Valid catalogue and rejected entries with reasons
+   * @private
+   */
+  _normalizeChestCatalogue(entries) {
+    const catalogue = [];
+    const rejected = [];
+    const seen = new Set();
+    
+    (entries || []).forEach((entry, index) => {
+      const name = entry && entry.name !== undefined ? String(entry.name).trim() : '';
+      const points = Number(entry ? entry.points : undefined);
+      const hasLevel = entry && entry.level !== undefined && entry.level !== null && entry.level !== '';
+      const level = hasLevel ? Number(entry.level) : null;
+      
+      let reason = null;
+      if (!name) {
+        reason = 'Missing chest name';
+      } else if (!Number.isFinite(points) || points < 0) {
+        reason = `Invalid points: ${entry.points}`;
+      } else if (hasLevel && !Number.isFinite(level)) {
+        reason = `Invalid level: ${entry.level}`;
+      } else if (seen.has(`${name.toLowerCase()}|${level}`)) {
+        reason = 'Duplicate chest';
+      }
+      
+      if (reason) {
+        rejected.push({ index, reason, entry });
+        return;
+      }
+      
+      seen.add(`${name.toLowerCase()}|${level}`);
+      catalogue.push({
+        name,
+        category: entry.category ? String(entry.category).trim() : '',
+        level,
+        points
+      });
+    });
+    
+    return { catalogue, rejected };
+  }
+  
+  /**
+   * Rebuild the catalogue lookup by lower-case chest name
+   * @private
+   */
+  _indexChestCatalogue() {
+    this._chestCatalogueIndex = new Map();
+    
+    this._chestCatalogue.forEach(entry => {
+      const key = entry.name.toLowerCase();
+      if (!this._chestCatalogueIndex.has(key)) {
+        this._chestCatalogueIndex.set(key, []);
+      }
+      this._chestCatalogueIndex.get(key).push(entry);
+    });
+  }
+  
+  /**
+   * Find the catalogue entry for a chest
+   * An entry with the same level wins, then an entry without a level.
+   * @param {string} chestName - Chest name
+   * @param {number|null} level - Chest level, if known
+   * @returns {Object|null} Catalogue entry
+   * @private
+   */
+  _findCatalogueEntry(chestName, level) {
+    const entries = this._chestCatalogueIndex.get(String(chestName).toLowerCase());
+    if (!entries) {
+      return null;
+    }
+    
+    return entries.find(entry => level !== null && entry.level === level) ||
+      entries.find(entry => entry.level === null) ||
+      (level === null && entries.length === 1 ? entries[0] : null);
+  }
+  
+  /**
+   * Apply catalogue category and point value to an event
+   * Events of chests missing from the catalogue keep the points from the source file.
+   * @param {Object} event - Normalized event (updated in place)
+   * @private
+   */
+  _applyChestCatalogueToEvent(event) {
+    const entry = this._findCatalogueEntry(event.chestName, event.level);
+    const basePoints = event.basePoints !== undefined ? event.basePoints : event.points;
+    
+    event.basePoints = basePoints;
+    event.points = entry ? entry.points : basePoints;
+    event.category = entry ? entry.category || null : null;
+  }
+  
+  /**
+   * Load the chest catalogue from local storage
+   * @private
+   */
+  _loadChestCatalogue() {
+    try {
+      const stored = localStorage.getItem('tb_chest_catalogue');
+      this._chestCatalogue = stored ? this._normalizeChestCatalogue(JSON.parse(stored)).catalogue : [];
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._loadChestCatalogue', false);
+      this._chestCatalogue = [];
+    }
+    
+    this._indexChestCatalogue();
+    this._stateManager.setState('chestCatalogue', this.getChestCatalogue());
+  }
+  
+  /**
+   * Rebuild players and events from the source rows with player aliases merged and corrections applied
+   * @private
+   */
+  _applyPlayerAliases() {
+    // Events of an alias count for the canonical player
+    const events = this._cache.sourceEvents.map(event => {
+      const playerId = this._resolvePlayerAlias(event.playerId, event.playerName, event.server);
+      return playerId === event.playerId ? event : { ...event, playerId, aliasOf: event.playerId };
+    });
+    
+    // Group player rows by the player they resolve to
+    const groups = new Map();
+    this._cache.sourcePlayers.forEach(player => {
+      const playerId = this._resolvePlayerAlias(player.id, player.name, player.server);
+      if (!groups.has(playerId)) {
+        groups.set(playerId, []);
+      }
+      groups.get(playerId).push(player);
+    });
+    
+    const players = [];
+    groups.forEach((rows, playerId) => {
+      if (rows.length === 1 && rows[0].id === playerId) {
+        players.push({ ...rows[0] });
+        return;
+      }
+      
+      // The canonical row provides name, alliance and server; totals are summed
+      const base = rows.find(row => row.id === playerId) ||
+        [...rows].sort((a, b) => this._comparePlayerActivity(b, a))[0];
+      const alias = this._playerAliases.find(entry => entry.canonicalId === playerId);
+      const score = rows.reduce((sum, row) => sum + row.score, 0);
+      const chests = rows.reduce((sum, row) => sum + row.chests, 0);
+      const breakdowns = rows.filter(row => row.chestBreakdown).map(row => row.chestBreakdown);
+      const timestamps = rows.map(row => row.timestamp).filter(Boolean).sort();
+      
+      players.push({
+        ...base,
+        id: playerId,
+        name: base.id === playerId || !alias ? base.name : alias.canonicalName,
+        score,
+        chests,
+        ratio: chests > 0 ? score / chests : 0,
+        timestamp: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null,
+        chestBreakdown: breakdowns.length > 0 ? breakdowns.flat() : null,
+        aliases: rows.filter(row => row.id !== playerId).map(row => ({ id: row.id, name: row.name }))
+      });
+    });
+    
+    // Recount event-based totals for the merged players
+    this._aggregateEvents(events, players);
+    
+    // Manual corrections win over imported values
+    this._applyPlayerOverrides(players);
+    
+    this._cache.players = players;
+    this._cache.events = events;
+  }
+  
+  /**
+   * Re-apply the aliases to the loaded data and notify views
+   * @private
+   */
+  _refreshPlayerAliases() {
+    this._stateManager.setState('playerAliases', this._playerAliases.map(entry => ({ ...entry })));
+    
+    if (!this._cache.lastUpdated) return;
+    
+    this._applyPlayerAliases();
+    
+    // Today's snapshot follows the merged players
+    this._saveSnapshot();
+    
+    this._stateManager.setState('processedData', {
+      playerCount: this._cache.players.length,
+      lastUpdated: this._cache.lastUpdated.toISOString()
+    });
+  }
+  
+  /**
+   * Resolve a player to the canonical player it was merged into
+   * Aliases are matched by id, otherwise by name on the same server (ids of files without ids are not stable).
+   * @param {string} playerId - Player ID
+   * @param {string} name - Player name
+   * @param {string} server - Player server
+   * @returns {string} Canonical player ID (the given ID if the player is not an alias)
+   * @private
+   */
+  _resolvePlayerAlias(playerId, name, server) {
+    if (this._playerAliases.length === 0) {
+      return playerId;
+    }
+    
+    const lowerName = name ? String(name).toLowerCase() : null;
+    const isSameServer = entry => !server || !entry.server || entry.server === server;
+    let alias = this._playerAliases.find(entry => entry.aliasId === playerId) ||
+      (lowerName && this._playerAliases.find(entry =>
+        entry.aliasName.toLowerCase() === lowerName && isSameServer(entry)
+      ));
+    let resolved = playerId;
+    
+    // The kept player is recognized by name as well
+    if (!alias && lowerName) {
+      const canonical = this._playerAliases.find(entry =>
+        entry.canonicalName.toLowerCase() === lowerName && isSameServer(entry)
+      );
+      if (canonical) {
+        resolved = canonical.canonicalId;
+        alias = this._playerAliases.find(entry => entry.aliasId === resolved);
+      }
+    }
+    
+    // Follow chains of merges, guarding against cycles
+    const visited = new Set();
+    while (alias && !visited.has(alias.aliasId)) {
+      visited.add(alias.aliasId);
+      resolved = alias.canonicalId;
+      alias = this._playerAliases.find(entry => entry.aliasId === resolved);
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Normalize a player name for duplicate detection
+   * Alliance tags in brackets, case, spacing and punctuation are ignored.
+   * @param {string} name - Player name
+   * @returns {string} Normalized name
+   * @private
+   */
+  _normalizePlayerName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/\[[^\]]*\]|\([^)]*\)/g, '')
+      .replace(/[^\p{L}\p{N}]/gu, '');
+  }
+  
+  /**
+   * Get the pairs of entries whose names are worth comparing
+   * Names are indexed by bigram: each edit changes at most two bigrams, so names at least 75% similar
+   * always share one. Lower thresholds fall back to comparing every pair.
+   * @param {Array} entries - Entries ({ player, name } with normalized names)
+   * @param {number} threshold - Minimum name similarity (0-1)
+   * @returns {Array} Entry pairs
+   * @private
+   */
+  _getSimilarNamePairs(entries, threshold) {
+    const pairs = [];
+    
+    if (threshold < 0.75) {
+      entries.forEach((a, i) => {
+        entries.slice(i + 1).forEach(b => pairs.push([a, b]));
+      });
+      return pairs;
+    }
+    
+    // Entry indexes per bigram (names are padded so single letters have bigrams too)
+    const index = new Map();
+    const bigrams = entries.map((entry, i) => {
+      const padded = `^${entry.name}$`;
+      const grams = new Set();
+      for (let k = 0; k < padded.length - 1; k++) {
+        grams.add(padded.slice(k, k + 2));
+      }
+      
+      grams.forEach(gram => {
+        if (!index.has(gram)) {
+          index.set(gram, []);
+        }
+        index.get(gram).push(i);
+      });
+      
+      return grams;
+    });
+    
+    entries.forEach((entry, i) => {
+      // Each later entry sharing a bigram is paired once
+      const partners = new Set();
+      bigrams[i].forEach(gram => {
+        index.get(gram).forEach(j => {
+          if (j > i) {
+            partners.add(j);
+          }
+        });
+      });
+      
+      partners.forEach(j => pairs.push([entry, entries[j]]));
+    });
+    
+    return pairs;
+  }
+  
+  /**
+   * Get the similarity of two normalized names based on their Levenshtein distance
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @param {number} threshold - Similarity below which the exact value does not matter
+   * @returns {number} Similarity from 0 (different) to 1 (equal)
+   * @private
+   */
+  _getNameSimilarity(a, b, threshold = 0) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    
+    const maxLength = Math.max(a.length, b.length);
+    
+    // The length difference alone is a lower bound of the distance
+    if (1 - Math.abs(a.length - b.length) / maxLength < threshold) return 0;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    
+    return 1 - previous[b.length] / maxLength;
+  }
+  
+  /**
+   * Compare two players by their latest activity, then by chests
+   * @param {Object} a - First player
+   * @param {Object} b - Second player
+   * @returns {number} Positive if a is more recent, negative if b is, 0 if equal
+   * @private
+   */
+  _comparePlayerActivity(a, b) {
+    return (a.timestamp || '').localeCompare(b.timestamp || '') || (a.chests - b.chests);
+  }
+  
+  /**
+   * Check if two players were marked as different people
+   * @param {string} playerId - First player ID
+   * @param {string} otherPlayerId - Second player ID
+   * @returns {boolean} Whether the pair was dismissed
+   * @private
+   */
+  _isDuplicateDismissed(playerId, otherPlayerId) {
+    return this._dismissedDuplicates.includes([playerId, otherPlayerId].sort().join('|'));
+  }
+  
+  /**
+   * Load the player aliases and dismissed duplicates of the active dataset from local storage
+   * @private
+   */
+  _loadPlayerAliases() {
+    try {
+      const parsed = this._readDatasetEntry('tb_player_aliases', ['aliases', 'dismissed']);
+      
+      this._playerAliases = Array.isArray(parsed.aliases) ? parsed.aliases : [];
+      this._dismissedDuplicates = Array.isArray(parsed.dismissed) ? parsed.dismissed : [];
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._loadPlayerAliases', false);
+      this._playerAliases = [];
+      this._dismissedDuplicates = [];
+    }
+    
+    this._stateManager.setState('playerAliases', this._playerAliases.map(entry => ({ ...entry })));
+  }
+  
+  /**
+   * Save the player aliases and dismissed duplicates of the active dataset to local storage
+   * @private
+   */
+  _savePlayerAliases() {
+    try {
+      this._writeDatasetEntry('tb_player_aliases', {
+        aliases: this._playerAliases,
+        dismissed: this._dismissedDuplicates
+      });
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._savePlayerAliases', false);
+    }
+  }
+  
+  /**
+   * Apply manual corrections to players, keeping the imported values of corrected fields
+   * @param {Array} players - Players to update
+   * @private
+   */
+  _applyPlayerOverrides(players) {
+    players.forEach(player => {
+      const overrides = this._playerOverrides[player.id];
+      if (!overrides) return;
+      
+      player.importedValues = {};
+      Object.entries(overrides).forEach(([field, value]) => {
+        player.importedValues[field] = player[field];
+        player[field] = value;
+      });
+      
+      player.ratio = player.chests > 0 ? player.score / player.chests : 0;
+    });
+  }
+  
+  /**
+   * Re-apply the corrections to the loaded data and notify views
+   * @private
+   */
+  _refreshPlayerOverrides() {
+    this._stateManager.setState('overrideAudit', this.getOverrideAudit());
+    
+    if (!this._cache.lastUpdated) return;
+    
+    this._applyPlayerAliases();
+    
+    // Corrected alliances and servers become available as filters
+    this._setAlliancesAndServers(this._cache.alliances, this._cache.servers);
+    
+    // Today's snapshot follows the corrected players
+    this._saveSnapshot();
+    
+    this._stateManager.setState('processedData', {
+      playerCount: this._cache.players.length,
+      lastUpdated: this._cache.lastUpdated.toISOString()
+    });
+  }
+  
+  /**
+   * Set the alliance and server filter options, adding those of corrected players
+   * @param {Array<string>} alliances - Alliances of the loaded data
+   * @param {Array<string>} servers - Servers of the loaded data
+   * @private
+   */
+  _setAlliancesAndServers(alliances, servers) {
+    const corrected = this._extractAlliancesAndServers(this._cache.players);
+    this._cache.alliances = [...new Set([...alliances, ...corrected.alliances])].sort();
+    this._cache.servers = [...new Set([...servers, ...corrected.servers])].sort();
+  }
+  
+  /**
+   * Validate a corrected value and convert it to the type of its field
+   * @param {string} field - Field from getEditableFields
+   * @param {string|number} value - Entered value
+   * @returns {string|number} Normalized value
+   * @private
+   */
+  _normalizeOverrideValue(field, value) {
+    const type = this._editableFields[field];
+    if (!type) {
+      throw new Error(`${field} cannot be edited`);
+    }
+    
+    if (type === 'text') {
+      const text = String(value === null || value === undefined ? '' : value).trim();
+      if (!text && field === 'server') {
+        throw new Error('Server is required');
+      }
+      return text;
+    }
+    
+    const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+    if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`${field} must be a number of at least 0`);
+    }
+    if (field === 'chests' && !Number.isInteger(number)) {
+      throw new Error('chests must be a whole number');
+    }
+    
+    return number;
+  }
+  
+  /**
+   * Add an entry to the audit trail of manual corrections
+   * @param {string} type - Change type (edit or revert)
+   * @param {Object} player - Corrected player
+   * @param {string} field - Corrected field
+   * @param {*} oldValue - Value before the change
+   * @param {*} newValue - Value after the change
+   * @param {string} reason - Reason given for the change
+   * @returns {Object} Audit entry
+   * @private
+   */
+  _recordOverrideChange(type, player, field, oldValue, newValue, reason) {
+    const entry = {
+      id: `override_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      type,
+      playerId: player.id,
+      playerName: player.name,
+      field,
+      oldValue: oldValue === undefined ? null : oldValue,
+      newValue,
+      reason: String(reason || '').trim(),
+      timestamp: new Date().toISOString()
+    };
+    
+    this._overrideAudit.push(entry);
+    return entry;
+  }
+  
+  /**
+   * Load the manual corrections of the active dataset and their audit trail from local storage
+   * @private
+   */
+  _loadPlayerOverrides() {
+    try {
+      const parsed = this._readDatasetEntry('tb_player_overrides', ['overrides', 'audit']);
+      
+      this._playerOverrides = parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : {};
+      this._overrideAudit = Array.isArray(parsed.audit) ? parsed.audit : [];
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._loadPlayerOverrides', false);
+      this._playerOverrides = {};
+      this._overrideAudit = [];
+    }
+    
+    this._stateManager.setState('overrideAudit', this.getOverrideAudit());
+  }
+  
+  /**
+   * Save the manual corrections of the active dataset and their audit trail to local storage
+   * @private
+   */
+  _savePlayerOverrides() {
+    try {
+      this._writeDatasetEntry('tb_player_overrides', {
+        overrides: this._playerOverrides,
+        audit: this._overrideAudit
+      });
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._savePlayerOverrides', false);
+    }
+  }
+  
+  /**
+   * Read the active dataset's entry from a local storage key that holds one entry per dataset
+   * A single entry stored before entries were kept per dataset is moved to the active dataset.
+   * @param {string} key - Local storage key
+   * @param {Array<string>} legacyFields - Fields of the single entry
+   * @returns {Object} Entry of the active dataset (empty if there is none)
+   * @private
+   */
+  _readDatasetEntry(key, legacyFields) {
+    const stored = localStorage.getItem(key);
+    const parsed = stored ? JSON.parse(stored) : {};
+    
+    if (!parsed.datasets && legacyFields.some(field => field in parsed)) {
+      const entry = {};
+      legacyFields.forEach(field => {
+        entry[field] = parsed[field];
+      });
+      
+      this._writeDatasetEntry(key, entry);
+      return entry;
+    }
+    
+    return (parsed.datasets && parsed.datasets[this._activeDatasetId]) || {};
+  }
+  
+  /**
+   * Write a dataset's entry to a local storage key that holds one entry per dataset
+   * @param {string} key - Local storage key
+   * @param {Object|null} entry - Entry to store, null to remove it
+   * @param {string} datasetId - Dataset ID (defaults to the active dataset)
+   * @private
+   */
+  _writeDatasetEntry(key, entry, datasetId = this._activeDatasetId) {
+    const stored = localStorage.getItem(key);
+    const parsed = stored ? JSON.parse(stored) : {};
+    const datasets = parsed.datasets || {};
+    
+    if (entry) {
+      datasets[datasetId] = entry;
+    } else {
+      delete datasets[datasetId];
+    }
+    
+    localStorage.setItem(key, JSON.stringify({ datasets }));
+  }
+  
+  /**
+   * Compare two loads of the dataset
+   * @param {Array} previousPlayers - Players of the previous load
+   * @param {Array} players - Players of the new load
+   * @param {Date|null} previousUpdated - Time of the previous load
+   * @returns {Object} Digest ({ since, until, newPlayers, leftPlayers, scoreGains, rankChanges, allianceChanges, changeCount })
+   * @private
+   */
+  _createChangeDigest(previousPlayers, players, previousUpdated) {
+    const previousById = new Map(previousPlayers.map(player => [player.id, player]));
+    const currentById = new Map(players.map(player => [player.id, player]));
+    const describe = player => ({ id: player.id, name: player.name, alliance: player.alliance || '', server: player.server || '' });
+    
+    // Players that appeared or disappeared
+    const newPlayers = players.filter(player => !previousById.has(player.id)).map(describe);
+    const leftPlayers = previousPlayers.filter(player => !currentById.has(player.id)).map(describe);
+    
+    const scoreGains = [];
+    const rankChanges = [];
+    
+    players.forEach(player => {
+      const previous = previousById.get(player.id);
+      if (!previous) return;
+      
+      const gain = (player.score || 0) - (previous.score || 0);
+      if (gain > 0) {
+        scoreGains.push({ ...describe(player), previous: previous.score || 0, current: player.score || 0, gain });
+      }
+      
+      if ((player.rank || '') !== (previous.rank || '')) {
+        rankChanges.push({ ...describe(player), from: previous.rank || '', to: player.rank || '' });
+      }
+    });
+    
+    scoreGains.sort((a, b) => b.gain - a.gain);
+    
+    // Members gained and lost per alliance (players switching count for both alliances)
+    const alliances = new Map();
+    const getAlliance = name => {
+      if (!alliances.has(name)) {
+        alliances.set(name, { alliance: name, joined: 0, left: 0, previousMembers: 0, members: 0 });
+      }
+      return alliances.get(name);
+    };
+    
+    previousPlayers.forEach(player => {
+      if (!player.alliance) return;
+      getAlliance(player.alliance).previousMembers++;
+      
+      const current = currentById.get(player.id);
+      if (!current || current.alliance !== player.alliance) {
+        getAlliance(player.alliance).left++;
+      }
+    });
+    
+    players.forEach(player => {
+      if (!player.alliance) return;
+      getAlliance(player.alliance).members++;
+      
+      const previous = previousById.get(player.id);
+      if (!previous || previous.alliance !== player.alliance) {
+        getAlliance(player.alliance).joined++;
+      }
+    });
+    
+    const allianceChanges = [...alliances.values()]
+      .filter(alliance => alliance.joined > 0 || alliance.left > 0)
+      .map(alliance => ({ ...alliance, net: alliance.members - alliance.previousMembers }))
+      .sort((a, b) => Math.abs(b.net) - Math.abs(a.net) || a.alliance.localeCompare(b.alliance));
+    
+    return {
+      since: previousUpdated ? previousUpdated.toISOString() : null,
+      until: this._cache.lastUpdated.toISOString(),
+      newPlayers,
+      leftPlayers,
+      scoreGains: scoreGains.slice(0, this._digestTopGains),
+      rankChanges,
+      allianceChanges,
+      changeCount: newPlayers.length + leftPlayers.length + scoreGains.length + rankChanges.length
+    };
+  }
+  
+  /**
+   * Normalize a server or alliance filter value
+   * Older filters and presets hold a single value, the multi-select filter { values, exclude }.
+   * @param {string|Array|Object|null} selection - Filter value
+   * @returns {Object|null} Selection ({ values, exclude }) or null if nothing is selected
+   * @private
+   */
+  _normalizeSelection(selection) {
+    if (!selection) {
+      return null;
+    }
+    
+    let values;
+    let exclude = false;
+    
+    if (typeof selection === 'string') {
+      values = [selection];
+    } else if (Array.isArray(selection)) {
+      values = selection;
+    } else {
+      values = Array.isArray(selection.values) ? selection.values : [];
+      exclude = Boolean(selection.exclude);
+    }
+    
+    return values.length > 0 ? { values, exclude } : null;
+  }
+  
+  /**
+   * Sort players into a leaderboard, best first
+   * @param {Array} players - Players
+   * @param {string} metric - Leaderboard metric (score, chests, ratio)
+   * @returns {Array} Sorted copy of the players
+   * @private
+   */
+  _rankPlayers(players, metric) {
+    return [...players].sort((a, b) => (b[metric] || 0) - (a[metric] || 0));
+  }
+  
+  /**
+   * Record the leaderboard positions of a load
+   * @param {Array} players - Players of the load
+   * @returns {Object} Positions by metric and player ID
+   * @private
+   */
+  _createRankings(players) {
+    const rankings = {};
+    
+    this._rankingMetrics.forEach(metric => {
+      rankings[metric] = {};
+      this._rankPlayers(players, metric).forEach((player, index) => {
+        rankings[metric][player.id] = index + 1;
+      });
+    });
+    
+    return rankings;
+  }
+  
+  /**
+   * Add the alliances seen in an import to the membership history
+   * @param {Array} players - Imported players
+   * @param {Array} events - Imported events
+   * @param {string} observedAt - Import time (ISO), used for rows without a timestamp
+   * @private
+   */
+  _recordMemberships(players, events, observedAt) {
+    const observations = [];
+    
+    events.forEach(event => {
+      if (event.timestamp) {
+        observations.push({ id: event.playerId, name: event.playerName, server: event.server, alliance: event.alliance || '', time: event.timestamp });
+      }
+    });
+    
+    players.forEach(player => {
+      observations.push({ id: player.id, name: player.name, server: player.server, alliance: player.alliance || '', time: player.timestamp || observedAt });
+    });
+    
+    // Oldest first so periods grow forward in time
+    observations
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .forEach(observation => {
+        if (!this._cache.memberships[observation.id]) {
+          this._cache.memberships[observation.id] = { name: observation.name, server: observation.server, runs: [] };
+        }
+        
+        this._addMembershipObservation(this._cache.memberships[observation.id].runs, observation.alliance, observation.time);
+      });
+  }
+  
+  /**
+   * Add a single alliance observation to a list of runs ({ alliance, from, lastSeen }) sorted by start
+   * @param {Array} runs - Runs to update
+   * @param {string} alliance - Alliance seen ('' for none)
+   * @param {string} time - Observation time (ISO)
+   * @private
+   */
+  _addMembershipObservation(runs, alliance, time) {
+    // Last run starting at or before the observation
+    let index = -1;
+    runs.forEach((run, i) => {
+      if (run.from <= time) index = i;
+    });
+    
+    const run = runs[index];
+    if (run && run.alliance === alliance) {
+      if (time > run.lastSeen) run.lastSeen = time;
+      return;
+    }
+    
+    // Seen earlier than the following run of the same alliance started
+    const next = runs[index + 1];
+    if (next && next.alliance === alliance) {
+      next.from = time;
+      return;
+    }
+    
+    runs.splice(index + 1, 0, { alliance, from: time, lastSeen: time });
+    
+    // The previous alliance was seen again later, so the player returned to it
+    if (run && run.lastSeen > time) {
+      runs.splice(index + 2, 0, { alliance: run.alliance, from: run.lastSeen, lastSeen: run.lastSeen });
+      run.lastSeen = run.from;
+    }
+  }
+  
+  /**
+   * Get the membership periods of all players, combining the history of merged aliases
+   * @returns {Map<string, Array>} Periods ({ alliance, from, to, lastSeen }) by player id, oldest first
+   * @private
+   */
+  _getMembershipPeriods() {
+    const runsByPlayer = new Map();
+    
+    Object.entries(this._cache.memberships).forEach(([id, membership]) => {
+      const playerId = this._resolvePlayerAlias(id, membership.name, membership.server);
+      
+      if (!runsByPlayer.has(playerId)) {
+        runsByPlayer.set(playerId, []);
+      }
+      runsByPlayer.get(playerId).push(membership.runs);
+    });
+    
+    const periods = new Map();
+    runsByPlayer.forEach((runLists, playerId) => {
+      let merged = runLists[0];
+      
+      // Replay the runs of merged aliases as observations
+      if (runLists.length > 1) {
+        merged = [];
+        runLists
+          .flat()
+          .sort((a, b) => a.from.localeCompare(b.from))
+          .forEach(run => {
+            this._addMembershipObservation(merged, run.alliance, run.from);
+            this._addMembershipObservation(merged, run.alliance, run.lastSeen);
+          });
+      }
+      
+      periods.set(playerId, merged.map((run, i) => ({
+        alliance: run.alliance,
+        from: run.from,
+        to: merged[i + 1] ? merged[i + 1].from : null,
+        lastSeen: run.lastSeen
+      })));
+    });
+    
+    return periods;
+  }
+  
+  /**
+   * Split the score and chests of players by the alliance they belonged to at the time
+   * @param {Array} players - Players (totals already limited to the range)
+   * @param {Object|null} range - Resolved date range
+   * @returns {Map<string, Map>} Per alliance, totals ({ score, chests, ratio }) by player id
+   * @private
+   */
+  _getAllianceContributions(players, range) {
+    const periods = this._getMembershipPeriods();
+    const contributions = new Map();
+    
+    const allianceAt = (player, time) => {
+      const period = time && (periods.get(player.id) || []).filter(p => p.from <= time).pop();
+      return period ? period.alliance : player.alliance;
+    };
+    
+    const add = (alliance, playerId, score, chests) => {
+      if (!contributions.has(alliance)) {
+        contributions.set(alliance, new Map());
+      }
+      
+      const totals = contributions.get(alliance);
+      const total = totals.get(playerId) || { score: 0, chests: 0, ratio: 0 };
+      total.score += score;
+      total.chests += chests;
+      total.ratio = total.chests > 0 ? total.score / total.chests : 0;
+      totals.set(playerId, total);
+    };
+    
+    // Events of each player in the range
+    const eventsByPlayer = new Map();
+    this._cache.events.forEach(event => {
+      if (range && (!event.timestamp || !this._isInRange(event.timestamp, range))) return;
+      
+      if (!eventsByPlayer.has(event.playerId)) {
+        eventsByPlayer.set(event.playerId, []);
+      }
+      eventsByPlayer.get(event.playerId).push(event);
+    });
+    
+    players.forEach(player => {
+      const events = eventsByPlayer.get(player.id);
+      
+      if (events) {
+        events.forEach(event => add(allianceAt(player, event.timestamp), player.id, event.points, 1));
+      } else {
+        // Pre-aggregated rows count for the alliance at the row's time
+        add(allianceAt(player, player.timestamp), player.id, player.score, player.chests);
+      }
+    });
+    
+    return contributions;
+  }
+  
+  /**
+   * Get the time of each player's first recorded activity
+   * @returns {Map<string, Date>} First event (or row timestamp) per player id
+   * @private
+   */
+  _getFirstActivity() {
+    const firstActivity = new Map();
+    
+    const track = (playerId, timestamp) => {
+      if (!timestamp) return;
+      
+      const date = new Date(timestamp);
+      const current = firstActivity.get(playerId);
+      if (!current || date < current) {
+        firstActivity.set(playerId, date);
+      }
+    };
+    
+    this._cache.events.forEach(event => track(event.playerId, event.timestamp));
+    this._cache.players.forEach(player => {
+      if (!firstActivity.has(player.id)) {
+        track(player.id, player.timestamp);
+      }
+    });
+    
+    return firstActivity;
+  }
+  
+  /**
+   * Check if chest and point totals meet a quota target
+   * @param {Object} target - Quota target
+   * @param {number} chests - Chests opened
+   * @param {number} points - Points earned
+   * @returns {boolean} Whether the quota is met
+   * @private
+   */
+  _isQuotaMet(target, chests, points) {
+    return chests >= (target.chests || 0) && points >= (target.points || 0);
+  }
+  
+  /**
+   * Get the fraction of a quota reached (the weaker of the required metrics)
+   * @param {Object} target - Quota target
+   * @param {number} chests - Chests opened
+   * @param {number} points - Points earned
+   * @returns {number} Progress ratio (1 = quota met)
+   * @private
+   */
+  _getQuotaRatio(target, chests, points) {
+    const ratios = [];
+    if (target.chests > 0) ratios.push(chests / target.chests);
+    if (target.points > 0) ratios.push(points / target.points);
+    
+    return ratios.length > 0 ? Math.min(...ratios) : 1;
+  }
+  
+  /**
+   * Count consecutive weeks with the same quota outcome
+   * The running week only counts once the quota is met.
+   * @param {Array} history - Weekly results, newest first
+   * @returns {Object} Streak with met flag and number of weeks
+   * @private
+   */
+  _getQuotaStreak(history) {
+    const weeks = history.length > 0 && !history[0].met ? history.slice(1) : history;
+    if (weeks.length === 0) {
+      return { met: false, count: 0 };
+    }
+    
+    const met = weeks[0].met;
+    let count = 0;
+    while (count < weeks.length && weeks[count].met === met) {
+      count++;
+    }
+    
+    return { met, count };
+  }
+  
+  /**
+   * Normalize quota settings, dropping invalid values
+   * @param {Object|null} settings - Raw quota settings
+   * @returns {Object} Quota settings with global, alliances and ranks
+   * @private
+   */
+  _normalizeQuotaSettings(settings) {
+    const normalizeTarget = (target) => ({
+      chests: Math.max(0, Number(target && target.chests) || 0),
+      points: Math.max(0, Number(target && target.points) || 0)
+    });
+    
+    const normalizeOverrides = (overrides) => {
+      const result = {};
+      Object.entries(overrides || {}).forEach(([key, target]) => {
+        if (key) {
+          result[key] = normalizeTarget(target);
+        }
+      });
+      return result;
+    };
+    
+    return {
+      global: normalizeTarget(settings ? settings.global : null),
+      alliances: normalizeOverrides(settings ? settings.alliances : null),
+      ranks: normalizeOverrides(settings ? settings.ranks : null)
+    };
+  }
+  
+  /**
+   * Load quota settings from local storage
+   * @private
+   */
+  _loadQuotaSettings() {
+    try {
+      const stored = localStorage.getItem('tb_quota_settings');
+      this._quotaSettings = this._normalizeQuotaSettings(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._loadQuotaSettings', false);
+      this._quotaSettings = this._normalizeQuotaSettings(null);
+    }
+    
+    this._stateManager.setState('quota', this.getQuotaSettings());
+  }
+  
+  /**
+   * Add the values of the computed columns to player copies
+   * @param {Array} players - Players
+   * @returns {Array} Players with a value (or null) per computed column key
+   * @private
+   */
+  _applyComputedColumns(players) {
+    if (this._computedColumns.length === 0) {
+      return players;
+    }
+    
+    const compiled = this._computedColumns
+      .map(column => ({ key: column.key, ...this._formulaService.compile(column.formula, this.getFormulaFields()) }))
+      .filter(column => column.evaluate);
+    
+    return players.map(player => {
+      const computed = { ...player };
       
-      // Server statistics
-      const serverStats = {};
-      this._cache.servers.forEach(server => {
-        const serverPlayers = players.filter(player => player.server === server);
-        
-        serverStats[server] = {
-          playerCount: serverPlayers.length,
-          totalScore: serverPlayers.reduce((sum, player) => sum + player.score, 0),
-          totalChests: serverPlayers.reduce((sum, player) => sum + player.chests, 0),
-          averageScore: serverPlayers.length > 0 
-            ? serverPlayers.reduce((sum, player) => sum + player.score, 0) / serverPlayers.length 
-            : 0,
-          averageChests: serverPlayers.length > 0 
-            ? serverPlayers.reduce((sum, player) => sum + player.chests, 0) / serverPlayers.length 
-            : 0,
-          averageRatio: serverPlayers.length > 0 
-            ? serverPlayers.reduce((sum, player) => sum + player.ratio, 0) / serverPlayers.length 
-            : 0
-        };
+      compiled.forEach(column => {
+        const values = {};
+        column.fields.forEach(field => {
+          values[field] = this._formulaFields[field](player);
+        });
+        computed[column.key] = column.evaluate(values);
       });
       
-      return {
-        totalPlayers,
-        totalChests,
-        totalScore,
-        averageChests,
-        averageScore,
-        averageRatio,
-        topPlayersByScore,
-        topPlayersByChests,
-        topPlayersByRatio,
-        allianceStats,
-        serverStats,
-        lastUpdated: this._cache.lastUpdated
-      };
-    } catch (error) {
-      this._errorHandler.handleError(error, 'DataService.getStatistics', false);
-      return {
-        totalPlayers: 0,
-        totalChests: 0,
-        totalScore: 0,
-        averageChests: 0,
-        averageScore: 0,
-        averageRatio: 0,
-        topPlayersByScore: [],
-        topPlayersByChests: [],
-        topPlayersByRatio: [],
-        allianceStats: {},
-        serverStats: {},
-        lastUpdated: null
-      };
+      return computed;
+    });
+  }
+  
+  /**
+   * Create a unique computed column key from its label
+   * @param {string} label - Column label
+   * @returns {string} Key usable as query field (lower case letters, digits and underscores)
+   * @private
+   */
+  _createColumnKey(label) {
+    let base = label.toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    
+    if (!/^[a-z]/.test(base)) {
+      base = `column_${base}`.replace(/_+$/, '');
+    }
+    
+    // Keys must not shadow player fields or other columns
+    const taken = new Set([
+      ...this._queryService.getFields(),
+      ...this.getFormulaFields().map(field => field.toLowerCase()),
+      ...Object.keys(this._cache.players[0] || {}).map(field => field.toLowerCase()),
+      ...this._computedColumns.map(column => column.key)
+    ]);
+    
+    let key = base;
+    for (let suffix = 2; taken.has(key); suffix++) {
+      key = `${base}_${suffix}`;
     }
+    
+    return key;
   }
   
   /**
-   * Get data for a specific chart
-   * @param {string} chartType - Chart type
-   * @param {Object} options - Chart options
-   * @returns {Object} Chart data
+   * Load computed columns and column layouts from local storage
+   * @private
    */
-  getChartData(chartType, options = {}) {
+  _loadColumnSettings() {
     try {
-      const players = this.getFilteredPlayers(options.filters);
+      const stored = JSON.parse(localStorage.getItem('tb_table_columns') || 'null');
       
-      switch (chartType) {
-        case 'score_distribution':
-          return this._createScoreDistributionData(players);
-          
-        case 'chest_distribution':
-          return this._createChestDistributionData(players);
-          
-        case 'alliance_comparison':
-          return this._createAllianceComparisonData(players);
-          
-        case 'server_comparison':
-          return this._createServerComparisonData(players);
-          
-        case 'ratio_distribution':
-          return this._createRatioDistributionData(players);
-          
-        case 'top_players':
-          return this._createTopPlayersData(players, options.metric || 'score');
-          
-        default:
-          throw new Error(`Unknown chart type: ${chartType}`);
-      }
+      this._computedColumns = stored && Array.isArray(stored.computed) ? stored.computed : [];
+      this._columnLayouts = stored && stored.layouts && typeof stored.layouts === 'object' ? stored.layouts : {};
     } catch (error) {
-      this._errorHandler.handleError(error, 'DataService.getChartData', false);
-      return {
-        series: [],
-        categories: []
-      };
+      this._errorHandler.handleError(error, 'DataService._loadColumnSettings', false);
+      this._computedColumns = [];
+      this._columnLayouts = {};
     }
+    
+    this._stateManager.setState('computedColumns', this.getComputedColumns());
   }
   
   /**
-   * Clear data cache
+   * Save computed columns and column layouts to local storage and publish the columns to state
+   * @private
    */
-  clearCache() {
+  _saveColumnSettings() {
+    try {
+      localStorage.setItem('tb_table_columns', JSON.stringify({
+        computed: this._computedColumns,
+        layouts: this._columnLayouts
+      }));
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._saveColumnSettings', false);
+    }
+    
+    this._stateManager.setState('computedColumns', this.getComputedColumns());
+  }
+  
+  /**
+   * Check if a timestamp lies within a resolved range
+   * @param {string} timestamp - ISO timestamp
+   * @param {Object} range - Range with start (inclusive) and end (exclusive) dates
+   * @returns {boolean} Whether the timestamp is in range
+   * @private
+   */
+  _isInRange(timestamp, range) {
+    const time = new Date(timestamp).getTime();
+    
+    return (!range.start || time >= range.start.getTime()) &&
+      (!range.end || time < range.end.getTime());
+  }
+  
+  /**
+   * Convert a timestamp value to an ISO string
+   * @param {*} value - Timestamp (ISO string, date string or epoch milliseconds)
+   * @returns {string|null} ISO timestamp or null if missing or invalid
+   * @private
+   */
+  _toIsoTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    
+    // Plain dates are read as local days, not UTC midnight
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? this._parseDateKey(value)
+      : new Date(value);
+    
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  
+  /**
+   * Get the Monday starting the week of a date
+   * @param {Date} date - Date
+   * @returns {Date} Local midnight of that week's Monday
+   * @private
+   */
+  _getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+  }
+  
+  /**
+   * Add days to a date
+   * @param {Date} date - Date
+   * @param {number} days - Days to add (may be negative)
+   * @returns {Date} New date
+   * @private
+   */
+  _addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+  
+  /**
+   * Parse a local YYYY-MM-DD key
+   * @param {string} key - Date key
+   * @returns {Date} Local midnight of that day
+   * @private
+   */
+  _parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  
+  /**
+   * Format a date as local YYYY-MM-DD key
+   * @param {Date} date - Date to format
+   * @returns {string} Date key
+   * @private
+   */
+  _formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  /**
+   * Empty the in-memory cache
+   * @private
+   */
+  _resetCache() {
     this._cache = {
+      sourcePlayers: [],
+      sourceEvents: [],
       players: [],
+      events: [],
+      memberships: {},
+      digest: null,
+      previousRankings: null,
       alliances: [],
       servers: [],
       lastUpdated: null
     };
+  }
+  
+  /**
+   * Mark a dataset as active and record it in state
+   * @param {string} datasetId - Dataset ID
+   * @private
+   */
+  _activateDataset(datasetId) {
+    this._activeDatasetId = datasetId;
+    this._saveDatasets();
     
-    // Clear local storage
-    localStorage.removeItem('tb_data_cache');
-    
-    // Update state
-    this._stateManager.setState('dataLoaded', false);
+    // Merges and corrections belong to the dataset they were made in
+    this._loadPlayerAliases();
+    this._loadPlayerOverrides();
     
-    console.log('Data cache cleared');
+    this._stateManager.setState('activeDataset', datasetId);
   }
   
   /**
-   * Set data source URL
-   * @param {string} url - Data source URL
+   * Load the dataset registry from local storage
+   * The first run registers a default dataset for the configured data source.
+   * @private
    */
-  setDataSource(url) {
-    this._dataSourceUrl = url;
+  _loadDatasets() {
+    try {
+      const stored = localStorage.getItem('tb_datasets');
+      const registry = stored ? JSON.parse(stored) : null;
+      
+      this._datasets = registry && Array.isArray(registry.datasets) ? registry.datasets : [];
+      this._activeDatasetId = registry ? registry.activeId : 'default';
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._loadDatasets', false);
+      this._datasets = [];
+    }
     
-    // Update state
-    this._stateManager.setState('dataSource', url);
+    if (this._datasets.length === 0) {
+      this._datasets.push({
+        id: 'default',
+        name: 'Default',
+        type: 'url',
+        source: this._stateManager.getState('dataSource') || this._dataSourceUrl,
+        importMode: 'replace',
+        lastLoaded: null
+      });
+    }
     
-    console.log(`Data source set to: ${url}`);
+    if (!this._datasets.some(d => d.id === this._activeDatasetId)) {
+      this._activeDatasetId = this._datasets[0].id;
+    }
+    
+    this._saveDatasets();
+    this._stateManager.setState('activeDataset', this._activeDatasetId);
   }
   
   /**
-   * Process raw data
-   * @param {Object} data - Raw data
-   * @returns {Promise<boolean>} Success status
+   * Save the dataset registry to local storage
    * @private
    */
-  async _processData(data) {
+  _saveDatasets() {
     try {
-      // Process players
-      const players = data.players || [];
+      localStorage.setItem('tb_datasets', JSON.stringify({
+        datasets: this._datasets,
+        activeId: this._activeDatasetId
+      }));
+    } catch (error) {
+      this._errorHandler.handleError(error, 'DataService._saveDatasets', false);
+    }
+    
+    this._stateManager.setState('datasets', this.getDatasets());
+  }
+  
+  /**
+   * Load the stored dataset
+   * @returns {Promise<boolean>} Whether a dataset was restored
+   * @private
+   */
+  async _loadFromStorage() {
+    try {
+      if (!this._storageService.isAvailable()) {
+        return this._loadLegacyCache();
+      }
       
-      // Transform player data
-      const processedPlayers = players.map((player, index) => {
-        return {
-          id: player.id || `player_${index}`,
-          name: player.name || `Unknown Player ${index}`,
-          alliance: player.alliance || '',
-          server: player.server || 'Unknown',
-          score: player.score || 0,
-          chests: player.chests || 0,
-          ratio: player.chests > 0 ? player.score / player.chests : 0
-        };
-      });
+      // Move data saved by older versions into IndexedDB first
+      await this._migrateLegacyCache();
       
-      // Extract unique alliances
-      const alliances = [...new Set(processedPlayers
-        .map(player => player.alliance)
-        .filter(alliance => alliance !== '')
-      )].sort();
+      const datasetId = this._activeDatasetId;
+      const meta = await this._storageService.get('meta', `dataset:${datasetId}`);
+      if (!meta) {
+        return false;
+      }
       
-      // Extract unique servers
-      const servers = [...new Set(processedPlayers
-        .map(player => player.server)
-        .filter(server => server !== 'Unknown')
-      )].sort();
+      // Drop the storage key field from the records
+      const stripDatasetId = ({ datasetId: _datasetId, ...record }) => record;
       
-      // Update cache
-      this._cache.players = processedPlayers;
-      this._cache.alliances = alliances;
-      this._cache.servers = servers;
-      this._cache.lastUpdated = new Date();
+      this._cache.sourcePlayers = (await this._storageService.getAllByPrefix('players', datasetId)).map(stripDatasetId);
+      this._cache.sourceEvents = (await this._storageService.getAllByPrefix('events', datasetId)).map(stripDatasetId);
+      this._applyPlayerAliases();
+      this._cache.memberships = meta.memberships || {};
+      this._cache.digest = meta.digest || null;
+      this._cache.previousRankings = meta.previousRankings || null;
+      this._cache.alliances = meta.alliances || [];
+      this._cache.servers = meta.servers || [];
+      this._cache.lastUpdated = meta.lastUpdated ? new Date(meta.lastUpdated) : null;
       
-      // Save to cache
-      this._saveToCache();
+      if (this._cache.players.length > 0) {
+        // Update state
+        this._stateManager.setState('dataLoaded', true);
+        console.log('Data loaded from storage');
+      }
       
-      return true;
+      return this._cache.players.length > 0;
     } catch (error) {
-      this._errorHandler.handleError(error, 'DataService._processData', false);
+      this._errorHandler.handleError(error, 'DataService._loadFromStorage', false);
       return false;
     }
   }
   
   /**
-   * Save data to cache
+   * Move the old single localStorage cache entry into IndexedDB
+   * The entry is only removed once the data is stored.
+   * @returns {Promise<boolean>} Whether data was migrated
    * @private
    */
-  _saveToCache() {
+  async _migrateLegacyCache() {
+    const cacheData = localStorage.getItem('tb_data_cache');
+    if (!cacheData) {
+      return false;
+    }
+    
+    let parsed;
     try {
-      const cacheData = {
-        players: this._cache.players,
-        alliances: this._cache.alliances,
-        servers: this._cache.servers,
-        lastUpdated: this._cache.lastUpdated.toISOString()
-      };
-      
-      localStorage.setItem('tb_data_cache', JSON.stringify(cacheData));
+      parsed = JSON.parse(cacheData);
     } catch (error) {
-      console.warn('Failed to save data to cache:', error);
+      // Unreadable entries cannot be migrated
+      console.warn('Discarding unreadable data cache:', error);
+      localStorage.removeItem('tb_data_cache');
+      return false;
+    }
+    
+    // Data already in IndexedDB is newer than the old entry
+    const datasetId = this._activeDatasetId;
+    const existing = await this._storageService.get('meta', `dataset:${datasetId}`);
+    let migrated = false;
+    
+    if (!existing && parsed.players && parsed.players.length > 0) {
+      await this._storageService.writeBatch([
+        { store: 'players', clearPrefix: datasetId, put: parsed.players.map(player => ({ ...player, datasetId })) },
+        { store: 'events', clearPrefix: datasetId, put: (parsed.events || []).map(event => ({ ...event, datasetId })) },
+        {
+          store: 'meta',
+          put: [{
+            key: `dataset:${datasetId}`,
+            memberships: parsed.memberships || {},
+            digest: parsed.digest || null,
+            previousRankings: parsed.previousRankings || null,
+            alliances: parsed.alliances || [],
+            servers: parsed.servers || [],
+            lastUpdated: parsed.lastUpdated || null
+          }]
+        }
+      ]);
+      
+      console.log('Migrated data cache from localStorage to IndexedDB');
+      migrated = true;
     }
+    
+    localStorage.removeItem('tb_data_cache');
+    return migrated;
   }
   
   /**
-   * Load data from cache
+   * Load the dataset from the localStorage entry (browsers without IndexedDB)
+   * @returns {boolean} Whether a dataset was restored
    * @private
    */
-  _loadFromCache() {
+  _loadLegacyCache() {
     try {
       const cacheData = localStorage.getItem('tb_data_cache');
       
       if (cacheData) {
         const parsed = JSON.parse(cacheData);
         
-        this._cache.players = parsed.players || [];
+        this._cache.sourcePlayers = parsed.players || [];
+        this._cache.sourceEvents = parsed.events || [];
+        this._applyPlayerAliases();
+        this._cache.memberships = parsed.memberships || {};
+        this._cache.digest = parsed.digest || null;
+        this._cache.previousRankings = parsed.previousRankings || null;
         this._cache.alliances = parsed.alliances || [];
         this._cache.servers = parsed.servers || [];
         this._cache.lastUpdated = parsed.lastUpdated ? new Date(parsed.lastUpdated) : null;
@@ -520,11 +4176,14 @@ export class DataService {
           // Update state
           this._stateManager.setState('dataLoaded', true);
           console.log('Data loaded from cache');
+          return true;
         }
       }
     } catch (error) {
       console.warn('Failed to load data from cache:', error);
     }
+    
+    return false;
   }
   
   /**
@@ -0,0 +1,486 @@
+/**
+ * exportService.js
+ * 
+ * Service for exporting table data in the TB Chest Analyzer.
+ * Writes rows as CSV, JSON or a minimal XLSX workbook generated in the browser, without external libraries.
+ */
+
+/**
+ * ExportService - Exports table rows as CSV, JSON and XLSX files
+ * 
+ * Columns are exported in the given order with their localized header (column.labelKey, otherwise column.label).
+ * CSV numbers use the number format of the current language (with ; as separator where the decimal mark is a comma),
+ * JSON keeps the raw values and XLSX writes numbers as numeric cells.
+ */
+export class ExportService {
+  /**
+   * Initialize the export service
+   * @param {Object} languageService - Language service instance
+   * @param {Object} errorHandler - Error handler instance
+   */
+  constructor(languageService, errorHandler) {
+    this._languageService = languageService;
+    this._errorHandler = errorHandler;
+    
+    // Supported formats with their file extension and MIME type
+    this._formats = {
+      csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    };
+    
+    // Text starting with these characters would be run as a formula by spreadsheet programs
+    this._formulaPrefixes = ['=', '+', '-', '@'];
+    
+    // CRC-32 lookup table for the XLSX (zip) container, built on first use
+    this._crcTable = null;
+  }
+  
+  /**
+   * Get the supported export formats
+   * @returns {Array<string>} Format names (csv, json, xlsx)
+   */
+  getFormats() {
+    return Object.keys(this._formats);
+  }
+  
+  /**
+   * Export rows and download them as a file
+   * @param {Array} rows - Rows in display order
+   * @param {Array} columns - Visible columns ({ key, label, labelKey })
+   * @param {string} format - Format from getFormats
+   * @param {string} fileName - File name without extension
+   * @param {Object} options - Export options
+   * @param {string} options.sheetName - Worksheet name of XLSX files
+   * @returns {boolean} Success status
+   */
+  exportTable(rows, columns, format, fileName, options = {}) {
+    try {
+      const definition = this._formats[format];
+      if (!definition) {
+        throw new Error(`Unknown export format: ${format}`);
+      }
+      
+      let content;
+      switch (format) {
+        case 'csv':
+          // Excel only reads UTF-8 CSV files with a byte order mark
+          content = `\uFEFF${this.createCsv(rows, columns)}`;
+          break;
+        
+        case 'json':
+          content = this.createJson(rows, columns);
+          break;
+        
+        default:
+          content = this.createXlsx(rows, columns, options.sheetName);
+      }
+      
+      this._download(new Blob([content], { type: definition.mimeType }), `${fileName}.${definition.extension}`);
+      
+      return true;
+    } catch (error) {
+      this._errorHandler.handleError(error, 'ExportService.exportTable');
+      return false;
+    }
+  }
+  
+  /**
+   * Create CSV text with a localized header row and localized numbers
+   * @param {Array} rows - Rows in display order
+   * @param {Array} columns - Visible columns
+   * @returns {string} CSV text
+   */
+  createCsv(rows, columns) {
+    const delimiter = this._getCsvDelimiter();
+    
+    const lines = [columns.map(column => this._escapeCsv(this._getHeader(column), delimiter)).join(delimiter)];
+    
+    rows.forEach(row => {
+      lines.push(columns.map(column => {
+        const value = this._getCellValue(row, column);
+        
+        if (typeof value === 'number') {
+          return this._escapeCsv(this._languageService.formatNumber(value, { useGrouping: false }), delimiter);
+        }
+        
+        return this._escapeCsv(this._neutralizeFormula(value), delimiter);
+      }).join(delimiter));
+    });
+    
+    return lines.join('\r\n');
+  }
+  
+  /**
+   * Create JSON with the column headers and the raw row values keyed by column
+   * @param {Array} rows - Rows in display order
+   * @param {Array} columns - Visible columns
+   * @returns {string} JSON text
+   */
+  createJson(rows, columns) {
+    return JSON.stringify({
+      exported: new Date().toISOString(),
+      language: this._languageService.getCurrentLanguage(),
+      columns: columns.map(column => ({ key: column.key, label: this._getHeader(column) })),
+      rows: rows.map(row => {
+        const entry = {};
+        columns.forEach(column => {
+          entry[column.key] = this._getCellValue(row, column);
+        });
+        return entry;
+      })
+    }, null, 2);
+  }
+  
+  /**
+   * Create an XLSX workbook with one worksheet
+   * The header row is bold and frozen; numbers are numeric cells with thousands separators.
+   * @param {Array} rows - Rows in display order
+   * @param {Array} columns - Visible columns
+   * @param {string} sheetName - Worksheet name
+   * @returns {Uint8Array} XLSX file content
+   */
+  createXlsx(rows, columns, sheetName = 'Sheet1') {
+    // Worksheet names are limited to 31 characters without []:*?/\
+    const name = String(sheetName || 'Sheet1').replace(/[[\]:*?/\\]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || 'Sheet1';
+    
+    // Columns with fractions get two decimals, whole numbers none
+    const decimalColumns = columns.map(column => rows.some(row => {
+      const value = this._getCellValue(row, column);
+      return typeof value === 'number' && !Number.isInteger(value);
+    }));
+    
+    const headerCells = columns.map((column, index) =>
+      this._createXlsxCell(index, 1, this._getHeader(column), 1)
+    ).join('');
+    const sheetRows = [`<row r="1">${headerCells}</row>`];
+    
+    rows.forEach((row, rowIndex) => {
+      const cells = columns.map((column, index) => {
+        const value = this._getCellValue(row, column);
+        const style = typeof value === 'number' ? (decimalColumns[index] ? 3 : 2) : 0;
+        return this._createXlsxCell(index, rowIndex + 2, value, style);
+      }).join('');
+      sheetRows.push(`<row r="${rowIndex + 2}">${cells}</row>`);
+    });
+    
+    // Approximate column widths from the longest value
+    const widths = columns.map((column, index) => {
+      const width = rows.reduce((max, row) => {
+        const value = this._getCellValue(row, column);
+        return value === null ? max : Math.max(max, String(value).length);
+      }, Math.max(this._getHeader(column).length, 6)) + 2;
+      return `<col min="${index + 1}" max="${index + 1}" width="${Math.min(width, 60)}" customWidth="1"/>`;
+    }).join('');
+    
+    const worksheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      (widths ? `<cols>${widths}</cols>` : '') +
+      `<sheetData>${sheetRows.join('')}</sheetData>` +
+      '</worksheet>';
+    
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${this._escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+    
+    // Styles: 0 default, 1 bold header, 2 whole numbers (#,##0), 3 decimals (#,##0.00)
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '</styleSheet>';
+    
+    return this._createZip([
+      {
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+      },
+      { name: 'xl/workbook.xml', content: workbook },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+          '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+          '</Relationships>'
+      },
+      { name: 'xl/styles.xml', content: styles },
+      { name: 'xl/worksheets/sheet1.xml', content: worksheet }
+    ]);
+  }
+  
+  /**
+   * Get the localized header of a column
+   * @param {Object} column - Column configuration
+   * @returns {string} Header text
+   * @private
+   */
+  _getHeader(column) {
+    return column.labelKey ? this._languageService.translate(column.labelKey) : String(column.label || column.key);
+  }
+  
+  /**
+   * Get the exported value of a cell
+   * @param {Object} row - Row data
+   * @param {Object} column - Column configuration
+   * @returns {string|number|null} Number, text or null if empty
+   * @private
+   */
+  _getCellValue(row, column) {
+    const value = row[column.key];
+    
+    if (value === undefined || value === null || (typeof value === 'number' && !Number.isFinite(value))) {
+      return null;
+    }
+    
+    return typeof value === 'number' ? value : String(value);
+  }
+  
+  /**
+   * Get the CSV separator for the current language
+   * Languages writing decimals with a comma use a semicolon, as spreadsheet programs expect there.
+   * @returns {string} Separator
+   * @private
+   */
+  _getCsvDelimiter() {
+    return this._languageService.formatNumber(1.5).includes(',') ? ';' : ',';
+  }
+  
+  /**
+   * Quote a CSV field if needed
+   * @param {string|null} value - Field text
+   * @param {string} delimiter - CSV separator
+   * @returns {string} CSV field
+   * @private
+   */
+  _escapeCsv(value, delimiter) {
+    const text = value === null ? '' : String(value);
+    
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    
+    return text;
+  }
+  
+  /**
+   * Keep text that looks like a formula (e.g. a player named =SUM(...)) from being run by spreadsheet programs
+   * @param {string|null} value - Cell text
+   * @returns {string|null} Text prefixed with an apostrophe if needed
+   * @private
+   */
+  _neutralizeFormula(value) {
+    if (value && this._formulaPrefixes.includes(value[0])) {
+      return `'${value}`;
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Create a worksheet cell
+   * @param {number} columnIndex - Zero-based column index
+   * @param {number} rowNumber - One-based row number
+   * @param {string|number|null} value - Cell value
+   * @param {number} style - Cell style index from the workbook styles
+   * @returns {string} Cell XML (empty for empty cells)
+   * @private
+   */
+  _createXlsxCell(columnIndex, rowNumber, value, style) {
+    if (value === null) {
+      return '';
+    }
+    
+    const reference = `${this._getColumnName(columnIndex)}${rowNumber}`;
+    const styleAttribute = style ? ` s="${style}"` : '';
+    
+    if (typeof value === 'number') {
+      return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    
+    // Inline strings avoid a shared string table
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${this._escapeXml(value)}</t></is></c>`;
+  }
+  
+  /**
+   * Get the spreadsheet name of a column (A, B, ..., Z, AA, ...)
+   * @param {number} index - Zero-based column index
+   * @returns {string} Column name
+   * @private
+   */
+  _getColumnName(index) {
+    let name = '';
+    let remaining = index + 1;
+    
+    while (remaining > 0) {
+      const letter = (remaining - 1) % 26;
+      name = String.fromCharCode(65 + letter) + name;
+      remaining = Math.floor((remaining - 1) / 26);
+    }
+    
+    return name;
+  }
+  
+  /**
+   * Escape text for XML, dropping characters XML cannot contain
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   * @private
+   */
+  _escapeXml(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Pack files into an uncompressed zip archive
+   * @param {Array} files - Files ({ name, content }) with text content
+   * @returns {Uint8Array} Zip archive
+   * @private
+   */
+  _createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    // DOS date and time of the entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this._crc32(data);
+      
+      // Local file header (version 2.0, UTF-8 names, stored without compression)
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, 0, true);
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+      
+      localParts.push(new Uint8Array(header.buffer), name, data);
+      
+      // Central directory entry pointing at the local header
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      
+      centralParts.push(new Uint8Array(entry.buffer), name);
+      
+      offset += 30 + name.length + data.length;
+    });
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+    
+    return zip;
+  }
+  
+  /**
+   * Calculate the CRC-32 checksum of zip entries
+   * @param {Uint8Array} data - Data
+   * @returns {number} Checksum
+   * @private
+   */
+  _crc32(data) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = this._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+  
+  /**
+   * Download a file
+   * @param {Blob} blob - File content
+   * @param {string} fileName - File name
+   * @private
+   */
+  _download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,381 @@
+/**
+ * formulaService.js
+ * 
+ * Service for computed column formulas in the TB Chest Analyzer.
+ * Parses arithmetic formulas like score / 1000 or chests - quotaTarget without eval
+ * and compiles them into functions over player field values.
+ */
+
+/**
+ * FormulaService - Parses and compiles computed column formulas
+ * 
+ * Syntax:
+ * - Numbers, field names, + - * / %, unary minus and parentheses
+ * - Functions abs(x), round(x, digits), floor(x), ceil(x), min(a, b, ...) and max(a, b, ...)
+ * - Missing field values and division by zero give no value (null) instead of Infinity or NaN
+ */
+export class FormulaService {
+  /**
+   * Initialize the formula service
+   */
+  constructor() {
+    // Functions with their argument counts
+    this._functions = {
+      abs: { minArgs: 1, maxArgs: 1, apply: value => Math.abs(value) },
+      round: { minArgs: 1, maxArgs: 2, apply: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits },
+      floor: { minArgs: 1, maxArgs: 1, apply: value => Math.floor(value) },
+      ceil: { minArgs: 1, maxArgs: 1, apply: value => Math.ceil(value) },
+      min: { minArgs: 1, maxArgs: Infinity, apply: (...values) => Math.min(...values) },
+      max: { minArgs: 1, maxArgs: Infinity, apply: (...values) => Math.max(...values) }
+    };
+    
+    // Binary operators by precedence level
+    this._additive = ['+', '-'];
+    this._multiplicative = ['*', '/', '%'];
+  }
+  
+  /**
+   * Get the names of the available functions
+   * @returns {Array<string>} Function names
+   */
+  getFunctions() {
+    return Object.keys(this._functions);
+  }
+  
+  /**
+   * Parse a formula into a syntax tree
+   * @param {string} formula - Formula text
+   * @param {Array<string>} fields - Field names the formula may use
+   * @returns {Object} Result with the syntax tree, the used fields and a syntax error ({ message, position, length }) or null
+   */
+  parse(formula, fields = []) {
+    try {
+      const tokens = this._tokenize(formula || '');
+      if (tokens.length === 0) {
+        this._fail('Formula is empty', { position: 0, text: '' });
+      }
+      
+      // Field names ignore case but are reported with their own spelling
+      const fieldNames = new Map(fields.map(field => [field.toLowerCase(), field]));
+      const parser = { tokens, index: 0, fieldNames, usedFields: new Set() };
+      const ast = this._parseAdditive(parser);
+      
+      // Everything must be consumed
+      if (parser.index < tokens.length) {
+        const token = tokens[parser.index];
+        this._fail(token.text === ')' ? 'Unmatched )' : `Unexpected ${token.text}`, token);
+      }
+      
+      return { ast, fields: [...parser.usedFields], error: null };
+    } catch (error) {
+      if (error.position === undefined) {
+        throw error;
+      }
+      
+      return {
+        ast: null,
+        fields: [],
+        error: { message: error.message, position: error.position, length: error.length }
+      };
+    }
+  }
+  
+  /**
+   * Compile a formula into a function
+   * @param {string} formula - Formula text
+   * @param {Array<string>} fields - Field names the formula may use
+   * @returns {Object} Result with evaluate(values) returning a number or null, the used fields and a syntax error
+   */
+  compile(formula, fields = []) {
+    const { ast, fields: usedFields, error } = this.parse(formula, fields);
+    if (error) {
+      return { evaluate: null, fields: [], error };
+    }
+    
+    const evaluate = this._compileNode(ast);
+    
+    return {
+      evaluate: values => {
+        const result = evaluate(values);
+        return typeof result === 'number' && Number.isFinite(result) ? result : null;
+      },
+      fields: usedFields,
+      error: null
+    };
+  }
+  
+  /**
+   * Split a formula into tokens
+   * @param {string} formula - Formula text
+   * @returns {Array} Tokens ({ type, text, value, position })
+   * @private
+   */
+  _tokenize(formula) {
+    const tokens = [];
+    let position = 0;
+    
+    while (position < formula.length) {
+      const rest = formula.slice(position);
+      
+      // Whitespace
+      const space = rest.match(/^\s+/);
+      if (space) {
+        position += space[0].length;
+        continue;
+      }
+      
+      // Numbers (123, 1.5, .5)
+      const number = rest.match(/^(\d+(\.\d*)?|\.\d+)/);
+      if (number) {
+        tokens.push({ type: 'number', text: number[0], value: Number(number[0]), position });
+        position += number[0].length;
+        continue;
+      }
+      
+      // Field and function names
+      const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (name) {
+        tokens.push({ type: 'name', text: name[0], value: name[0], position });
+        position += name[0].length;
+        continue;
+      }
+      
+      // Operators, parentheses and argument separators
+      const char = formula[position];
+      if ([...this._additive, ...this._multiplicative].includes(char)) {
+        tokens.push({ type: 'operator', text: char, position });
+      } else if (char === '(' || char === ')' || char === ',') {
+        tokens.push({ type: char, text: char, position });
+      } else {
+        this._fail(`Unexpected character ${char}`, { position, text: char });
+      }
+      position++;
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Parse terms joined by + or -
+   * @param {Object} parser - Parser state ({ tokens, index, fieldNames, usedFields })
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseAdditive(parser) {
+    let node = this._parseMultiplicative(parser);
+    
+    while (this._peekOperator(parser, this._additive)) {
+      const operator = parser.tokens[parser.index++];
+      node = { type: 'binary', operator: operator.text, left: node, right: this._parseMultiplicative(parser, operator) };
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Parse factors joined by *, / or %
+   * @param {Object} parser - Parser state ({ tokens, index, fieldNames, usedFields })
+   * @param {Object} previous - Token before the term (for error messages)
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseMultiplicative(parser, previous = null) {
+    let node = this._parseUnary(parser, previous);
+    
+    while (this._peekOperator(parser, this._multiplicative)) {
+      const operator = parser.tokens[parser.index++];
+      node = { type: 'binary', operator: operator.text, left: node, right: this._parseUnary(parser, operator) };
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Parse a negated or plain factor
+   * @param {Object} parser - Parser state ({ tokens, index, fieldNames, usedFields })
+   * @param {Object} previous - Token before the factor (for error messages)
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseUnary(parser, previous = null) {
+    if (this._peekOperator(parser, ['-', '+'])) {
+      const operator = parser.tokens[parser.index++];
+      const operand = this._parseUnary(parser, operator);
+      return operator.text === '-' ? { type: 'negate', operand } : operand;
+    }
+    
+    return this._parsePrimary(parser, previous);
+  }
+  
+  /**
+   * Parse a number, field, function call or group in parentheses
+   * @param {Object} parser - Parser state ({ tokens, index, fieldNames, usedFields })
+   * @param {Object} previous - Token before the factor (for error messages)
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parsePrimary(parser, previous = null) {
+    const token = parser.tokens[parser.index];
+    
+    if (!token) {
+      const last = previous || parser.tokens[parser.tokens.length - 1];
+      this._fail(`Expected a value after ${last.text}`, last);
+    }
+    
+    if (token.type === 'number') {
+      parser.index++;
+      return { type: 'number', value: token.value };
+    }
+    
+    if (token.type === '(') {
+      parser.index++;
+      const node = this._parseAdditive(parser);
+      if (!parser.tokens[parser.index] || parser.tokens[parser.index].type !== ')') {
+        this._fail('Missing closing )', token);
+      }
+      parser.index++;
+      return node;
+    }
+    
+    if (token.type !== 'name') {
+      this._fail(`Unexpected ${token.text}`, token);
+    }
+    parser.index++;
+    
+    // Function call
+    const next = parser.tokens[parser.index];
+    if (next && next.type === '(') {
+      return this._parseCall(parser, token);
+    }
+    
+    // Field
+    const field = parser.fieldNames.get(token.value.toLowerCase());
+    if (!field) {
+      this._fail(`Unknown field ${token.text} (use ${[...parser.fieldNames.values()].join(', ')})`, token);
+    }
+    
+    parser.usedFields.add(field);
+    return { type: 'field', field };
+  }
+  
+  /**
+   * Parse the arguments of a function call
+   * @param {Object} parser - Parser state, positioned at the opening parenthesis
+   * @param {Object} nameToken - Function name token
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseCall(parser, nameToken) {
+    const name = nameToken.value.toLowerCase();
+    const definition = this._functions[name];
+    if (!definition) {
+      this._fail(`Unknown function ${nameToken.text} (use ${this.getFunctions().join(', ')})`, nameToken);
+    }
+    
+    const openToken = parser.tokens[parser.index++];
+    const args = [];
+    
+    if (parser.tokens[parser.index] && parser.tokens[parser.index].type !== ')') {
+      args.push(this._parseAdditive(parser));
+      
+      while (parser.tokens[parser.index] && parser.tokens[parser.index].type === ',') {
+        parser.index++;
+        args.push(this._parseAdditive(parser));
+      }
+    }
+    
+    if (!parser.tokens[parser.index] || parser.tokens[parser.index].type !== ')') {
+      this._fail('Missing closing )', openToken);
+    }
+    parser.index++;
+    
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      const expected = definition.maxArgs === Infinity
+        ? `at least ${definition.minArgs}`
+        : (definition.minArgs === definition.maxArgs ? definition.minArgs : `${definition.minArgs} to ${definition.maxArgs}`);
+      this._fail(`${name} takes ${expected} argument(s), not ${args.length}`, nameToken);
+    }
+    
+    return { type: 'call', name, args };
+  }
+  
+  /**
+   * Compile a syntax tree node into a function
+   * Missing values propagate as null.
+   * @param {Object} node - Syntax tree node
+   * @returns {Function} Function receiving the field values
+   * @private
+   */
+  _compileNode(node) {
+    switch (node.type) {
+      case 'number':
+        return () => node.value;
+      
+      case 'field':
+        return values => {
+          const value = values[node.field];
+          return typeof value === 'number' && Number.isFinite(value) ? value : null;
+        };
+      
+      case 'negate': {
+        const operand = this._compileNode(node.operand);
+        return values => {
+          const value = operand(values);
+          return value === null ? null : -value;
+        };
+      }
+      
+      case 'call': {
+        const args = node.args.map(arg => this._compileNode(arg));
+        const apply = this._functions[node.name].apply;
+        return values => {
+          const argValues = args.map(arg => arg(values));
+          return argValues.includes(null) ? null : apply(...argValues);
+        };
+      }
+      
+      default: {
+        const left = this._compileNode(node.left);
+        const right = this._compileNode(node.right);
+        const calculate = {
+          '+': (a, b) => a + b,
+          '-': (a, b) => a - b,
+          '*': (a, b) => a * b,
+          '/': (a, b) => (b === 0 ? null : a / b),
+          '%': (a, b) => (b === 0 ? null : a % b)
+        }[node.operator];
+        
+        return values => {
+          const a = left(values);
+          const b = right(values);
+          return a === null || b === null ? null : calculate(a, b);
+        };
+      }
+    }
+  }
+  
+  /**
+   * Check if the next token is one of the given operators
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @param {Array<string>} operators - Operators
+   * @returns {boolean} Whether the next token matches
+   * @private
+   */
+  _peekOperator(parser, operators) {
+    const token = parser.tokens[parser.index];
+    return Boolean(token) && token.type === 'operator' && operators.includes(token.text);
+  }
+  
+  /**
+   * Throw a syntax error pointing at a token
+   * @param {string} message - Error message
+   * @param {Object} token - Token the error refers to
+   * @private
+   */
+  _fail(message, token) {
+    const error = new Error(message);
+    error.position = token.position;
+    error.length = Math.max((token.text || '').length, 1);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -47,6 +47,10 @@ export class LanguageService {
       de: {},
       fr: {}
     };
+    
+    // String collator for the current language (created on first use)
+    this._collator = null;
+    this._collatorLanguage = null;
   }
   
   /**
@@ -207,6 +211,22 @@ export class LanguageService {
     }
   }
   
+  /**
+   * Compare strings according to current language
+   * Ignores case and accents, and numbers inside strings compare by value (S2 before S10).
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+   */
+  compareStrings(a, b) {
+    if (!this._collator || this._collatorLanguage !== this._currentLanguage) {
+      this._collator = new Intl.Collator(this._currentLanguage, { numeric: true, sensitivity: 'base' });
+      this._collatorLanguage = this._currentLanguage;
+    }
+    
+    return this._collator.compare(String(a), String(b));
+  }
+  
   /**
    * Convert text to current language
    * @param {HTMLElement} element - Element to translate
@@ -273,6 +293,7 @@ export class LanguageService {
         'nav.dashboard': 'Dashboard',
         'nav.players': 'Players',
         'nav.analytics': 'Analytics',
+        'nav.quota': 'Quota',
         'nav.settings': 'Settings',
         
         // Dashboard
@@ -284,6 +305,56 @@ export class LanguageService {
         'dashboard.average_score': 'Average Score',
         'dashboard.quick_stats': 'Quick Stats',
         
+        // Change digest
+        'digest.title': 'What\'s new since {date}',
+        'digest.title_previous': 'What\'s new since the last load',
+        'digest.no_changes': 'No changes since the last load',
+        'digest.new_players': 'New players',
+        'digest.left_players': 'Players who left',
+        'digest.score_gains': 'Biggest score gains',
+        'digest.rank_changes': 'Rank changes',
+        'digest.alliance_changes': 'Alliance members',
+        'digest.alliance_change': '{alliance}: +{joined} / -{left} ({previousMembers} → {members})',
+        'digest.no_rank': 'none',
+        'digest.count': '{label}: {count}',
+        'digest.top_gain': 'top gain {name} +{gain}',
+        'digest.notification': 'Changes since the last load: {changes}',
+        
+        // Leaderboard movement
+        'rank.new': 'New',
+        'rank.previous': 'Previous rank: {rank}',
+        
+        // Filter presets
+        'preset.placeholder': 'Filter presets…',
+        'preset.apply': 'Apply a saved filter preset',
+        'preset.applied': 'Preset "{name}" applied',
+        'preset.save': 'Save preset',
+        'preset.save_hint': 'Saves the current search, server, alliance and date range filters. A preset with the same name is replaced.',
+        'preset.saved': 'Preset "{name}" saved',
+        'preset.name': 'Preset name',
+        'preset.manage': 'Manage presets',
+        'preset.none': 'No saved presets',
+        'preset.no_filters': 'No filters',
+        'preset.export': 'Export presets',
+        'preset.import_hint': 'Drop a preset file here or click to choose a file',
+        'preset.imported': '{added} presets added, {replaced} replaced, {rejected} rejected',
+        'preset.import_failed': 'Preset import failed',
+        
+        // Table columns
+        'columns.button': 'Columns',
+        'columns.title': 'Table columns',
+        'columns.hint': 'Drag columns to reorder them and untick columns to hide them.',
+        'columns.computed': 'Computed',
+        'columns.last_visible': 'At least one column must stay visible',
+        'columns.reset': 'Reset columns',
+        'columns.add_title': 'Add computed column',
+        'columns.name': 'Column name',
+        'columns.formula': 'Formula',
+        'columns.formula_placeholder': 'e.g. score / 1000',
+        'columns.formula_hint': 'Fields: {fields}. Operators + - * / % and parentheses; functions {functions}. Search computed columns by the key shown in the list, e.g. {example}.',
+        'columns.formula_error': 'Formula error: {message}',
+        'columns.added': 'Column "{name}" added',
+        
         // Players
         'players.title': 'Players',
         'players.search': 'Search Players',
@@ -297,6 +368,7 @@ export class LanguageService {
         'players.score': 'Score',
         'players.chests': 'Chests',
         'players.ratio': 'Ratio',
+        'players.rank': 'Rank',
         'players.actions': 'Actions',
         'players.view_details': 'View Details',
         'players.add_to_comparison': 'Add to Comparison',
@@ -306,6 +378,25 @@ export class LanguageService {
         'players.comparison': 'Comparison to Average',
         'players.no_results': 'No players found matching the current filters.',
         
+        // Corrections
+        'correction.title': 'Corrections',
+        'correction.change': '{field} of {player}: {old} → {new}',
+        'correction.reason': 'Reason',
+        'correction.reason_placeholder': 'e.g. chests missed by the export',
+        'correction.hint': 'The correction is kept across imports until it is reverted in the player details.',
+        'correction.dialog_title': 'Correct {field}',
+        'correction.save': 'Save Correction',
+        'correction.saved': '{field} of {player} corrected',
+        'correction.save_failed': 'Failed to save correction',
+        'correction.imported': '{value} (imported: {imported})',
+        'correction.revert': 'Revert',
+        'correction.reverted': '{field} of {player} reverted',
+        'correction.revert_failed': 'Failed to revert correction',
+        'correction.audit_edit': 'Edited',
+        'correction.audit_revert': 'Reverted',
+        'correction.edit_note': 'Edited (imported value: {value})',
+        'correction.edit_hint': 'Double-click to correct',
+        
         // Analytics
         'analytics.title': 'Analytics',
         'analytics.chart_type': 'Chart Type',
@@ -320,6 +411,12 @@ export class LanguageService {
         'analytics.export_jpg': 'Export as JPG',
         'analytics.export_svg': 'Export as SVG',
         'analytics.export_csv': 'Export as CSV',
+        'analytics.export_json': 'Export as JSON',
+        'analytics.export_xlsx': 'Export as Excel (XLSX)',
+        
+        // Export
+        'export.title': 'Export the filtered players with the visible columns in the current order',
+        'export.done': 'Exported {count} players',
         
         // Settings
         'settings.title': 'Settings',
@@ -334,6 +431,121 @@ export class LanguageService {
         'settings.settings_reset': 'Settings reset to defaults',
         'settings.confirm_reset': 'Are you sure you want to reset all settings to defaults?',
         
+        // Import
+        'import.title': 'Import Data',
+        'import.drop_hint': 'Drop a JSON or CSV file here or click to choose a file',
+        'import.summary_title': 'Import Summary',
+        'import.accepted': 'Rows accepted',
+        'import.rejected': 'Rows rejected',
+        'import.repaired': 'Rows repaired',
+        'import.confirm': 'Import',
+        'import.success': 'Imported {count} rows from {file}',
+        'import.failed': 'Import failed',
+        'import.no_rows': 'The file contains no rows that can be imported.',
+        'import.replace_warning': 'Importing replaces the data of the dataset "{dataset}".',
+        'import.mode_replace': 'Replace the data of "{dataset}"',
+        'import.mode_merge': 'Merge into "{dataset}"',
+        'import.merge_counts': '{type}: {added} added, {updated} updated, {skipped} skipped',
+        'import.players': 'Players',
+        'import.events': 'Events',
+        'import.merge_success': 'Merged {file}: {added} added, {updated} updated, {skipped} skipped',
+        'quality.title': 'Data quality',
+        'quality.no_issues': 'No issues found.',
+        'quality.duplicate': 'Duplicates',
+        'quality.negative_number': 'Negative numbers',
+        'quality.missing_name': 'Missing names',
+        'quality.type_mismatch': 'Type mismatches',
+        'quality.missing_field': 'Missing fields',
+        'quality.not_object': 'Unreadable rows',
+        'quality.row_player': 'Player #{index}',
+        'quality.row_event': 'Event #{index}',
+        'quality.status_repaired': 'repaired',
+        'quality.status_rejected': 'rejected',
+        'quality.notification': 'Data quality: {repaired} rows repaired, {rejected} rows rejected',
+        
+        // Date range
+        'daterange.all': 'All time',
+        'daterange.this_week': 'This week',
+        'daterange.last_week': 'Last week',
+        'daterange.this_month': 'This month',
+        'daterange.custom': 'Custom range',
+        'daterange.start': 'Start date',
+        'daterange.end': 'End date',
+        
+        // Quota
+        'quota.title': 'Weekly Quota',
+        'quota.settings_title': 'Weekly Quota',
+        'quota.global': 'Quota for all players',
+        'quota.overrides': 'Overrides per alliance or rank',
+        'quota.add_override': 'Add override',
+        'quota.scope_alliance': 'Alliance',
+        'quota.scope_rank': 'Rank',
+        'quota.min_chests': 'Min. chests',
+        'quota.min_points': 'Min. points',
+        'quota.rank': 'Rank',
+        'quota.progress': 'Progress',
+        'quota.status': 'Status',
+        'quota.streak': 'Streak',
+        'quota.history': 'Last weeks',
+        'quota.status_met': 'Met',
+        'quota.status_on_track': 'On track',
+        'quota.status_behind': 'Behind',
+        'quota.status_no_quota': 'No quota',
+        'quota.status_no_data': 'No data',
+        'quota.streak_met': '{count} weeks met',
+        'quota.streak_missed': '{count} weeks missed',
+        'quota.behind_only': 'Only show players behind',
+        'quota.no_players': 'No players are behind the quota.',
+        'quota.needs_events': 'Weekly tracking needs chest events with timestamps; the loaded data only has totals.',
+        
+        // Chest catalogue
+        'catalogue.title': 'Chest Catalogue',
+        'catalogue.hint': 'Point values from the catalogue replace the points of matching chests in the data. Chests not in the catalogue keep their points from the file.',
+        'catalogue.name': 'Chest name',
+        'catalogue.category': 'Category',
+        'catalogue.level': 'Level',
+        'catalogue.points': 'Points',
+        'catalogue.add_chest': 'Add chest',
+        'catalogue.unknown': 'Chests not in the catalogue',
+        'catalogue.import_hint': 'Drop a catalogue JSON file here or click to choose a file',
+        'catalogue.imported': 'Imported {count} chests ({rejected} rejected)',
+        'catalogue.unknown_in_import': 'Not in the chest catalogue: {chests}',
+        
+        // Storage
+        'storage.title': 'Browser storage',
+        'storage.usage': '{usage} of {quota} used ({percent}%)',
+        'storage.usage_unknown': 'This browser does not report storage usage.',
+        'storage.unavailable': 'IndexedDB is not available; data is kept in localStorage with limited space.',
+        'storage.counts': '{players} players, {events} chest events, {snapshots} snapshots stored',
+        'storage.write_failed': 'Last save failed',
+        
+        // Datasets
+        'dataset.title': 'Datasets',
+        'dataset.switch': 'Switch dataset',
+        'dataset.name': 'Dataset name',
+        'dataset.source': 'Source URL',
+        'dataset.add': 'Add dataset',
+        'dataset.active': 'Active',
+        'dataset.activate': 'Switch to',
+        'dataset.last_loaded': 'Last loaded: {date}',
+        'dataset.never_loaded': 'Not loaded yet',
+        'dataset.imported_file': 'Imported file: {file}',
+        'dataset.import_as_new': 'Import as new dataset',
+        'dataset.confirm_remove': 'Remove the dataset "{name}" and all of its stored data and history?',
+        'dataset.removed': 'Dataset removed',
+        'dataset.import_mode': 'Import mode',
+        'dataset.mode_replace': 'Replace data',
+        'dataset.mode_merge': 'Merge new records',
+        
+        // Auto refresh
+        'refresh.last': 'Refreshed {time}',
+        'refresh.never': 'Not refreshed yet',
+        'refresh.next': 'next {time}',
+        'refresh.retry': 'retry {time}',
+        'refresh.paused': 'paused',
+        'refresh.running': 'Refreshing…',
+        'refresh.now': 'Refresh now',
+        
         // Errors
         'error.data_load': 'Failed to load data',
         'error.navigation': 'Navigation failed',
@@ -372,6 +584,7 @@ export class LanguageService {
         'nav.dashboard': 'Dashboard',
         'nav.players': 'Spieler',
         'nav.analytics': 'Analyse',
+        'nav.quota': 'Quote',
         'nav.settings': 'Einstellungen',
         
         // Dashboard
@@ -383,6 +596,56 @@ export class LanguageService {
         'dashboard.average_score': 'Durchschnittliche Punktzahl',
         'dashboard.quick_stats': 'Schnelle Statistiken',
         
+        // Änderungsübersicht
+        'digest.title': 'Neu seit {date}',
+        'digest.title_previous': 'Neu seit dem letzten Laden',
+        'digest.no_changes': 'Keine Änderungen seit dem letzten Laden',
+        'digest.new_players': 'Neue Spieler',
+        'digest.left_players': 'Ausgeschiedene Spieler',
+        'digest.score_gains': 'Größte Punktzuwächse',
+        'digest.rank_changes': 'Rangänderungen',
+        'digest.alliance_changes': 'Allianzmitglieder',
+        'digest.alliance_change': '{alliance}: +{joined} / -{left} ({previousMembers} → {members})',
+        'digest.no_rank': 'keiner',
+        'digest.count': '{label}: {count}',
+        'digest.top_gain': 'größter Zuwachs {name} +{gain}',
+        'digest.notification': 'Änderungen seit dem letzten Laden: {changes}',
+        
+        // Ranglistenbewegung
+        'rank.new': 'Neu',
+        'rank.previous': 'Vorheriger Platz: {rank}',
+        
+        // Filtervorlagen
+        'preset.placeholder': 'Filtervorlagen…',
+        'preset.apply': 'Gespeicherte Filtervorlage anwenden',
+        'preset.applied': 'Vorlage „{name}“ angewendet',
+        'preset.save': 'Vorlage speichern',
+        'preset.save_hint': 'Speichert die aktuellen Filter für Suche, Server, Allianz und Zeitraum. Eine Vorlage mit demselben Namen wird ersetzt.',
+        'preset.saved': 'Vorlage „{name}“ gespeichert',
+        'preset.name': 'Name der Vorlage',
+        'preset.manage': 'Vorlagen verwalten',
+        'preset.none': 'Keine gespeicherten Vorlagen',
+        'preset.no_filters': 'Keine Filter',
+        'preset.export': 'Vorlagen exportieren',
+        'preset.import_hint': 'Vorlagendatei hier ablegen oder klicken, um eine Datei auszuwählen',
+        'preset.imported': '{added} Vorlagen hinzugefügt, {replaced} ersetzt, {rejected} abgelehnt',
+        'preset.import_failed': 'Import der Vorlagen fehlgeschlagen',
+        
+        // Table columns
+        'columns.button': 'Spalten',
+        'columns.title': 'Tabellenspalten',
+        'columns.hint': 'Spalten zum Umsortieren ziehen und zum Ausblenden abwählen.',
+        'columns.computed': 'Berechnet',
+        'columns.last_visible': 'Mindestens eine Spalte muss sichtbar bleiben',
+        'columns.reset': 'Spalten zurücksetzen',
+        'columns.add_title': 'Berechnete Spalte hinzufügen',
+        'columns.name': 'Spaltenname',
+        'columns.formula': 'Formel',
+        'columns.formula_placeholder': 'z. B. score / 1000',
+        'columns.formula_hint': 'Felder: {fields}. Operatoren + - * / % und Klammern; Funktionen {functions}. Berechnete Spalten werden über den angezeigten Schlüssel gesucht, z. B. {example}.',
+        'columns.formula_error': 'Fehler in der Formel: {message}',
+        'columns.added': 'Spalte „{name}“ hinzugefügt',
+        
         // Players
         'players.title': 'Spieler',
         'players.search': 'Spieler suchen',
@@ -396,6 +659,7 @@ export class LanguageService {
         'players.score': 'Punktzahl',
         'players.chests': 'Truhen',
         'players.ratio': 'Verhältnis',
+        'players.rank': 'Rang',
         'players.actions': 'Aktionen',
         'players.view_details': 'Details anzeigen',
         'players.add_to_comparison': 'Zum Vergleich hinzufügen',
@@ -405,6 +669,25 @@ export class LanguageService {
         'players.comparison': 'Vergleich zum Durchschnitt',
         'players.no_results': 'Keine Spieler gefunden, die den aktuellen Filtern entsprechen.',
         
+        // Corrections
+        'correction.title': 'Korrekturen',
+        'correction.change': '{field} von {player}: {old} → {new}',
+        'correction.reason': 'Grund',
+        'correction.reason_placeholder': 'z. B. vom Export übersehene Truhen',
+        'correction.hint': 'Die Korrektur bleibt über Importe hinweg erhalten, bis sie in den Spielerdetails zurückgesetzt wird.',
+        'correction.dialog_title': '{field} korrigieren',
+        'correction.save': 'Korrektur speichern',
+        'correction.saved': '{field} von {player} korrigiert',
+        'correction.save_failed': 'Korrektur konnte nicht gespeichert werden',
+        'correction.imported': '{value} (importiert: {imported})',
+        'correction.revert': 'Zurücksetzen',
+        'correction.reverted': '{field} von {player} zurückgesetzt',
+        'correction.revert_failed': 'Korrektur konnte nicht zurückgesetzt werden',
+        'correction.audit_edit': 'Bearbeitet',
+        'correction.audit_revert': 'Zurückgesetzt',
+        'correction.edit_note': 'Bearbeitet (importierter Wert: {value})',
+        'correction.edit_hint': 'Zum Korrigieren doppelklicken',
+        
         // Analytics
         'analytics.title': 'Analyse',
         'analytics.chart_type': 'Diagrammtyp',
@@ -419,6 +702,12 @@ export class LanguageService {
         'analytics.export_jpg': 'Als JPG exportieren',
         'analytics.export_svg': 'Als SVG exportieren',
         'analytics.export_csv': 'Als CSV exportieren',
+        'analytics.export_json': 'Als JSON exportieren',
+        'analytics.export_xlsx': 'Als Excel (XLSX) exportieren',
+        
+        // Export
+        'export.title': 'Gefilterte Spieler mit den sichtbaren Spalten in der aktuellen Reihenfolge exportieren',
+        'export.done': '{count} Spieler exportiert',
         
         // Settings
         'settings.title': 'Einstellungen',
@@ -433,6 +722,121 @@ export class LanguageService {
         'settings.settings_reset': 'Einstellungen auf Standardwerte zurückgesetzt',
         'settings.confirm_reset': 'Sind Sie sicher, dass Sie alle Einstellungen auf die Standardwerte zurücksetzen möchten?',
         
+        // Import
+        'import.title': 'Daten importieren',
+        'import.drop_hint': 'JSON- oder CSV-Datei hier ablegen oder klicken, um eine Datei auszuwählen',
+        'import.summary_title': 'Import-Zusammenfassung',
+        'import.accepted': 'Übernommene Zeilen',
+        'import.rejected': 'Abgelehnte Zeilen',
+        'import.repaired': 'Reparierte Zeilen',
+        'import.confirm': 'Importieren',
+        'import.success': '{count} Zeilen aus {file} importiert',
+        'import.failed': 'Import fehlgeschlagen',
+        'import.no_rows': 'Die Datei enthält keine importierbaren Zeilen.',
+        'import.replace_warning': 'Der Import ersetzt die Daten des Datensatzes "{dataset}".',
+        'import.mode_replace': 'Daten von "{dataset}" ersetzen',
+        'import.mode_merge': 'In "{dataset}" zusammenführen',
+        'import.merge_counts': '{type}: {added} neu, {updated} aktualisiert, {skipped} übersprungen',
+        'import.players': 'Spieler',
+        'import.events': 'Ereignisse',
+        'import.merge_success': '{file} zusammengeführt: {added} neu, {updated} aktualisiert, {skipped} übersprungen',
+        'quality.title': 'Datenqualität',
+        'quality.no_issues': 'Keine Probleme gefunden.',
+        'quality.duplicate': 'Duplikate',
+        'quality.negative_number': 'Negative Zahlen',
+        'quality.missing_name': 'Fehlende Namen',
+        'quality.type_mismatch': 'Falsche Datentypen',
+        'quality.missing_field': 'Fehlende Felder',
+        'quality.not_object': 'Unlesbare Zeilen',
+        'quality.row_player': 'Spieler #{index}',
+        'quality.row_event': 'Ereignis #{index}',
+        'quality.status_repaired': 'repariert',
+        'quality.status_rejected': 'abgelehnt',
+        'quality.notification': 'Datenqualität: {repaired} Zeilen repariert, {rejected} Zeilen abgelehnt',
+        
+        // Date range
+        'daterange.all': 'Gesamter Zeitraum',
+        'daterange.this_week': 'Diese Woche',
+        'daterange.last_week': 'Letzte Woche',
+        'daterange.this_month': 'Dieser Monat',
+        'daterange.custom': 'Eigener Zeitraum',
+        'daterange.start': 'Startdatum',
+        'daterange.end': 'Enddatum',
+        
+        // Quota
+        'quota.title': 'Wochenquote',
+        'quota.settings_title': 'Wochenquote',
+        'quota.global': 'Quote für alle Spieler',
+        'quota.overrides': 'Abweichungen pro Allianz oder Rang',
+        'quota.add_override': 'Abweichung hinzufügen',
+        'quota.scope_alliance': 'Allianz',
+        'quota.scope_rank': 'Rang',
+        'quota.min_chests': 'Min. Truhen',
+        'quota.min_points': 'Min. Punkte',
+        'quota.rank': 'Rang',
+        'quota.progress': 'Fortschritt',
+        'quota.status': 'Status',
+        'quota.streak': 'Serie',
+        'quota.history': 'Letzte Wochen',
+        'quota.status_met': 'Erfüllt',
+        'quota.status_on_track': 'Im Plan',
+        'quota.status_behind': 'Im Rückstand',
+        'quota.status_no_quota': 'Keine Quote',
+        'quota.status_no_data': 'Keine Daten',
+        'quota.streak_met': '{count} Wochen erfüllt',
+        'quota.streak_missed': '{count} Wochen verfehlt',
+        'quota.behind_only': 'Nur Spieler im Rückstand anzeigen',
+        'quota.no_players': 'Kein Spieler ist im Rückstand.',
+        'quota.needs_events': 'Die Wochenauswertung benötigt Truhen-Ereignisse mit Zeitstempel; die geladenen Daten enthalten nur Summen.',
+        
+        // Chest catalogue
+        'catalogue.title': 'Truhenkatalog',
+        'catalogue.hint': 'Punktwerte aus dem Katalog ersetzen die Punkte passender Truhen in den Daten. Truhen, die nicht im Katalog stehen, behalten die Punkte aus der Datei.',
+        'catalogue.name': 'Truhenname',
+        'catalogue.category': 'Kategorie',
+        'catalogue.level': 'Stufe',
+        'catalogue.points': 'Punkte',
+        'catalogue.add_chest': 'Truhe hinzufügen',
+        'catalogue.unknown': 'Truhen, die nicht im Katalog stehen',
+        'catalogue.import_hint': 'Katalog-JSON-Datei hier ablegen oder klicken, um eine Datei auszuwählen',
+        'catalogue.imported': '{count} Truhen importiert ({rejected} abgelehnt)',
+        'catalogue.unknown_in_import': 'Nicht im Truhenkatalog: {chests}',
+        
+        // Storage
+        'storage.title': 'Browser-Speicher',
+        'storage.usage': '{usage} von {quota} belegt ({percent} %)',
+        'storage.usage_unknown': 'Dieser Browser meldet keine Speichernutzung.',
+        'storage.unavailable': 'IndexedDB ist nicht verfügbar; die Daten werden mit begrenztem Platz im localStorage gehalten.',
+        'storage.counts': '{players} Spieler, {events} Truhen-Ereignisse, {snapshots} Schnappschüsse gespeichert',
+        'storage.write_failed': 'Letztes Speichern fehlgeschlagen',
+        
+        // Datasets
+        'dataset.title': 'Datensätze',
+        'dataset.switch': 'Datensatz wechseln',
+        'dataset.name': 'Name des Datensatzes',
+        'dataset.source': 'Quell-URL',
+        'dataset.add': 'Datensatz hinzufügen',
+        'dataset.active': 'Aktiv',
+        'dataset.activate': 'Wechseln zu',
+        'dataset.last_loaded': 'Zuletzt geladen: {date}',
+        'dataset.never_loaded': 'Noch nicht geladen',
+        'dataset.imported_file': 'Importierte Datei: {file}',
+        'dataset.import_as_new': 'Als neuen Datensatz importieren',
+        'dataset.confirm_remove': 'Den Datensatz "{name}" mit allen gespeicherten Daten und dem Verlauf entfernen?',
+        'dataset.removed': 'Datensatz entfernt',
+        'dataset.import_mode': 'Importmodus',
+        'dataset.mode_replace': 'Daten ersetzen',
+        'dataset.mode_merge': 'Neue Einträge zusammenführen',
+        
+        // Automatische Aktualisierung
+        'refresh.last': 'Aktualisiert {time}',
+        'refresh.never': 'Noch nicht aktualisiert',
+        'refresh.next': 'nächste {time}',
+        'refresh.retry': 'neuer Versuch {time}',
+        'refresh.paused': 'pausiert',
+        'refresh.running': 'Wird aktualisiert…',
+        'refresh.now': 'Jetzt aktualisieren',
+        
         // Errors
         'error.data_load': 'Fehler beim Laden der Daten',
         'error.navigation': 'Navigation fehlgeschlagen',
@@ -471,6 +875,7 @@ export class LanguageService {
         'nav.dashboard': 'Tableau de bord',
         'nav.players': 'Joueurs',
         'nav.analytics': 'Analyse',
+        'nav.quota': 'Quota',
         'nav.settings': 'Paramètres',
         
         // Dashboard
@@ -482,6 +887,56 @@ export class LanguageService {
         'dashboard.average_score': 'Score moyen',
         'dashboard.quick_stats': 'Statistiques rapides',
         
+        // Résumé des changements
+        'digest.title': 'Nouveautés depuis le {date}',
+        'digest.title_previous': 'Nouveautés depuis le dernier chargement',
+        'digest.no_changes': 'Aucun changement depuis le dernier chargement',
+        'digest.new_players': 'Nouveaux joueurs',
+        'digest.left_players': 'Joueurs partis',
+        'digest.score_gains': 'Plus fortes hausses de score',
+        'digest.rank_changes': 'Changements de rang',
+        'digest.alliance_changes': 'Membres des alliances',
+        'digest.alliance_change': '{alliance} : +{joined} / -{left} ({previousMembers} → {members})',
+        'digest.no_rank': 'aucun',
+        'digest.count': '{label} : {count}',
+        'digest.top_gain': 'plus forte hausse {name} +{gain}',
+        'digest.notification': 'Changements depuis le dernier chargement : {changes}',
+        
+        // Évolution du classement
+        'rank.new': 'Nouveau',
+        'rank.previous': 'Rang précédent : {rank}',
+        
+        // Préréglages de filtres
+        'preset.placeholder': 'Préréglages de filtres…',
+        'preset.apply': 'Appliquer un préréglage enregistré',
+        'preset.applied': 'Préréglage « {name} » appliqué',
+        'preset.save': 'Enregistrer le préréglage',
+        'preset.save_hint': 'Enregistre les filtres actuels de recherche, serveur, alliance et période. Un préréglage du même nom est remplacé.',
+        'preset.saved': 'Préréglage « {name} » enregistré',
+        'preset.name': 'Nom du préréglage',
+        'preset.manage': 'Gérer les préréglages',
+        'preset.none': 'Aucun préréglage enregistré',
+        'preset.no_filters': 'Aucun filtre',
+        'preset.export': 'Exporter les préréglages',
+        'preset.import_hint': 'Déposez un fichier de préréglages ici ou cliquez pour choisir un fichier',
+        'preset.imported': '{added} préréglages ajoutés, {replaced} remplacés, {rejected} rejetés',
+        'preset.import_failed': 'Échec de l\'import des préréglages',
+        
+        // Table columns
+        'columns.button': 'Colonnes',
+        'columns.title': 'Colonnes du tableau',
+        'columns.hint': 'Faites glisser les colonnes pour les réordonner et décochez-les pour les masquer.',
+        'columns.computed': 'Calculée',
+        'columns.last_visible': 'Au moins une colonne doit rester visible',
+        'columns.reset': 'Réinitialiser les colonnes',
+        'columns.add_title': 'Ajouter une colonne calculée',
+        'columns.name': 'Nom de la colonne',
+        'columns.formula': 'Formule',
+        'columns.formula_placeholder': 'p. ex. score / 1000',
+        'columns.formula_hint': 'Champs : {fields}. Opérateurs + - * / % et parenthèses ; fonctions {functions}. Les colonnes calculées se recherchent par la clé affichée dans la liste, p. ex. {example}.',
+        'columns.formula_error': 'Erreur de formule : {message}',
+        'columns.added': 'Colonne « {name} » ajoutée',
+        
         // Players
         'players.title': 'Joueurs',
         'players.search': 'Rechercher des joueurs',
@@ -495,6 +950,7 @@ export class LanguageService {
         'players.score': 'Score',
         'players.chests': 'Coffres',
         'players.ratio': 'Ratio',
+        'players.rank': 'Rang',
         'players.actions': 'Actions',
         'players.view_details': 'Voir les détails',
         'players.add_to_comparison': 'Ajouter à la comparaison',
@@ -504,6 +960,25 @@ export class LanguageService {
         'players.comparison': 'Comparaison à la moyenne',
         'players.no_results': 'Aucun joueur trouvé correspondant aux filtres actuels.',
         
+        // Corrections
+        'correction.title': 'Corrections',
+        'correction.change': '{field} de {player} : {old} → {new}',
+        'correction.reason': 'Motif',
+        'correction.reason_placeholder': 'p. ex. coffres manqués par l\'export',
+        'correction.hint': 'La correction est conservée lors des imports jusqu\'à son annulation dans les détails du joueur.',
+        'correction.dialog_title': 'Corriger : {field}',
+        'correction.save': 'Enregistrer la correction',
+        'correction.saved': '{field} de {player} corrigé',
+        'correction.save_failed': 'Échec de l\'enregistrement de la correction',
+        'correction.imported': '{value} (importé : {imported})',
+        'correction.revert': 'Annuler la correction',
+        'correction.reverted': 'Correction de {field} de {player} annulée',
+        'correction.revert_failed': 'Échec de l\'annulation de la correction',
+        'correction.audit_edit': 'Modifié',
+        'correction.audit_revert': 'Annulé',
+        'correction.edit_note': 'Modifié (valeur importée : {value})',
+        'correction.edit_hint': 'Double-cliquez pour corriger',
+        
         // Analytics
         'analytics.title': 'Analyse',
         'analytics.chart_type': 'Type de graphique',
@@ -518,6 +993,12 @@ export class LanguageService {
         'analytics.export_jpg': 'Exporter en JPG',
         'analytics.export_svg': 'Exporter en SVG',
         'analytics.export_csv': 'Exporter en CSV',
+        'analytics.export_json': 'Exporter en JSON',
+        'analytics.export_xlsx': 'Exporter en Excel (XLSX)',
+        
+        // Export
+        'export.title': 'Exporter les joueurs filtrés avec les colonnes visibles dans l\'ordre actuel',
+        'export.done': '{count} joueurs exportés',
         
         // Settings
         'settings.title': 'Paramètres',
@@ -532,6 +1013,121 @@ export class LanguageService {
         'settings.settings_reset': 'Paramètres réinitialisés aux valeurs par défaut',
         'settings.confirm_reset': 'Êtes-vous sûr de vouloir réinitialiser tous les paramètres aux valeurs par défaut?',
         
+        // Import
+        'import.title': 'Importer des données',
+        'import.drop_hint': 'Déposez un fichier JSON ou CSV ici ou cliquez pour choisir un fichier',
+        'import.summary_title': 'Résumé de l\'import',
+        'import.accepted': 'Lignes acceptées',
+        'import.rejected': 'Lignes rejetées',
+        'import.repaired': 'Lignes réparées',
+        'import.confirm': 'Importer',
+        'import.success': '{count} lignes importées depuis {file}',
+        'import.failed': 'Échec de l\'import',
+        'import.no_rows': 'Le fichier ne contient aucune ligne importable.',
+        'import.replace_warning': 'L\'import remplace les données du jeu de données « {dataset} ».',
+        'import.mode_replace': 'Remplacer les données de « {dataset} »',
+        'import.mode_merge': 'Fusionner dans « {dataset} »',
+        'import.merge_counts': '{type} : {added} ajoutés, {updated} mis à jour, {skipped} ignorés',
+        'import.players': 'Joueurs',
+        'import.events': 'Événements',
+        'import.merge_success': '{file} fusionné : {added} ajoutés, {updated} mis à jour, {skipped} ignorés',
+        'quality.title': 'Qualité des données',
+        'quality.no_issues': 'Aucun problème détecté.',
+        'quality.duplicate': 'Doublons',
+        'quality.negative_number': 'Nombres négatifs',
+        'quality.missing_name': 'Noms manquants',
+        'quality.type_mismatch': 'Types incorrects',
+        'quality.missing_field': 'Champs manquants',
+        'quality.not_object': 'Lignes illisibles',
+        'quality.row_player': 'Joueur #{index}',
+        'quality.row_event': 'Événement #{index}',
+        'quality.status_repaired': 'réparée',
+        'quality.status_rejected': 'rejetée',
+        'quality.notification': 'Qualité des données : {repaired} lignes réparées, {rejected} lignes rejetées',
+        
+        // Date range
+        'daterange.all': 'Toute la période',
+        'daterange.this_week': 'Cette semaine',
+        'daterange.last_week': 'Semaine dernière',
+        'daterange.this_month': 'Ce mois-ci',
+        'daterange.custom': 'Période personnalisée',
+        'daterange.start': 'Date de début',
+        'daterange.end': 'Date de fin',
+        
+        // Quota
+        'quota.title': 'Quota hebdomadaire',
+        'quota.settings_title': 'Quota hebdomadaire',
+        'quota.global': 'Quota pour tous les joueurs',
+        'quota.overrides': 'Exceptions par alliance ou rang',
+        'quota.add_override': 'Ajouter une exception',
+        'quota.scope_alliance': 'Alliance',
+        'quota.scope_rank': 'Rang',
+        'quota.min_chests': 'Coffres min.',
+        'quota.min_points': 'Points min.',
+        'quota.rank': 'Rang',
+        'quota.progress': 'Progression',
+        'quota.status': 'Statut',
+        'quota.streak': 'Série',
+        'quota.history': 'Dernières semaines',
+        'quota.status_met': 'Atteint',
+        'quota.status_on_track': 'Dans les temps',
+        'quota.status_behind': 'En retard',
+        'quota.status_no_quota': 'Aucun quota',
+        'quota.status_no_data': 'Aucune donnée',
+        'quota.streak_met': '{count} semaines atteintes',
+        'quota.streak_missed': '{count} semaines manquées',
+        'quota.behind_only': 'Afficher uniquement les joueurs en retard',
+        'quota.no_players': 'Aucun joueur n\'est en retard.',
+        'quota.needs_events': 'Le suivi hebdomadaire nécessite des événements de coffres horodatés ; les données chargées ne contiennent que des totaux.',
+        
+        // Chest catalogue
+        'catalogue.title': 'Catalogue des coffres',
+        'catalogue.hint': 'Les points du catalogue remplacent les points des coffres correspondants dans les données. Les coffres absents du catalogue conservent les points du fichier.',
+        'catalogue.name': 'Nom du coffre',
+        'catalogue.category': 'Catégorie',
+        'catalogue.level': 'Niveau',
+        'catalogue.points': 'Points',
+        'catalogue.add_chest': 'Ajouter un coffre',
+        'catalogue.unknown': 'Coffres absents du catalogue',
+        'catalogue.import_hint': 'Déposez un fichier JSON de catalogue ici ou cliquez pour choisir un fichier',
+        'catalogue.imported': '{count} coffres importés ({rejected} rejetés)',
+        'catalogue.unknown_in_import': 'Absents du catalogue des coffres : {chests}',
+        
+        // Storage
+        'storage.title': 'Stockage du navigateur',
+        'storage.usage': '{usage} utilisés sur {quota} ({percent} %)',
+        'storage.usage_unknown': 'Ce navigateur n\'indique pas l\'espace utilisé.',
+        'storage.unavailable': 'IndexedDB n\'est pas disponible ; les données sont conservées dans le localStorage avec un espace limité.',
+        'storage.counts': '{players} joueurs, {events} événements de coffres, {snapshots} instantanés enregistrés',
+        'storage.write_failed': 'Le dernier enregistrement a échoué',
+        
+        // Datasets
+        'dataset.title': 'Jeux de données',
+        'dataset.switch': 'Changer de jeu de données',
+        'dataset.name': 'Nom du jeu de données',
+        'dataset.source': 'URL source',
+        'dataset.add': 'Ajouter un jeu de données',
+        'dataset.active': 'Actif',
+        'dataset.activate': 'Basculer vers',
+        'dataset.last_loaded': 'Dernier chargement : {date}',
+        'dataset.never_loaded': 'Pas encore chargé',
+        'dataset.imported_file': 'Fichier importé : {file}',
+        'dataset.import_as_new': 'Importer comme nouveau jeu de données',
+        'dataset.confirm_remove': 'Supprimer le jeu de données « {name} » avec toutes ses données et son historique ?',
+        'dataset.removed': 'Jeu de données supprimé',
+        'dataset.import_mode': 'Mode d\'import',
+        'dataset.mode_replace': 'Remplacer les données',
+        'dataset.mode_merge': 'Fusionner les nouveaux enregistrements',
+        
+        // Actualisation automatique
+        'refresh.last': 'Actualisé {time}',
+        'refresh.never': 'Pas encore actualisé',
+        'refresh.next': 'prochaine {time}',
+        'refresh.retry': 'nouvel essai {time}',
+        'refresh.paused': 'en pause',
+        'refresh.running': 'Actualisation…',
+        'refresh.now': 'Actualiser maintenant',
+        
         // Errors
         'error.data_load': 'Échec du chargement des données',
         'error.navigation': 'Échec de la navigation',
@@ -0,0 +1,388 @@
+/**
+ * presetService.js
+ * 
+ * Service for saved filter presets in the TB Chest Analyzer.
+ * Stores named combinations of the filter state and shares them as JSON files.
+ */
+
+/**
+ * PresetService - Saves, applies and shares filter presets
+ */
+export class PresetService {
+  /**
+   * Initialize the preset service
+   * @param {Object} stateManager - State manager instance
+   * @param {Object} errorHandler - Error handler instance
+   */
+  constructor(stateManager, errorHandler) {
+    this._stateManager = stateManager;
+    this._errorHandler = errorHandler;
+    
+    // Storage key and export format version
+    this._storageKey = 'tb_filter_presets';
+    this._formatVersion = 1;
+    
+    // Saved presets ({ id, name, filters, updated })
+    this._presets = [];
+  }
+  
+  /**
+   * Initialize the preset service
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      console.log('Initializing preset service...');
+      
+      this._loadPresets();
+      this._stateManager.setState('filterPresets', this.getPresets());
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize preset service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get all presets sorted by name
+   * @returns {Array} Presets ({ id, name, filters, updated })
+   */
+  getPresets() {
+    return this._presets
+      .map(preset => ({ ...preset, filters: { ...preset.filters } }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Save the current filters under a name, replacing a preset with the same name
+   * @param {string} name - Preset name
+   * @returns {Object} Saved preset
+   */
+  savePreset(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+    
+    const filters = this._pickFilters(this._stateManager.getState('filters'));
+    const existing = this._findByName(trimmed);
+    
+    if (existing) {
+      existing.filters = filters;
+      existing.updated = new Date().toISOString();
+    } else {
+      this._presets.push({
+        id: this._createId(),
+        name: trimmed,
+        filters,
+        updated: new Date().toISOString()
+      });
+    }
+    
+    this._savePresets();
+    
+    return { ...(existing || this._presets[this._presets.length - 1]) };
+  }
+  
+  /**
+   * Rename a preset
+   * @param {string} presetId - Preset ID
+   * @param {string} name - New name
+   * @returns {boolean} Success status
+   */
+  renamePreset(presetId, name) {
+    const preset = this._presets.find(p => p.id === presetId);
+    const trimmed = String(name || '').trim();
+    
+    if (!preset || !trimmed) {
+      return false;
+    }
+    
+    const existing = this._findByName(trimmed);
+    if (existing && existing.id !== presetId) {
+      throw new Error(`A preset named "${trimmed}" already exists`);
+    }
+    
+    preset.name = trimmed;
+    this._savePresets();
+    return true;
+  }
+  
+  /**
+   * Delete a preset
+   * @param {string} presetId - Preset ID
+   * @returns {boolean} Success status
+   */
+  deletePreset(presetId) {
+    const index = this._presets.findIndex(p => p.id === presetId);
+    if (index === -1) {
+      return false;
+    }
+    
+    this._presets.splice(index, 1);
+    this._savePresets();
+    return true;
+  }
+  
+  /**
+   * Apply a preset to the filter state
+   * Filters missing from the preset are cleared.
+   * @param {string} presetId - Preset ID
+   * @returns {boolean} Success status
+   */
+  applyPreset(presetId) {
+    const preset = this._presets.find(p => p.id === presetId);
+    if (!preset) {
+      return false;
+    }
+    
+    this._stateManager.setState('filters', {
+      ...this._getEmptyFilters(),
+      ...preset.filters
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Export presets as JSON
+   * @param {Array<string>} presetIds - Presets to export (all if omitted)
+   * @returns {string} JSON text
+   */
+  exportPresets(presetIds = null) {
+    const presets = this.getPresets()
+      .filter(preset => !presetIds || presetIds.includes(preset.id))
+      .map(({ name, filters, updated }) => ({ name, filters, updated }));
+    
+    return JSON.stringify({ version: this._formatVersion, presets }, null, 2);
+  }
+  
+  /**
+   * Import presets from JSON exported by another user
+   * Presets with a name that already exists replace the existing one.
+   * @param {string} json - JSON text
+   * @returns {Object} Number of added, replaced and rejected presets
+   */
+  importPresets(json) {
+    const data = JSON.parse(json);
+    const entries = Array.isArray(data) ? data : (data && data.presets);
+    
+    if (!Array.isArray(entries)) {
+      throw new Error('Preset file must contain a list of presets');
+    }
+    
+    const counts = { added: 0, replaced: 0, rejected: 0 };
+    
+    entries.forEach(entry => {
+      const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+      if (!name || !entry.filters || typeof entry.filters !== 'object' || Array.isArray(entry.filters)) {
+        counts.rejected++;
+        return;
+      }
+      
+      // Presets with filter values that do not fit the filter state are rejected as a whole
+      const filters = this._pickFilters(entry.filters);
+      if (!filters) {
+        counts.rejected++;
+        return;
+      }
+      
+      const existing = this._findByName(name);
+      
+      if (existing) {
+        existing.filters = filters;
+        existing.updated = new Date().toISOString();
+        counts.replaced++;
+      } else {
+        this._presets.push({ id: this._createId(), name, filters, updated: new Date().toISOString() });
+        counts.added++;
+      }
+    });
+    
+    this._savePresets();
+    
+    return counts;
+  }
+  
+  /**
+   * Keep only known filter keys, coerced to the type of the filter state
+   * @param {Object} filters - Filter values
+   * @returns {Object|null} Copy with the keys of the filter state, null if a value cannot be used
+   * @private
+   */
+  _pickFilters(filters) {
+    const current = this._stateManager.getState('filters') || {};
+    const picked = {};
+    let valid = true;
+    
+    Object.keys(current).forEach(key => {
+      if (filters[key] === undefined) return;
+      
+      const value = this._coerceFilter(key, filters[key], current[key]);
+      if (value === undefined) {
+        valid = false;
+      } else {
+        picked[key] = value;
+      }
+    });
+    
+    return valid ? picked : null;
+  }
+  
+  /**
+   * Coerce a filter value to the shape the filter expects
+   * @param {string} key - Filter key
+   * @param {*} value - Filter value
+   * @param {*} current - Current value of the filter in the state
+   * @returns {*} Coerced copy, undefined if the value cannot be used
+   * @private
+   */
+  _coerceFilter(key, value, current) {
+    // Cleared filters fit every type
+    if (value === null) {
+      return null;
+    }
+    
+    if (key === 'dateRange') {
+      return this._coerceDateRange(value);
+    }
+    
+    if (key === 'selectedServer' || key === 'selectedAlliance') {
+      return this._coerceSelection(value);
+    }
+    
+    // Numeric filters accept numeric strings
+    if (typeof current === 'number') {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    
+    // Text filters (and filters without a value yet) accept strings and numbers
+    if (typeof value === 'string') {
+      return value;
+    }
+    
+    return typeof value === 'number' && Number.isFinite(value) ? String(value) : undefined;
+  }
+  
+  /**
+   * Coerce a server or alliance selection (a single value, a list, or { values, exclude })
+   * @param {*} value - Selection
+   * @returns {string|Array|Object|undefined} Coerced copy, undefined if the value cannot be used
+   * @private
+   */
+  _coerceSelection(value) {
+    const isList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+    
+    if (typeof value === 'string') {
+      return value;
+    }
+    
+    if (isList(value)) {
+      return [...value];
+    }
+    
+    if (typeof value === 'object' && !Array.isArray(value) && isList(value.values)) {
+      return { values: [...value.values], exclude: Boolean(value.exclude) };
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Coerce a date range selection ({ preset, start, end } with YYYY-MM-DD dates)
+   * @param {*} value - Date range selection
+   * @returns {Object|undefined} Coerced copy, undefined if the value cannot be used
+   * @private
+   */
+  _coerceDateRange(value) {
+    const isDate = date => date === undefined || date === null || date === '' ||
+      (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date));
+    
+    if (typeof value !== 'object' || Array.isArray(value) || typeof value.preset !== 'string' ||
+      !isDate(value.start) || !isDate(value.end)) {
+      return undefined;
+    }
+    
+    if (value.preset !== 'custom') {
+      return { preset: value.preset };
+    }
+    
+    return { preset: 'custom', start: value.start || '', end: value.end || '' };
+  }
+  
+  /**
+   * Get the filter state with every filter cleared
+   * @returns {Object} Empty filters
+   * @private
+   */
+  _getEmptyFilters() {
+    const empty = {};
+    
+    Object.entries(this._stateManager.getState('filters') || {}).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        empty[key] = [];
+      } else if (typeof value === 'string') {
+        empty[key] = '';
+      } else {
+        empty[key] = null;
+      }
+    });
+    
+    return empty;
+  }
+  
+  /**
+   * Find a preset by name, ignoring case
+   * @param {string} name - Preset name
+   * @returns {Object|undefined} Preset
+   * @private
+   */
+  _findByName(name) {
+    const lower = name.toLowerCase();
+    return this._presets.find(preset => preset.name.toLowerCase() === lower);
+  }
+  
+  /**
+   * Create a unique preset ID
+   * @returns {string} Preset ID
+   * @private
+   */
+  _createId() {
+    return `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  }
+  
+  /**
+   * Load presets from localStorage
+   * @private
+   */
+  _loadPresets() {
+    try {
+      const stored = localStorage.getItem(this._storageKey);
+      const parsed = stored ? JSON.parse(stored) : null;
+      
+      this._presets = parsed && Array.isArray(parsed.presets) ? parsed.presets : [];
+    } catch (error) {
+      this._errorHandler.handleError(error, 'PresetService._loadPresets', false);
+      this._presets = [];
+    }
+  }
+  
+  /**
+   * Save presets to localStorage and publish them to state
+   * @private
+   */
+  _savePresets() {
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify({
+        version: this._formatVersion,
+        presets: this._presets
+      }));
+    } catch (error) {
+      this._errorHandler.handleError(error, 'PresetService._savePresets', false);
+    }
+    
+    this._stateManager.setState('filterPresets', this.getPresets());
+  }
+}
\ No newline at end of file
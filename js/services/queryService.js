@@ -0,0 +1,440 @@
+/**
+ * queryService.js
+ * 
+ * Service for the player search query language in the TB Chest Analyzer.
+ * Parses expressions like alliance:"Alpha Legion" score>10000 (chests<50 OR -rank:R1)
+ * and compiles them into player filter predicates.
+ */
+
+/**
+ * QueryService - Parses and compiles player search queries
+ * 
+ * Syntax:
+ * - Terms are combined with AND unless joined by OR; AND binds tighter than OR
+ * - NOT, - or ! negates the following term or group, parentheses group terms
+ * - field:value matches text containing the value, field=value matches it exactly
+ * - field!=value, field>value, field>=value, field<value and field<=value compare values
+ * - Values with spaces are quoted ("Alpha Legion"); a bare word searches player names and aliases
+ * - Extra number fields (computed columns) can be passed to parse() and compile()
+ */
+export class QueryService {
+  /**
+   * Initialize the query service
+   */
+  constructor() {
+    // Searchable player fields
+    this._fields = {
+      name: { type: 'string', getValues: player => [player.name, ...(player.aliases || []).map(alias => alias.name)] },
+      alliance: { type: 'string', getValues: player => [player.alliance] },
+      server: { type: 'string', getValues: player => [player.server] },
+      rank: { type: 'string', getValues: player => [player.rank] },
+      id: { type: 'string', getValues: player => [player.id] },
+      score: { type: 'number', getValues: player => [player.score] },
+      chests: { type: 'number', getValues: player => [player.chests] },
+      ratio: { type: 'number', getValues: player => [player.ratio] }
+    };
+    
+    // Operators, longest first so >= is not read as >
+    this._operators = ['!=', '>=', '<=', ':', '=', '>', '<'];
+    
+    // Operators that only make sense for numbers
+    this._numericOperators = ['>', '>=', '<', '<='];
+    
+    // Keywords (upper case only, so players named "or" can still be searched)
+    this._keywords = ['AND', 'OR', 'NOT'];
+  }
+  
+  /**
+   * Get the names of the searchable fields
+   * @returns {Array<string>} Field names
+   */
+  getFields() {
+    return Object.keys(this._fields);
+  }
+  
+  /**
+   * Parse a query into a syntax tree
+   * @param {string} query - Query text
+   * @param {Array<string>} extraFields - Additional number fields read from the player objects
+   * @returns {Object} Result with the syntax tree (null for an empty query) or a syntax error ({ message, position, length })
+   */
+  parse(query, extraFields = []) {
+    try {
+      const tokens = this._tokenize(query || '');
+      if (tokens.length === 0) {
+        return { ast: null, error: null };
+      }
+      
+      const parser = { tokens, index: 0, fields: this._getFieldMap(extraFields) };
+      const ast = this._parseOr(parser);
+      
+      // Everything must be consumed
+      if (parser.index < tokens.length) {
+        const token = tokens[parser.index];
+        this._fail(token.type === 'rparen' ? 'Unmatched )' : `Unexpected ${token.text}`, token);
+      }
+      
+      return { ast, error: null };
+    } catch (error) {
+      // Errors without a position are parser bugs; report them on the whole query instead of breaking the view
+      if (error.position === undefined) {
+        console.error('Unexpected query parser error:', error);
+        return {
+          ast: null,
+          error: { message: error.message, position: 0, length: Math.max(String(query || '').length, 1) }
+        };
+      }
+      
+      return {
+        ast: null,
+        error: { message: error.message, position: error.position, length: error.length }
+      };
+    }
+  }
+  
+  /**
+   * Compile a query into a player filter predicate
+   * @param {string} query - Query text
+   * @param {Array<string>} extraFields - Additional number fields read from the player objects
+   * @returns {Object} Result with the predicate (matches every player for an empty query) or a syntax error
+   */
+  compile(query, extraFields = []) {
+    const { ast, error } = this.parse(query, extraFields);
+    if (error) {
+      return { predicate: null, error };
+    }
+    
+    return { predicate: ast ? this._compileNode(ast, this._getFieldMap(extraFields)) : () => true, error: null };
+  }
+  
+  /**
+   * Get the searchable fields including additional number fields
+   * @param {Array<string>} extraFields - Additional number fields read from the player objects
+   * @returns {Object} Field definitions by lower case name
+   * @private
+   */
+  _getFieldMap(extraFields) {
+    const fields = { ...this._fields };
+    
+    extraFields.forEach(name => {
+      const key = name.toLowerCase();
+      if (!fields[key]) {
+        fields[key] = { type: 'number', getValues: player => [player[name]] };
+      }
+    });
+    
+    return fields;
+  }
+  
+  /**
+   * Split a query into tokens
+   * @param {string} query - Query text
+   * @returns {Array} Tokens ({ type, text, value, position })
+   * @private
+   */
+  _tokenize(query) {
+    const tokens = [];
+    let position = 0;
+    
+    while (position < query.length) {
+      const char = query[position];
+      
+      // Whitespace
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+      
+      // Parentheses
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position });
+        position++;
+        continue;
+      }
+      
+      // Quoted strings ("..." with \" escapes)
+      if (char === '"') {
+        let value = '';
+        let end = position + 1;
+        
+        while (end < query.length && query[end] !== '"') {
+          if (query[end] === '\\' && end + 1 < query.length) {
+            end++;
+          }
+          value += query[end];
+          end++;
+        }
+        
+        if (end >= query.length) {
+          this._fail('Missing closing quote', { position, text: query.slice(position) });
+        }
+        
+        tokens.push({ type: 'string', text: query.slice(position, end + 1), value, position });
+        position = end + 1;
+        continue;
+      }
+      
+      // Comparison operators
+      const operator = this._operators.find(op => query.startsWith(op, position));
+      if (operator) {
+        tokens.push({ type: 'operator', text: operator, position });
+        position += operator.length;
+        continue;
+      }
+      
+      // Negation prefix at the start of a term (not inside a value like score>-5)
+      const previous = tokens[tokens.length - 1];
+      if ((char === '-' || char === '!') && (!previous || previous.type !== 'operator')) {
+        tokens.push({ type: 'not', text: char, position });
+        position++;
+        continue;
+      }
+      
+      // Words run until whitespace, a parenthesis, a quote or an operator
+      let end = position;
+      while (end < query.length && !/[\s()"]/.test(query[end]) &&
+        !this._operators.some(op => query.startsWith(op, end))) {
+        end++;
+      }
+      
+      const text = query.slice(position, end);
+      if (this._keywords.includes(text)) {
+        tokens.push({ type: text === 'NOT' ? 'not' : text.toLowerCase(), text, position });
+      } else {
+        tokens.push({ type: 'word', text, value: text, position });
+      }
+      position = end;
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Parse terms joined by OR
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseOr(parser) {
+    const terms = [this._parseAnd(parser)];
+    
+    while (this._peek(parser, 'or')) {
+      const orToken = parser.tokens[parser.index++];
+      if (this._isTermEnd(parser)) {
+        this._fail('Expected a term after OR', orToken);
+      }
+      terms.push(this._parseAnd(parser));
+    }
+    
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  }
+  
+  /**
+   * Parse terms joined by AND or placed next to each other
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseAnd(parser) {
+    const terms = [this._parseNot(parser)];
+    
+    while (parser.index < parser.tokens.length && !this._peek(parser, 'or') && !this._peek(parser, 'rparen')) {
+      if (this._peek(parser, 'and')) {
+        const andToken = parser.tokens[parser.index++];
+        if (this._isTermEnd(parser)) {
+          this._fail('Expected a term after AND', andToken);
+        }
+      }
+      terms.push(this._parseNot(parser));
+    }
+    
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+  
+  /**
+   * Parse a negated or plain term
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parseNot(parser) {
+    if (this._peek(parser, 'not')) {
+      const notToken = parser.tokens[parser.index++];
+      if (this._isTermEnd(parser)) {
+        this._fail(`Expected a term after ${notToken.text}`, notToken);
+      }
+      return { type: 'not', term: this._parseNot(parser) };
+    }
+    
+    return this._parsePrimary(parser);
+  }
+  
+  /**
+   * Parse a group in parentheses or a single term
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @returns {Object} Syntax tree node
+   * @private
+   */
+  _parsePrimary(parser) {
+    const token = parser.tokens[parser.index];
+    
+    // The query ended where a term was expected (e.g. after an unclosed parenthesis)
+    if (!token) {
+      this._fail('Expected a term', parser.tokens[parser.tokens.length - 1]);
+    }
+    
+    if (token.type === 'lparen') {
+      parser.index++;
+      if (this._peek(parser, 'rparen')) {
+        this._fail('Empty parentheses', token);
+      }
+      
+      const node = this._parseOr(parser);
+      if (!this._peek(parser, 'rparen')) {
+        this._fail('Missing closing )', token);
+      }
+      parser.index++;
+      return node;
+    }
+    
+    if (token.type !== 'word' && token.type !== 'string') {
+      this._fail(`Unexpected ${token.text}`, token);
+    }
+    parser.index++;
+    
+    // Bare word or quoted text searches names
+    if (!this._peek(parser, 'operator')) {
+      return { type: 'compare', field: 'name', operator: ':', value: token.value };
+    }
+    
+    // field <operator> value
+    const fieldName = token.value.toLowerCase();
+    const field = parser.fields[fieldName];
+    if (token.type !== 'word' || !field) {
+      this._fail(`Unknown field ${token.text} (use ${Object.keys(parser.fields).join(', ')})`, token);
+    }
+    
+    const operatorToken = parser.tokens[parser.index++];
+    const valueToken = parser.tokens[parser.index];
+    if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+      this._fail(`Expected a value after ${token.text}${operatorToken.text}`, operatorToken);
+    }
+    parser.index++;
+    
+    if (field.type === 'number') {
+      const number = Number(valueToken.value);
+      if (valueToken.value.trim() === '' || !Number.isFinite(number)) {
+        this._fail(`${fieldName} needs a number, not ${valueToken.text}`, valueToken);
+      }
+      return { type: 'compare', field: fieldName, operator: operatorToken.text, value: number };
+    }
+    
+    if (this._numericOperators.includes(operatorToken.text)) {
+      const numberFields = Object.keys(parser.fields).filter(name => parser.fields[name].type === 'number');
+      this._fail(`${operatorToken.text} only works with number fields (${numberFields.join(', ')})`, operatorToken);
+    }
+    
+    return { type: 'compare', field: fieldName, operator: operatorToken.text, value: valueToken.value };
+  }
+  
+  /**
+   * Compile a syntax tree node into a predicate
+   * @param {Object} node - Syntax tree node
+   * @param {Object} fields - Field definitions by lower case name
+   * @returns {Function} Predicate receiving a player
+   * @private
+   */
+  _compileNode(node, fields) {
+    switch (node.type) {
+      case 'and': {
+        const terms = node.terms.map(term => this._compileNode(term, fields));
+        return player => terms.every(term => term(player));
+      }
+      
+      case 'or': {
+        const terms = node.terms.map(term => this._compileNode(term, fields));
+        return player => terms.some(term => term(player));
+      }
+      
+      case 'not': {
+        const term = this._compileNode(node.term, fields);
+        return player => !term(player);
+      }
+      
+      default:
+        return this._compileComparison(node, fields);
+    }
+  }
+  
+  /**
+   * Compile a field comparison into a predicate
+   * @param {Object} node - Comparison node ({ field, operator, value })
+   * @param {Object} fields - Field definitions by lower case name
+   * @returns {Function} Predicate receiving a player
+   * @private
+   */
+  _compileComparison(node, fields) {
+    const field = fields[node.field];
+    
+    if (field.type === 'number') {
+      const compare = {
+        ':': value => value === node.value,
+        '=': value => value === node.value,
+        '!=': value => value !== node.value,
+        '>': value => value > node.value,
+        '>=': value => value >= node.value,
+        '<': value => value < node.value,
+        '<=': value => value <= node.value
+      }[node.operator];
+      
+      return player => field.getValues(player).some(value => typeof value === 'number' && compare(value));
+    }
+    
+    // Text comparisons ignore case; missing values count as empty text
+    const expected = node.value.toLowerCase();
+    const compare = {
+      ':': value => value.includes(expected),
+      '=': value => value === expected
+    }[node.operator === '!=' ? '=' : node.operator];
+    
+    const matches = player => field.getValues(player).some(value => compare(String(value || '').toLowerCase()));
+    
+    return node.operator === '!=' ? player => !matches(player) : matches;
+  }
+  
+  /**
+   * Check if the next token has a type
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @param {string} type - Token type
+   * @returns {boolean} Whether the next token matches
+   * @private
+   */
+  _peek(parser, type) {
+    const token = parser.tokens[parser.index];
+    return Boolean(token) && token.type === type;
+  }
+  
+  /**
+   * Check if no term can start at the current token
+   * @param {Object} parser - Parser state ({ tokens, index })
+   * @returns {boolean} Whether the query ends or a group closes
+   * @private
+   */
+  _isTermEnd(parser) {
+    return parser.index >= parser.tokens.length ||
+      this._peek(parser, 'rparen') || this._peek(parser, 'or') || this._peek(parser, 'and');
+  }
+  
+  /**
+   * Throw a syntax error pointing at a token
+   * @param {string} message - Error message
+   * @param {Object} token - Token the error refers to
+   * @private
+   */
+  _fail(message, token) {
+    const error = new Error(message);
+    error.position = token.position;
+    error.length = Math.max((token.text || '').length, 1);
+    throw error;
+  }
+}
\ No newline at end of file
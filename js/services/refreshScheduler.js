@@ -0,0 +1,268 @@
+/**
+ * refreshScheduler.js
+ * 
+ * Service for automatic data refreshes in the TB Chest Analyzer.
+ * Reloads the data source on the configured interval, pauses while the tab is hidden
+ * and backs off after failed refreshes.
+ */
+
+/**
+ * RefreshScheduler - Schedules background reloads of the data source
+ */
+export class RefreshScheduler {
+  /**
+   * Initialize the refresh scheduler
+   * @param {Object} dataService - Data service instance
+   * @param {Object} stateManager - State manager instance
+   * @param {Object} errorHandler - Error handler instance
+   */
+  constructor(dataService, stateManager, errorHandler) {
+    this._dataService = dataService;
+    this._stateManager = stateManager;
+    this._errorHandler = errorHandler;
+    
+    // Interval used when none is configured (minutes)
+    this._defaultInterval = 60;
+    
+    // Failed refreshes stretch the delay up to this multiple of the interval
+    this._maxBackoffFactor = 8;
+    
+    // Timer state
+    this._timer = null;
+    this._nextRefresh = null;
+    this._failures = 0;
+    this._lastError = null;
+    this._isRefreshing = false;
+    
+    // Due time kept while the tab is hidden
+    this._pausedDue = null;
+    
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+  }
+  
+  /**
+   * Initialize the refresh scheduler
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      console.log('Initializing refresh scheduler...');
+      
+      // Pause while the tab is in the background
+      document.addEventListener('visibilitychange', this._handleVisibilityChange);
+      
+      // Reschedule when the settings change
+      this._stateManager.subscribe('autoRefresh', () => this._schedule());
+      this._stateManager.subscribe('refreshInterval', () => this._schedule());
+      this._stateManager.subscribe('activeDataset', () => this._schedule());
+      
+      // Keep the last refresh time in sync with every data update
+      this._stateManager.subscribe('processedData', () => this._publishStatus());
+      
+      this._schedule();
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize refresh scheduler:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check if automatic refreshes are enabled for the active dataset
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    // Imported files have no source to fetch again
+    const dataset = this._dataService.getActiveDataset();
+    if (dataset && dataset.type === 'file') {
+      return false;
+    }
+    
+    return this._getSetting('autoRefresh') === true;
+  }
+  
+  /**
+   * Get the refresh status shown in the header
+   * @returns {Object} Status ({ enabled, paused, refreshing, lastRefresh, nextRefresh, failures, lastError })
+   */
+  getStatus() {
+    const processedData = this._stateManager.getState('processedData');
+    
+    return {
+      enabled: this.isEnabled(),
+      paused: this.isEnabled() && this._isHidden(),
+      refreshing: this._isRefreshing,
+      lastRefresh: processedData && processedData.lastUpdated ? new Date(processedData.lastUpdated) : null,
+      nextRefresh: this._nextRefresh,
+      failures: this._failures,
+      lastError: this._lastError
+    };
+  }
+  
+  /**
+   * Reload the data source now and restart the interval
+   * @returns {Promise<boolean>} Success status
+   */
+  async refreshNow() {
+    if (this._isRefreshing) {
+      return false;
+    }
+    
+    this._clearTimer();
+    this._isRefreshing = true;
+    this._publishStatus();
+    
+    let success = false;
+    try {
+      success = await this._dataService.loadData(true, { background: true });
+    } catch (error) {
+      this._errorHandler.handleError(error, 'RefreshScheduler.refreshNow', false);
+    }
+    
+    this._isRefreshing = false;
+    
+    if (success) {
+      this._failures = 0;
+      this._lastError = null;
+    } else {
+      this._failures++;
+      this._lastError = new Date();
+      console.warn(`Refresh failed (${this._failures} in a row)`);
+    }
+    
+    this._schedule();
+    
+    return success;
+  }
+  
+  /**
+   * Stop all scheduled refreshes
+   */
+  stop() {
+    this._clearTimer();
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    this._publishStatus();
+  }
+  
+  /**
+   * Schedule the next refresh from the current settings
+   * @private
+   */
+  _schedule() {
+    this._clearTimer();
+    this._pausedDue = null;
+    
+    if (!this.isEnabled() || this._isHidden()) {
+      this._publishStatus();
+      return;
+    }
+    
+    this._startTimer(this._getDelay());
+  }
+  
+  /**
+   * Start the timer for the next refresh
+   * @param {number} delay - Delay in milliseconds
+   * @private
+   */
+  _startTimer(delay) {
+    this._nextRefresh = new Date(Date.now() + delay);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.refreshNow();
+    }, delay);
+    
+    this._publishStatus();
+  }
+  
+  /**
+   * Clear the pending refresh timer
+   * @private
+   */
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._nextRefresh = null;
+  }
+  
+  /**
+   * Get the delay until the next refresh, doubled after each failure in a row
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _getDelay() {
+    const minutes = Number(this._getSetting('refreshInterval')) || this._defaultInterval;
+    const interval = Math.max(minutes, 1) * 60 * 1000;
+    const factor = Math.min(2 ** this._failures, this._maxBackoffFactor);
+    
+    return interval * factor;
+  }
+  
+  /**
+   * Pause while hidden and catch up on missed refreshes when the tab is shown again
+   * @private
+   */
+  _handleVisibilityChange() {
+    if (!this.isEnabled()) return;
+    
+    if (this._isHidden()) {
+      // Keep the due time so it can be resumed
+      const due = this._nextRefresh;
+      this._clearTimer();
+      this._pausedDue = due;
+      this._publishStatus();
+      return;
+    }
+    
+    const due = this._pausedDue;
+    this._pausedDue = null;
+    
+    if (due && due.getTime() <= Date.now()) {
+      this.refreshNow();
+    } else if (due) {
+      this._startTimer(due.getTime() - Date.now());
+    } else {
+      this._schedule();
+    }
+  }
+  
+  /**
+   * Check if the tab is hidden
+   * @returns {boolean} Hidden status
+   * @private
+   */
+  _isHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  }
+  
+  /**
+   * Read a refresh setting from state, falling back to the stored settings
+   * @param {string} key - Setting key (autoRefresh, refreshInterval)
+   * @returns {*} Setting value
+   * @private
+   */
+  _getSetting(key) {
+    const value = this._stateManager.getState(key);
+    if (value !== undefined && value !== null) {
+      return value;
+    }
+    
+    try {
+      const stored = JSON.parse(localStorage.getItem('tb_settings') || '{}');
+      return stored[key];
+    } catch (error) {
+      return undefined;
+    }
+  }
+  
+  /**
+   * Publish the refresh status to state
+   * @private
+   */
+  _publishStatus() {
+    this._stateManager.setState('refreshStatus', this.getStatus());
+  }
+}
\ No newline at end of file
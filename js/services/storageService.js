@@ -0,0 +1,320 @@
+/**
+ * storageService.js
+ * 
+ * Service for persistent browser storage in the TB Chest Analyzer.
+ * Wraps IndexedDB object stores (players, events, snapshots, meta) in a small promise-based API.
+ * Players, events and snapshots are keyed by [datasetId, key] so several datasets can be stored side by side.
+ */
+
+/**
+ * StorageService - Handles IndexedDB persistence
+ */
+export class StorageService {
+  /**
+   * Initialize the storage service
+   * @param {Object} errorHandler - Error handler instance
+   */
+  constructor(errorHandler) {
+    this._errorHandler = errorHandler;
+    
+    // Database configuration
+    this._dbName = 'tb_chest_analyzer';
+    this._dbVersion = 3;
+    
+    // Dataset that records from databases before version 3 are assigned to
+    this._defaultDatasetId = 'default';
+    
+    // Open database connection (opened lazily)
+    this._db = null;
+    this._dbPromise = null;
+  }
+  
+  /**
+   * Initialize the storage service
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      console.log('Initializing storage service...');
+      
+      await this._getDb();
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize storage service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Check if IndexedDB is available in this browser
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+  
+  /**
+   * Get a record by key
+   * @param {string} storeName - Object store name
+   * @param {*} key - Record key
+   * @returns {Promise<Object|undefined>} Record or undefined if not found
+   */
+  get(storeName, key) {
+    return this._request(storeName, 'readonly', store => store.get(key));
+  }
+  
+  /**
+   * Get all records of a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<Array>} Records
+   */
+  getAll(storeName) {
+    return this._request(storeName, 'readonly', store => store.getAll());
+  }
+  
+  /**
+   * Get all records whose compound key starts with a prefix (e.g. all records of a dataset)
+   * @param {string} storeName - Object store name
+   * @param {*} prefix - First key component
+   * @returns {Promise<Array>} Records
+   */
+  getAllByPrefix(storeName, prefix) {
+    return this._request(storeName, 'readonly', store => store.getAll(this._prefixRange(prefix)));
+  }
+  
+  /**
+   * Insert or replace a record
+   * @param {string} storeName - Object store name
+   * @param {Object} value - Record
+   * @returns {Promise<*>} Record key
+   */
+  put(storeName, value) {
+    return this._request(storeName, 'readwrite', store => store.put(value));
+  }
+  
+  /**
+   * Delete a record by key
+   * @param {string} storeName - Object store name
+   * @param {*} key - Record key
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key) {
+    return this._request(storeName, 'readwrite', store => store.delete(key));
+  }
+  
+  /**
+   * Delete all records of a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<void>}
+   */
+  clear(storeName) {
+    return this._request(storeName, 'readwrite', store => store.clear());
+  }
+  
+  /**
+   * Count the records of a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<number>} Number of records
+   */
+  count(storeName) {
+    return this._request(storeName, 'readonly', store => store.count());
+  }
+  
+  /**
+   * Apply several writes across stores in a single transaction
+   * Either all operations are committed or none is.
+   * @param {Array} operations - Operations ({ store, clear, clearPrefix, put, delete })
+   * @returns {Promise<void>}
+   */
+  async writeBatch(operations) {
+    const db = await this._getDb();
+    const storeNames = [...new Set(operations.map(operation => operation.store))];
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      
+      operations.forEach(operation => {
+        const store = transaction.objectStore(operation.store);
+        
+        if (operation.clear) {
+          store.clear();
+        }
+        if (operation.clearPrefix !== undefined) {
+          store.delete(this._prefixRange(operation.clearPrefix));
+        }
+        (operation.delete || []).forEach(key => store.delete(key));
+        (operation.put || []).forEach(value => store.put(value));
+      });
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+  
+  /**
+   * Get the storage used by this origin and the quota granted by the browser
+   * @returns {Promise<Object|null>} Usage and quota in bytes, or null if the browser cannot report them
+   */
+  async getUsage() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+      return null;
+    }
+    
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  }
+  
+  /**
+   * Check if an error was caused by running out of storage space
+   * @param {Error} error - Error from a write
+   * @returns {boolean} Whether the quota was exceeded
+   */
+  isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+  }
+  
+  /**
+   * Open the database, creating object stores on first use
+   * @returns {Promise<IDBDatabase>} Database connection
+   * @private
+   */
+  _getDb() {
+    if (this._db) {
+      return Promise.resolve(this._db);
+    }
+    
+    if (this._dbPromise) {
+      return this._dbPromise;
+    }
+    
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (!this.isAvailable()) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      
+      const request = indexedDB.open(this._dbName, this._dbVersion);
+      
+      request.onupgradeneeded = () => {
+        this._upgradeDb(request.result, request.transaction);
+      };
+      
+      request.onsuccess = () => {
+        this._db = request.result;
+        
+        // Drop the connection if another tab upgrades the database
+        this._db.onversionchange = () => {
+          this._db.close();
+          this._db = null;
+          this._dbPromise = null;
+        };
+        
+        resolve(this._db);
+      };
+      
+      request.onerror = () => {
+        this._dbPromise = null;
+        reject(request.error || new Error('Failed to open database'));
+      };
+    });
+    
+    return this._dbPromise;
+  }
+  
+  /**
+   * Create object stores missing from older database versions
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @private
+   */
+  _upgradeDb(db, transaction) {
+    // Players and events per dataset
+    this._upgradeDatasetStore(db, transaction, 'players', 'id');
+    this._upgradeDatasetStore(db, transaction, 'events', 'id');
+    
+    // Dated snapshots per dataset, one per import day
+    this._upgradeDatasetStore(db, transaction, 'snapshots', 'date');
+    
+    // Dataset metadata (alliances, servers, last update) keyed as dataset:<id>
+    if (!db.objectStoreNames.contains('meta')) {
+      db.createObjectStore('meta', { keyPath: 'key' });
+    } else {
+      const meta = transaction.objectStore('meta');
+      const request = meta.get('dataset');
+      request.onsuccess = () => {
+        if (request.result) {
+          meta.put({ ...request.result, key: `dataset:${this._defaultDatasetId}` });
+          meta.delete('dataset');
+        }
+      };
+    }
+  }
+  
+  /**
+   * Create a store keyed by [datasetId, key], moving records of an older single-dataset store
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {IDBTransaction} transaction - Version change transaction
+   * @param {string} storeName - Object store name
+   * @param {string} key - Record key within a dataset
+   * @private
+   */
+  _upgradeDatasetStore(db, transaction, storeName, key) {
+    const keyPath = ['datasetId', key];
+    
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName, { keyPath });
+      return;
+    }
+    
+    const store = transaction.objectStore(storeName);
+    if (Array.isArray(store.keyPath)) {
+      return;
+    }
+    
+    // Records from before version 3 belong to the default dataset
+    const request = store.getAll();
+    request.onsuccess = () => {
+      db.deleteObjectStore(storeName);
+      
+      const newStore = db.createObjectStore(storeName, { keyPath });
+      request.result.forEach(record => {
+        newStore.put({ ...record, datasetId: this._defaultDatasetId });
+      });
+    };
+  }
+  
+  /**
+   * Create a key range matching all compound keys that start with a prefix
+   * @param {*} prefix - First key component
+   * @returns {IDBKeyRange} Key range
+   * @private
+   */
+  _prefixRange(prefix) {
+    // Arrays sort after all other key types, so [prefix, []] is above every [prefix, key]
+    return IDBKeyRange.bound([prefix], [prefix, []]);
+  }
+  
+  /**
+   * Run a single request against an object store
+   * @param {string} storeName - Object store name
+   * @param {string} mode - Transaction mode (readonly, readwrite)
+   * @param {Function} createRequest - Callback creating the request from the store
+   * @returns {Promise<*>} Request result
+   * @private
+   */
+  async _request(storeName, mode, createRequest) {
+    const db = await this._getDb();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      
+      // Resolve once the transaction is committed, not just when the request succeeds
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error(`Transaction aborted: ${storeName}`));
+    });
+  }
+}
\ No newline at end of file
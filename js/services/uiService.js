@@ -34,6 +34,12 @@ export class UIService {
     this._notificationContainerId = 'notification-container';
     this._modalContainerId = 'modal-container';
     this._loadingIndicatorId = 'loading-indicator';
+    
+    // Virtual tables: viewport height, estimated row height (pixels) and rows rendered beyond the viewport
+    this._virtualTableDefaults = { height: 600, rowHeight: 41, overscan: 10 };
+    
+    // Page sizes offered by paginated tables (0 shows all rows)
+    this._tablePageSizes = [25, 50, 100, 250, 0];
   }
   
   /**
@@ -349,10 +355,23 @@ export class UIService {
   
   /**
    * Create a table from data
+   * Columns may provide format(value, item) returning text or render(value, item) returning an element.
+   * Sortable tables sort by the clicked column; shift-click adds the column to the sort, then reverses it, then removes it.
+   * With options.virtual or options.pagination the table is wrapped in a scroll container with a
+   * sticky header that only renders the visible rows or the current page.
+   * The returned element has setData(data) to replace the rows without rebuilding the table.
+   * Columns with editable (text or number) are edited in place by double-clicking a cell when options.onCellEdit is set.
    * @param {Array} data - Table data
    * @param {Array} columns - Column configuration
    * @param {Object} options - Table options
-   * @returns {HTMLElement} Table element
+   * @param {Array|Object} options.currentSort - Current sort ({ column, ascending } or a list of them, first one sorted first)
+   * @param {Function} options.onSort - Callback receiving the clicked column, its direction and the new sort list
+   * @param {boolean|Object} options.virtual - Render only the visible rows ({ height, rowHeight } in pixels)
+   * @param {Object} options.pagination - Paginate the rows ({ pageSize, pageSizes, onPageSizeChange }, page size 0 shows all rows)
+   * @param {Function} options.onCellEdit - Callback receiving the row item, the column key and the entered text
+   * @param {Function} options.getEditNote - Returns the tooltip of an edited cell, or null if the cell was not edited
+   * @param {string} options.editHint - Tooltip of editable cells
+   * @returns {HTMLElement} Table element (or the wrapping view for virtual and paginated tables)
    */
   createTable(data, columns, options = {}) {
     try {
@@ -364,6 +383,9 @@ export class UIService {
       const thead = document.createElement('thead');
       const headerRow = document.createElement('tr');
       
+      // Current sort as a list of { column, ascending }
+      const currentSort = [].concat(options.currentSort || []);
+      
       // Add column headers
       columns.forEach(column => {
         const th = document.createElement('th');
@@ -377,20 +399,27 @@ export class UIService {
           th.classList.add('sortable');
           
           // Add current sort class if applicable
-          if (options.currentSort && options.currentSort.column === column.key) {
-            th.classList.add(options.currentSort.ascending ? 'sort-asc' : 'sort-desc');
+          const sortIndex = currentSort.findIndex(sort => sort.column === column.key);
+          if (sortIndex !== -1) {
+            th.classList.add(currentSort[sortIndex].ascending ? 'sort-asc' : 'sort-desc');
+            th.setAttribute('aria-sort', currentSort[sortIndex].ascending ? 'ascending' : 'descending');
+            
+            // Number the columns when sorting by several
+            if (currentSort.length > 1) {
+              const sortOrder = document.createElement('span');
+              sortOrder.className = 'sort-order';
+              sortOrder.textContent = sortIndex + 1;
+              th.appendChild(sortOrder);
+            }
           }
           
           // Add click handler
-          th.addEventListener('click', () => {
+          th.addEventListener('click', (event) => {
             if (options.onSort) {
-              // Toggle or set sort direction
-              let ascending = true;
-              if (options.currentSort && options.currentSort.column === column.key) {
-                ascending = !options.currentSort.ascending;
-              }
+              const nextSort = this._getNextSort(currentSort, column.key, event.shiftKey);
+              const clicked = nextSort.find(sort => sort.column === column.key);
               
-              options.onSort(column.key, ascending);
+              options.onSort(column.key, clicked ? clicked.ascending : true, nextSort);
             }
           });
         }
@@ -411,69 +440,22 @@ export class UIService {
       
       // Create table body
       const tbody = document.createElement('tbody');
+      table.appendChild(tbody);
+      
+      // Large tables only keep the visible rows or the current page in the DOM
+      if (options.virtual || options.pagination) {
+        return this._createTableView(table, tbody, data, columns, options);
+      }
       
       // Add data rows
-      data.forEach(item => {
-        const row = document.createElement('tr');
-        
-        // Add data cells
-        columns.forEach(column => {
-          const td = document.createElement('td');
-          
-          // Get cell value
-          let value = item[column.key];
-          
-          // Format value if formatter provided
-          if (column.format && typeof column.format === 'function') {
-            value = column.format(value, item);
-          }
-          
-          td.textContent = value !== undefined && value !== null ? value : '';
-          
-          row.appendChild(td);
-        });
-        
-        // Add actions cell if needed
-        if (options.actions && options.actions.length > 0) {
-          const actionsCell = document.createElement('td');
-          actionsCell.className = 'actions-cell';
-          
-          // Create action buttons
-          options.actions.forEach(action => {
-            const button = document.createElement('button');
-            button.className = 'player-action';
-            button.title = action.label;
-            button.setAttribute('data-action', action.action);
-            button.setAttribute('data-player-id', item.id);
-            
-            // Add icon if provided
-            if (action.icon) {
-              const icon = document.createElement('i');
-              icon.className = `fas fa-${action.icon}`;
-              button.appendChild(icon);
-            } else {
-              button.textContent = action.label;
-            }
-            
-            // Add click handler
-            button.addEventListener('click', (event) => {
-              event.preventDefault();
-              event.stopPropagation();
-              if (action.action && typeof action.action === 'function') {
-                action.action(item);
-              }
-            });
-            
-            actionsCell.appendChild(button);
-          });
-          
-          row.appendChild(actionsCell);
-        }
-        
-        tbody.appendChild(row);
-      });
+      const renderRows = (rows) => {
+        tbody.innerHTML = '';
+        rows.forEach(item => tbody.appendChild(this._createTableRow(item, columns, options)));
+      };
+      renderRows(data);
       
-      table.appendChild(tbody);
+      // Replace the rows without rebuilding the table
+      table.setData = renderRows;
       
       return table;
     } catch (error) {
@@ -482,8 +464,50 @@ export class UIService {
     }
   }
   
+  /**
+   * Create a leaderboard movement indicator (up/down arrow with the number of places, or a new entry marker)
+   * @param {Object|null} movement - Movement ({ delta, isNew, previousRank }) or null if unknown
+   * @param {Object} labels - Labels
+   * @param {string} labels.newEntry - Text of the new entry marker
+   * @param {string} labels.previous - Tooltip with a {rank} placeholder for the previous position
+   * @returns {HTMLElement} Indicator element
+   */
+  createRankMovement(movement, labels = {}) {
+    const indicator = document.createElement('span');
+    indicator.className = 'rank-movement';
+    
+    if (!movement) {
+      return indicator;
+    }
+    
+    if (movement.isNew) {
+      indicator.classList.add('rank-new');
+      indicator.textContent = labels.newEntry || 'New';
+      return indicator;
+    }
+    
+    if (labels.previous) {
+      indicator.title = labels.previous.replace('{rank}', movement.previousRank);
+    }
+    
+    if (movement.delta > 0) {
+      indicator.classList.add('rank-up');
+      indicator.textContent = `▲${movement.delta}`;
+    } else if (movement.delta < 0) {
+      indicator.classList.add('rank-down');
+      indicator.textContent = `▼${-movement.delta}`;
+    } else {
+      indicator.classList.add('rank-same');
+      indicator.textContent = '–';
+    }
+    
+    return indicator;
+  }
+  
   /**
    * Create filter UI
+   * Filter types: text, select, checkbox, radio, range and multiselect
+   * (a value list with include or exclude mode, collected as { values, exclude } or null).
    * @param {HTMLElement} container - Container element
    * @param {Object} filters - Filter configuration
    * @param {Function} onFilter - Filter callback
@@ -586,6 +610,10 @@ export class UIService {
             if (config.step !== undefined) input.step = config.step;
             break;
             
+          case 'multiselect':
+            input = this._createMultiSelect(key, config);
+            break;
+            
           default:
             input = document.createElement('input');
             input.type = 'text';
@@ -607,6 +635,8 @@ export class UIService {
             if (radioInput) {
               radioInput.checked = true;
             }
+          } else if (config.type === 'multiselect') {
+            input.setSelection(config.value);
           } else {
             input.value = config.value;
           }
@@ -622,7 +652,7 @@ export class UIService {
               }
             });
           });
-        } else if (config.type === 'select' || config.type === 'checkbox') {
+        } else if (config.type === 'select' || config.type === 'checkbox' || config.type === 'multiselect') {
           input.addEventListener('change', () => {
             if (onFilter && typeof onFilter === 'function') {
               const filters = this._collectFilterValues(form);
@@ -654,6 +684,779 @@ export class UIService {
     }
   }
   
+  /**
+   * Create a list whose items can be reordered by drag and drop
+   * @param {HTMLElement} container - Container element
+   * @param {Array} items - List items
+   * @param {Object} options - List options
+   * @param {Function} options.renderItem - Callback creating the content element of an item
+   * @param {Function} options.onReorder - Callback receiving the items in their new order
+   * @returns {HTMLElement} List element
+   */
+  createSortableList(container, items, options = {}) {
+    try {
+      const list = document.createElement('ul');
+      list.className = 'sortable-list';
+      
+      let order = [...items];
+      let dragIndex = null;
+      
+      const render = () => {
+        list.innerHTML = '';
+        
+        order.forEach((item, index) => {
+          const listItem = document.createElement('li');
+          listItem.className = 'sortable-item';
+          listItem.draggable = true;
+          listItem.dataset.index = index;
+          
+          const handle = document.createElement('span');
+          handle.className = 'sortable-handle';
+          handle.textContent = '⋮⋮';
+          handle.setAttribute('aria-hidden', 'true');
+          listItem.appendChild(handle);
+          
+          if (options.renderItem && typeof options.renderItem === 'function') {
+            listItem.appendChild(options.renderItem(item));
+          }
+          
+          listItem.addEventListener('dragstart', (event) => {
+            dragIndex = index;
+            listItem.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(index));
+          });
+          
+          listItem.addEventListener('dragend', () => {
+            dragIndex = null;
+            listItem.classList.remove('dragging');
+            list.querySelectorAll('.drag-over').forEach(element => element.classList.remove('drag-over'));
+          });
+          
+          listItem.addEventListener('dragover', (event) => {
+            if (dragIndex === null) return;
+            event.preventDefault();
+            listItem.classList.add('drag-over');
+          });
+          
+          listItem.addEventListener('dragleave', () => {
+            listItem.classList.remove('drag-over');
+          });
+          
+          // Move the dragged item to the drop position
+          listItem.addEventListener('drop', (event) => {
+            event.preventDefault();
+            if (dragIndex === null || dragIndex === index) return;
+            
+            const [moved] = order.splice(dragIndex, 1);
+            order.splice(index, 0, moved);
+            dragIndex = null;
+            render();
+            
+            if (options.onReorder && typeof options.onReorder === 'function') {
+              options.onReorder([...order]);
+            }
+          });
+          
+          list.appendChild(listItem);
+        });
+      };
+      
+      render();
+      
+      // Replace the items, e.g. after one was added or removed
+      list.setItems = (newItems) => {
+        order = [...newItems];
+        render();
+      };
+      
+      container.appendChild(list);
+      return list;
+    } catch (error) {
+      console.error('Failed to create sortable list:', error);
+      return document.createElement('div');
+    }
+  }
+  
+  /**
+   * Create a file drop zone with a file picker fallback
+   * @param {HTMLElement} container - Container element
+   * @param {Object} options - Drop zone options
+   * @param {string} options.label - Hint text shown in the drop zone
+   * @param {string} options.accept - Accepted file types for the picker (e.g. ".json,.csv")
+   * @param {boolean} options.multiple - Whether multiple files may be selected
+   * @param {Function} options.onFiles - Callback receiving the selected files
+   * @returns {HTMLElement} Drop zone element
+   */
+  createFileDropZone(container, options = {}) {
+    try {
+      // Create drop zone element
+      const dropZone = document.createElement('div');
+      dropZone.className = 'file-drop-zone';
+      dropZone.setAttribute('role', 'button');
+      dropZone.setAttribute('tabindex', '0');
+      
+      // Icon
+      const icon = document.createElement('i');
+      icon.className = 'fas fa-file-upload';
+      dropZone.appendChild(icon);
+      
+      // Hint text
+      const label = document.createElement('div');
+      label.className = 'file-drop-label';
+      label.textContent = options.label || 'Drop a file here or click to choose a file';
+      dropZone.appendChild(label);
+      
+      // Hidden file input used as picker
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.className = 'file-drop-input';
+      input.hidden = true;
+      if (options.accept) {
+        input.accept = options.accept;
+      }
+      input.multiple = Boolean(options.multiple);
+      dropZone.appendChild(input);
+      
+      const handleFiles = (fileList) => {
+        const files = Array.from(fileList || []);
+        if (files.length > 0 && options.onFiles && typeof options.onFiles === 'function') {
+          options.onFiles(options.multiple ? files : [files[0]]);
+        }
+      };
+      
+      // Open picker on click or keyboard activation
+      dropZone.addEventListener('click', (event) => {
+        if (event.target !== input) {
+          input.click();
+        }
+      });
+      
+      dropZone.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          input.click();
+        }
+      });
+      
+      input.addEventListener('change', () => {
+        handleFiles(input.files);
+        
+        // Reset so the same file can be picked again
+        input.value = '';
+      });
+      
+      // Drag and drop handlers
+      ['dragenter', 'dragover'].forEach(type => {
+        dropZone.addEventListener(type, (event) => {
+          event.preventDefault();
+          dropZone.classList.add('drag-over');
+        });
+      });
+      
+      ['dragleave', 'dragend'].forEach(type => {
+        dropZone.addEventListener(type, () => {
+          dropZone.classList.remove('drag-over');
+        });
+      });
+      
+      dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('drag-over');
+        handleFiles(event.dataTransfer ? event.dataTransfer.files : null);
+      });
+      
+      container.appendChild(dropZone);
+      return dropZone;
+    } catch (error) {
+      console.error('Failed to create file drop zone:', error);
+      return document.createElement('div');
+    }
+  }
+  
+  /**
+   * Create a date range picker with presets and custom start/end dates
+   * @param {HTMLElement} container - Container element
+   * @param {Object} options - Picker options
+   * @param {Array} options.presets - Presets as { value, label } (a 'custom' preset enables the date inputs)
+   * @param {Object|null} options.value - Current range ({ preset, start, end })
+   * @param {string} options.startLabel - Label of the start date input
+   * @param {string} options.endLabel - Label of the end date input
+   * @param {Function} options.onChange - Callback receiving the new range
+   * @returns {HTMLElement} Picker element
+   */
+  createDateRangePicker(container, options = {}) {
+    try {
+      const value = options.value || { preset: 'all', start: '', end: '' };
+      
+      // Create picker element
+      const picker = document.createElement('div');
+      picker.className = 'date-range-picker';
+      
+      // Preset select
+      const select = document.createElement('select');
+      select.className = 'date-range-preset';
+      
+      (options.presets || []).forEach(preset => {
+        const optionElement = document.createElement('option');
+        optionElement.value = preset.value;
+        optionElement.textContent = preset.label;
+        select.appendChild(optionElement);
+      });
+      
+      select.value = value.preset;
+      picker.appendChild(select);
+      
+      // Custom date inputs
+      const customContainer = document.createElement('div');
+      customContainer.className = 'date-range-custom';
+      
+      const createDateInput = (labelText, inputValue) => {
+        const input = document.createElement('input');
+        input.type = 'date';
+        input.value = inputValue || '';
+        input.setAttribute('aria-label', labelText || '');
+        input.title = labelText || '';
+        customContainer.appendChild(input);
+        return input;
+      };
+      
+      const startInput = createDateInput(options.startLabel, value.start);
+      const endInput = createDateInput(options.endLabel, value.end);
+      picker.appendChild(customContainer);
+      
+      const updateCustomVisibility = () => {
+        customContainer.hidden = select.value !== 'custom';
+      };
+      updateCustomVisibility();
+      
+      const notifyChange = () => {
+        if (!options.onChange || typeof options.onChange !== 'function') return;
+        
+        if (select.value === 'custom') {
+          options.onChange({ preset: 'custom', start: startInput.value, end: endInput.value });
+        } else {
+          options.onChange(select.value === 'all' ? null : { preset: select.value });
+        }
+      };
+      
+      select.addEventListener('change', () => {
+        updateCustomVisibility();
+        notifyChange();
+      });
+      startInput.addEventListener('change', notifyChange);
+      endInput.addEventListener('change', notifyChange);
+      
+      container.appendChild(picker);
+      return picker;
+    } catch (error) {
+      console.error('Failed to create date range picker:', error);
+      return document.createElement('div');
+    }
+  }
+  
+  /**
+   * Get the sort after a header click
+   * @param {Array} currentSort - Current sort ({ column, ascending })
+   * @param {string} column - Clicked column
+   * @param {boolean} addToSort - Whether the column is added to the sort (shift-click)
+   * @returns {Array} New sort
+   * @private
+   */
+  _getNextSort(currentSort, column, addToSort) {
+    const index = currentSort.findIndex(sort => sort.column === column);
+    
+    // A plain click sorts by this column only, reversing it if it was sorted already
+    if (!addToSort) {
+      return [{ column, ascending: index === -1 ? true : !currentSort[index].ascending }];
+    }
+    
+    // Shift-click adds the column, then reverses it, then removes it
+    if (index === -1) {
+      return [...currentSort, { column, ascending: true }];
+    }
+    
+    if (currentSort[index].ascending) {
+      return currentSort.map((sort, i) => (i === index ? { column, ascending: false } : sort));
+    }
+    
+    return currentSort.filter((sort, i) => i !== index);
+  }
+  
+  /**
+   * Create a table row
+   * @param {Object} item - Row data
+   * @param {Array} columns - Column configuration
+   * @param {Object} options - Table options
+   * @returns {HTMLElement} Row element
+   * @private
+   */
+  _createTableRow(item, columns, options) {
+    const row = document.createElement('tr');
+    
+    // Add row class if provided
+    if (options.rowClass && typeof options.rowClass === 'function') {
+      const rowClass = options.rowClass(item);
+      if (rowClass) {
+        row.className = rowClass;
+      }
+    }
+    
+    // Add data cells
+    columns.forEach(column => {
+      const td = document.createElement('td');
+      
+      // Get cell value
+      let value = item[column.key];
+      
+      // Mark values changed by hand
+      const editNote = options.getEditNote ? options.getEditNote(item, column.key) : null;
+      if (editNote) {
+        td.classList.add('cell-edited');
+        td.title = editNote;
+      }
+      
+      if (column.editable && options.onCellEdit) {
+        td.classList.add('cell-editable');
+        td.title = editNote ? `${editNote}\n${options.editHint || ''}`.trim() : (options.editHint || '');
+        td.addEventListener('dblclick', () => this._editTableCell(td, item, column, options.onCellEdit));
+      }
+      
+      // Render custom content if renderer provided
+      if (column.render && typeof column.render === 'function') {
+        td.appendChild(column.render(value, item));
+        row.appendChild(td);
+        return;
+      }
+      
+      // Format value if formatter provided
+      if (column.format && typeof column.format === 'function') {
+        value = column.format(value, item);
+      }
+      
+      td.textContent = value !== undefined && value !== null ? value : '';
+      
+      row.appendChild(td);
+    });
+    
+    // Add actions cell if needed
+    if (options.actions && options.actions.length > 0) {
+      const actionsCell = document.createElement('td');
+      actionsCell.className = 'actions-cell';
+      
+      // Create action buttons
+      options.actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'player-action';
+        button.title = action.label;
+        button.setAttribute('data-action', action.action);
+        button.setAttribute('data-player-id', item.id);
+        
+        // Add icon if provided
+        if (action.icon) {
+          const icon = document.createElement('i');
+          icon.className = `fas fa-${action.icon}`;
+          button.appendChild(icon);
+        } else {
+          button.textContent = action.label;
+        }
+        
+        // Add click handler
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          if (action.action && typeof action.action === 'function') {
+            action.action(item);
+          }
+        });
+        
+        actionsCell.appendChild(button);
+      });
+      
+      row.appendChild(actionsCell);
+    }
+    
+    return row;
+  }
+  
+  /**
+   * Replace a cell with an input for editing its value
+   * Enter or leaving the input saves a changed value, Escape cancels.
+   * @param {HTMLElement} td - Table cell
+   * @param {Object} item - Row data
+   * @param {Object} column - Column configuration (editable is the input type, text or number)
+   * @param {Function} onCellEdit - Callback receiving the row item, the column key and the entered text
+   * @private
+   */
+  _editTableCell(td, item, column, onCellEdit) {
+    if (td.querySelector('.cell-editor')) return;
+    
+    const content = [...td.childNodes];
+    const initialValue = item[column.key] !== undefined && item[column.key] !== null ? String(item[column.key]) : '';
+    
+    const input = document.createElement('input');
+    input.className = 'cell-editor';
+    input.type = column.editable === 'number' ? 'number' : 'text';
+    input.value = initialValue;
+    if (column.editable === 'number') {
+      input.min = '0';
+    }
+    input.setAttribute('aria-label', column.label);
+    
+    td.innerHTML = '';
+    td.appendChild(input);
+    input.focus();
+    input.select();
+    
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      
+      td.innerHTML = '';
+      content.forEach(node => td.appendChild(node));
+      
+      if (save && input.value !== initialValue) {
+        onCellEdit(item, column.key, input.value);
+      }
+    };
+    
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        finish(true);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    // Keep clicks in the input from reaching the row
+    input.addEventListener('click', event => event.stopPropagation());
+  }
+  
+  /**
+   * Wrap a table in a scrolling view that renders only the visible rows or the current page
+   * @param {HTMLElement} table - Table element with its header
+   * @param {HTMLElement} tbody - Empty table body
+   * @param {Array} data - Table data
+   * @param {Array} columns - Column configuration
+   * @param {Object} options - Table options
+   * @returns {HTMLElement} Table view element
+   * @private
+   */
+  _createTableView(table, tbody, data, columns, options) {
+    const virtual = options.virtual ? { ...this._virtualTableDefaults, ...(options.virtual === true ? {} : options.virtual) } : null;
+    const pagination = options.pagination || null;
+    const columnCount = columns.length + (options.actions && options.actions.length > 0 ? 1 : 0);
+    
+    let rows = data;
+    let page = 0;
+    let pageSize = pagination ? Number(pagination.pageSize) || 0 : 0;
+    let rowHeight = virtual ? virtual.rowHeight : 0;
+    let rowHeightMeasured = false;
+    let renderedRange = null;
+    
+    const view = document.createElement('div');
+    view.className = 'table-view';
+    
+    // Scroll container with sticky header
+    const scroller = document.createElement('div');
+    scroller.className = 'table-scroll';
+    if (virtual) {
+      scroller.classList.add('table-virtual');
+      scroller.style.maxHeight = `${virtual.height}px`;
+    }
+    scroller.appendChild(table);
+    view.appendChild(scroller);
+    
+    const getPageCount = () => (pageSize > 0 ? Math.max(Math.ceil(rows.length / pageSize), 1) : 1);
+    const getPageRows = () => (pageSize > 0 ? rows.slice(page * pageSize, (page + 1) * pageSize) : rows);
+    
+    // Empty row keeping the scroll height of the rows that are not rendered
+    const createSpacer = (height) => {
+      const spacer = document.createElement('tr');
+      spacer.className = 'table-spacer';
+      spacer.setAttribute('aria-hidden', 'true');
+      
+      const cell = document.createElement('td');
+      cell.colSpan = columnCount;
+      cell.style.height = `${height}px`;
+      spacer.appendChild(cell);
+      
+      return spacer;
+    };
+    
+    const renderRows = (force = false) => {
+      const pageRows = getPageRows();
+      
+      if (!virtual) {
+        tbody.innerHTML = '';
+        pageRows.forEach(item => tbody.appendChild(this._createTableRow(item, columns, options)));
+        return;
+      }
+      
+      // Rows in and slightly around the visible area
+      const viewportHeight = scroller.clientHeight || virtual.height;
+      const first = Math.max(Math.floor(scroller.scrollTop / rowHeight) - virtual.overscan, 0);
+      const last = Math.min(first + Math.ceil(viewportHeight / rowHeight) + virtual.overscan * 2, pageRows.length);
+      
+      if (!force && renderedRange && renderedRange.first === first && renderedRange.last === last) {
+        return;
+      }
+      renderedRange = { first, last };
+      
+      tbody.innerHTML = '';
+      if (first > 0) {
+        tbody.appendChild(createSpacer(first * rowHeight));
+      }
+      for (let index = first; index < last; index++) {
+        tbody.appendChild(this._createTableRow(pageRows[index], columns, options));
+      }
+      if (last < pageRows.length) {
+        tbody.appendChild(createSpacer((pageRows.length - last) * rowHeight));
+      }
+      
+      // Use the real row height once the table is displayed
+      const renderedRow = tbody.querySelector('tr:not(.table-spacer)');
+      if (!rowHeightMeasured && renderedRow && renderedRow.offsetHeight > 0) {
+        rowHeightMeasured = true;
+        if (renderedRow.offsetHeight !== rowHeight) {
+          rowHeight = renderedRow.offsetHeight;
+          renderRows(true);
+        }
+      }
+    };
+    
+    if (virtual) {
+      let frame = null;
+      scroller.addEventListener('scroll', () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          renderRows();
+        });
+      });
+    }
+    
+    // Pager with page size selection
+    let updatePager = () => {};
+    if (pagination) {
+      const labels = { rows: 'Rows per page', all: 'All', of: 'of', previous: 'Previous page', next: 'Next page', ...(pagination.labels || {}) };
+      
+      const pager = document.createElement('div');
+      pager.className = 'table-pager';
+      
+      const previousButton = document.createElement('button');
+      previousButton.type = 'button';
+      previousButton.className = 'pager-previous';
+      previousButton.textContent = '‹';
+      previousButton.title = labels.previous;
+      
+      const info = document.createElement('span');
+      info.className = 'pager-info';
+      
+      const nextButton = document.createElement('button');
+      nextButton.type = 'button';
+      nextButton.className = 'pager-next';
+      nextButton.textContent = '›';
+      nextButton.title = labels.next;
+      
+      const sizeLabel = document.createElement('label');
+      sizeLabel.className = 'pager-size';
+      sizeLabel.textContent = labels.rows;
+      
+      const sizeSelect = document.createElement('select');
+      (pagination.pageSizes || this._tablePageSizes).forEach(size => {
+        const option = document.createElement('option');
+        option.value = size;
+        option.textContent = size > 0 ? size : labels.all;
+        sizeSelect.appendChild(option);
+      });
+      sizeSelect.value = pageSize;
+      sizeLabel.appendChild(sizeSelect);
+      
+      pager.appendChild(previousButton);
+      pager.appendChild(info);
+      pager.appendChild(nextButton);
+      pager.appendChild(sizeLabel);
+      view.appendChild(pager);
+      
+      updatePager = () => {
+        const start = rows.length > 0 ? (pageSize > 0 ? page * pageSize : 0) + 1 : 0;
+        const end = pageSize > 0 ? Math.min((page + 1) * pageSize, rows.length) : rows.length;
+        
+        info.textContent = `${start}–${end} ${labels.of} ${rows.length}`;
+        previousButton.disabled = page === 0;
+        nextButton.disabled = page >= getPageCount() - 1;
+      };
+      
+      const goToPage = (newPage) => {
+        page = Math.min(Math.max(newPage, 0), getPageCount() - 1);
+        scroller.scrollTop = 0;
+        renderRows(true);
+        updatePager();
+      };
+      
+      previousButton.addEventListener('click', () => goToPage(page - 1));
+      nextButton.addEventListener('click', () => goToPage(page + 1));
+      sizeSelect.addEventListener('change', () => {
+        pageSize = Number(sizeSelect.value) || 0;
+        goToPage(0);
+        
+        if (pagination.onPageSizeChange && typeof pagination.onPageSizeChange === 'function') {
+          pagination.onPageSizeChange(pageSize);
+        }
+      });
+    }
+    
+    // Replace the rows, starting again at the first page
+    view.setData = (newData) => {
+      rows = newData;
+      page = 0;
+      scroller.scrollTop = 0;
+      renderRows(true);
+      updatePager();
+    };
+    
+    renderRows(true);
+    updatePager();
+    
+    return view;
+  }
+  
+  /**
+   * Create a multi-select filter with include and exclude mode
+   * The option checkboxes have no name so FormData skips them; the element exposes
+   * getSelection(), setSelection() and setOpen() instead.
+   * @param {string} key - Filter key
+   * @param {Object} config - Filter configuration
+   * @param {Array} config.options - Options ({ value, label })
+   * @param {string} config.allLabel - Summary shown when nothing is selected
+   * @param {string} config.includeLabel - Label of the include mode
+   * @param {string} config.excludeLabel - Label of the exclude mode
+   * @returns {HTMLElement} Multi-select element
+   * @private
+   */
+  _createMultiSelect(key, config) {
+    const multiSelect = document.createElement('div');
+    multiSelect.className = 'multiselect';
+    multiSelect.dataset.name = key;
+    
+    // Toggle button showing the current selection
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.id = `filter-${key}`;
+    toggle.className = 'multiselect-toggle';
+    toggle.setAttribute('aria-expanded', 'false');
+    multiSelect.appendChild(toggle);
+    
+    const panel = document.createElement('div');
+    panel.className = 'multiselect-panel';
+    panel.hidden = true;
+    multiSelect.appendChild(panel);
+    
+    // Include or exclude the checked values
+    const mode = document.createElement('select');
+    mode.className = 'multiselect-mode';
+    [
+      { value: 'include', label: config.includeLabel || 'Only selected' },
+      { value: 'exclude', label: config.excludeLabel || 'All except selected' }
+    ].forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      mode.appendChild(optionElement);
+    });
+    panel.appendChild(mode);
+    
+    const optionList = document.createElement('div');
+    optionList.className = 'multiselect-options';
+    (config.options || []).forEach(option => {
+      const optionLabel = document.createElement('label');
+      optionLabel.className = 'multiselect-option';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = option.value;
+      
+      const text = document.createElement('span');
+      text.textContent = option.label;
+      
+      optionLabel.appendChild(checkbox);
+      optionLabel.appendChild(text);
+      optionList.appendChild(optionLabel);
+    });
+    panel.appendChild(optionList);
+    
+    const checkboxes = () => Array.from(optionList.querySelectorAll('input[type="checkbox"]'));
+    
+    multiSelect.getSelection = () => {
+      const values = checkboxes().filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+      return values.length > 0 ? { values, exclude: mode.value === 'exclude' } : null;
+    };
+    
+    const updateSummary = () => {
+      const selection = multiSelect.getSelection();
+      
+      if (!selection) {
+        toggle.textContent = config.allLabel || 'All';
+      } else {
+        const labels = selection.values.map(value => {
+          const option = (config.options || []).find(o => String(o.value) === value);
+          return option ? option.label : value;
+        });
+        const summary = labels.length > 2 ? `${labels.length} selected` : labels.join(', ');
+        toggle.textContent = selection.exclude ? `≠ ${summary}` : summary;
+      }
+    };
+    
+    // Accepts a single value (older filters), a list or { values, exclude }
+    multiSelect.setSelection = (selection) => {
+      let values = [];
+      let exclude = false;
+      
+      if (typeof selection === 'string' && selection) {
+        values = [selection];
+      } else if (Array.isArray(selection)) {
+        values = selection;
+      } else if (selection && Array.isArray(selection.values)) {
+        values = selection.values;
+        exclude = Boolean(selection.exclude);
+      }
+      
+      mode.value = exclude ? 'exclude' : 'include';
+      checkboxes().forEach(checkbox => {
+        checkbox.checked = values.map(String).includes(checkbox.value);
+      });
+      updateSummary();
+    };
+    
+    multiSelect.addEventListener('change', updateSummary);
+    
+    multiSelect.setOpen = (open) => {
+      panel.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+    };
+    
+    toggle.addEventListener('click', () => multiSelect.setOpen(panel.hidden));
+    
+    // Close when clicking elsewhere; the listener goes away with the element
+    const closeOnOutsideClick = (event) => {
+      if (!multiSelect.isConnected) {
+        document.removeEventListener('click', closeOnOutsideClick);
+      } else if (!multiSelect.contains(event.target)) {
+        multiSelect.setOpen(false);
+      }
+    };
+    document.addEventListener('click', closeOnOutsideClick);
+    
+    updateSummary();
+    
+    return multiSelect;
+  }
+  
   /**
    * Collect filter values from form
    * @param {HTMLFormElement} form - Filter form
@@ -670,7 +1473,14 @@ export class UIService {
     
     // Handle checkboxes (they don't appear in FormData if unchecked)
     form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-      filters[checkbox.name] = checkbox.checked;
+      if (checkbox.name) {
+        filters[checkbox.name] = checkbox.checked;
+      }
+    });
+    
+    // Multi-select filters hold their selection themselves
+    form.querySelectorAll('.multiselect').forEach(multiSelect => {
+      filters[multiSelect.dataset.name] = multiSelect.getSelection();
     });
     
     return filters;
@@ -0,0 +1,354 @@
+/**
+ * validationService.js
+ * 
+ * Service for validating imported rows in the TB Chest Analyzer.
+ * Checks player and chest event rows against a declared schema and builds a data quality report.
+ */
+
+/**
+ * ValidationService - Classifies imported rows as valid, repaired or rejected
+ */
+export class ValidationService {
+  /**
+   * Initialize the validation service
+   */
+  constructor() {
+    // Field rules per row type
+    // required: row is rejected when missing (unless a fallback field has a value)
+    // aliases: alternative keys holding the same field, label: name used in messages
+    // min: smaller numbers are repaired to this value
+    // onInvalid: 'reject' the row or 'drop' the field when the value has the wrong type
+    this._schemas = {
+      player: {
+        id: { type: 'string', onInvalid: 'reject' },
+        name: { type: 'string', required: true, fallback: 'id', onInvalid: 'reject' },
+        alliance: { type: 'string', onInvalid: 'drop' },
+        server: { type: 'string', onInvalid: 'drop' },
+        rank: { type: 'string', onInvalid: 'drop' },
+        score: { type: 'number', min: 0, onInvalid: 'reject' },
+        chests: { type: 'number', min: 0, onInvalid: 'reject' },
+        timestamp: { type: 'date', aliases: ['date', 'lastActive'], onInvalid: 'reject' },
+        chestBreakdown: { type: 'object', onInvalid: 'drop' }
+      },
+      event: {
+        id: { type: 'string', onInvalid: 'reject' },
+        playerId: { type: 'string', label: 'player', required: true, aliases: ['player', 'playerName'], onInvalid: 'reject' },
+        chestName: { type: 'string', label: 'chest name', required: true, aliases: ['chest'], onInvalid: 'reject' },
+        alliance: { type: 'string', onInvalid: 'drop' },
+        server: { type: 'string', onInvalid: 'drop' },
+        source: { type: 'string', onInvalid: 'drop' },
+        level: { type: 'number', min: 0, onInvalid: 'drop' },
+        points: { type: 'number', min: 0, onInvalid: 'reject' },
+        timestamp: { type: 'date', onInvalid: 'reject' }
+      }
+    };
+    
+    // Fields whose absence is reported as a missing name
+    this._nameFields = ['name', 'playerId'];
+    
+    // Report categories in display order
+    this._issueCodes = ['duplicate', 'negative_number', 'missing_name', 'type_mismatch', 'missing_field', 'not_object'];
+  }
+  
+  /**
+   * Get the declared schema of a row type
+   * @param {string} rowType - Row type (player, event)
+   * @returns {Object} Field rules by field name
+   */
+  getSchema(rowType) {
+    return this._schemas[rowType];
+  }
+  
+  /**
+   * Validate rows of one type, rejecting later duplicates of the same player or event
+   * @param {string} rowType - Row type (player, event)
+   * @param {Array} rows - Raw rows
+   * @returns {Array} Results ({ type, index, status, value, issues, reason })
+   */
+  validateRows(rowType, rows) {
+    const seen = new Map();
+    
+    return rows.map((row, index) => {
+      const result = { type: rowType, index, ...this.validateRow(rowType, row) };
+      
+      if (result.status === 'rejected') {
+        return result;
+      }
+      
+      // Keep the first occurrence, reject the rest
+      const key = this._getDuplicateKey(rowType, result.value);
+      if (key !== null) {
+        if (seen.has(key)) {
+          const issue = {
+            code: 'duplicate',
+            field: result.value.id ? 'id' : 'name',
+            message: `Duplicate of ${rowType === 'event' ? 'event' : 'player'} #${seen.get(key) + 1}`
+          };
+          
+          result.issues.push(issue);
+          result.status = 'rejected';
+          result.reason = issue.message;
+        } else {
+          seen.set(key, index);
+        }
+      }
+      
+      return result;
+    });
+  }
+  
+  /**
+   * Validate a single row against its schema
+   * @param {string} rowType - Row type (player, event)
+   * @param {*} row - Raw row
+   * @returns {Object} Result with status (valid, repaired, rejected), cleaned value, issues and rejection reason
+   */
+  validateRow(rowType, row) {
+    const schema = this._schemas[rowType];
+    if (!schema) {
+      throw new Error(`Unknown row type: ${rowType}`);
+    }
+    
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      const issue = { code: 'not_object', field: null, message: 'Row is not an object' };
+      return { status: 'rejected', value: null, issues: [issue], reason: issue.message };
+    }
+    
+    const value = { ...row };
+    const issues = [];
+    let reason = null;
+    let repaired = false;
+    
+    Object.entries(schema).forEach(([field, rule]) => {
+      if (reason) return;
+      
+      const key = this._findKey(value, field, rule);
+      const label = rule.label || field;
+      
+      // Missing values
+      if (key === null) {
+        if (!rule.required) return;
+        
+        const fallbackKey = rule.fallback ? this._findKey(value, rule.fallback, schema[rule.fallback]) : null;
+        const code = this._nameFields.includes(field) ? 'missing_name' : 'missing_field';
+        
+        if (fallbackKey !== null) {
+          value[field] = String(value[fallbackKey]);
+          issues.push({ code, field, message: `Missing ${label}, using ${rule.fallback}` });
+          repaired = true;
+        } else {
+          const message = rule.fallback ? `Missing player ${rule.fallback} and ${label}` : `Missing ${label}`;
+          issues.push({ code, field, message });
+          reason = message;
+        }
+        return;
+      }
+      
+      const checked = this._checkValue(value[key], rule);
+      
+      if (checked.valid) {
+        value[key] = checked.value;
+        return;
+      }
+      
+      // Wrong type that can be converted
+      if (checked.coerced !== undefined) {
+        issues.push({ code: 'type_mismatch', field, message: `${label} is not a ${rule.type}: ${this._describe(value[key])}` });
+        value[key] = checked.coerced;
+        repaired = true;
+        return;
+      }
+      
+      // Numbers below the minimum
+      if (checked.belowMin) {
+        issues.push({ code: 'negative_number', field, message: `Negative ${label}: ${checked.value}, using ${rule.min}` });
+        value[key] = rule.min;
+        repaired = true;
+        return;
+      }
+      
+      // Wrong type that cannot be converted
+      const message = `Invalid ${label}: ${this._describe(value[key])}`;
+      issues.push({ code: 'type_mismatch', field, message });
+      
+      if (rule.onInvalid === 'drop') {
+        delete value[key];
+        repaired = true;
+      } else {
+        reason = message;
+      }
+    });
+    
+    if (reason) {
+      return { status: 'rejected', value: null, issues, reason };
+    }
+    
+    return { status: repaired ? 'repaired' : 'valid', value, issues, reason: null };
+  }
+  
+  /**
+   * Summarize validation results as a data quality report
+   * @param {Array} results - Results from validateRows
+   * @returns {Object} Counts per status and issues grouped by code
+   */
+  createReport(results) {
+    const report = {
+      valid: 0,
+      repaired: 0,
+      rejected: 0,
+      issueCount: 0,
+      issues: {}
+    };
+    
+    this._issueCodes.forEach(code => {
+      report.issues[code] = [];
+    });
+    
+    results.forEach(result => {
+      report[result.status]++;
+      
+      result.issues.forEach(issue => {
+        report.issues[issue.code].push({
+          type: result.type,
+          index: result.index,
+          status: result.status,
+          field: issue.field,
+          message: issue.message
+        });
+        report.issueCount++;
+      });
+    });
+    
+    return report;
+  }
+  
+  /**
+   * Get the issue codes in report order
+   * @returns {Array<string>} Issue codes
+   */
+  getIssueCodes() {
+    return [...this._issueCodes];
+  }
+  
+  /**
+   * Find the key holding a field's value
+   * @param {Object} row - Row
+   * @param {string} field - Field name
+   * @param {Object} rule - Field rule
+   * @returns {string|null} Key or null if the field has no value
+   * @private
+   */
+  _findKey(row, field, rule) {
+    const keys = [field, ...((rule && rule.aliases) || [])];
+    const key = keys.find(candidate => !this._isEmpty(row[candidate]));
+    
+    return key === undefined ? null : key;
+  }
+  
+  /**
+   * Check a value against a field rule
+   * @param {*} value - Raw value
+   * @param {Object} rule - Field rule
+   * @returns {Object} Check result ({ valid, value, coerced, belowMin })
+   * @private
+   */
+  _checkValue(value, rule) {
+    switch (rule.type) {
+      case 'string':
+        // Numeric ids and names are plain strings
+        if (typeof value === 'string' || typeof value === 'number') {
+          return { valid: true, value: String(value).trim() };
+        }
+        return { valid: false };
+      
+      case 'number': {
+        let number = value;
+        let coerced = false;
+        
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+          number = Number(value);
+          coerced = true;
+        }
+        
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return { valid: false };
+        }
+        
+        if (rule.min !== undefined && number < rule.min) {
+          return { valid: false, value: number, belowMin: true };
+        }
+        
+        return coerced ? { valid: false, coerced: number } : { valid: true, value: number };
+      }
+      
+      case 'date':
+        return this._isValidDate(value) ? { valid: true, value } : { valid: false };
+      
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value) ? { valid: true, value } : { valid: false };
+      
+      default:
+        return { valid: true, value };
+    }
+  }
+  
+  /**
+   * Check if a value can be read as a date
+   * @param {*} value - Date string or epoch milliseconds
+   * @returns {boolean} Whether the value is a valid date
+   * @private
+   */
+  _isValidDate(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return false;
+    }
+    
+    return !isNaN(new Date(value).getTime());
+  }
+  
+  /**
+   * Get the key identifying a row for duplicate detection
+   * @param {string} rowType - Row type (player, event)
+   * @param {Object} value - Validated row
+   * @returns {string|null} Key or null if the row cannot be compared
+   * @private
+   */
+  _getDuplicateKey(rowType, value) {
+    // Events without an id may legitimately repeat (same chest opened twice)
+    if (rowType === 'event') {
+      return value.id ? String(value.id) : null;
+    }
+    
+    // Players by id, otherwise by name on the same server
+    if (value.id) {
+      return `id:${value.id}`;
+    }
+    
+    return `name:${String(value.name).toLowerCase()}|${value.server || ''}`;
+  }
+  
+  /**
+   * Check if a value counts as missing
+   * @param {*} value - Value
+   * @returns {boolean} Whether the value is empty
+   * @private
+   */
+  _isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  }
+  
+  /**
+   * Describe a value for an issue message
+   * @param {*} value - Value
+   * @returns {string} Short description
+   * @private
+   */
+  _describe(value) {
+    if (Array.isArray(value)) return 'list';
+    if (value === null) return 'null';
+    if (typeof value === 'object') return 'object';
+    if (typeof value === 'number' && isNaN(value)) return 'not a number';
+    
+    return String(value);
+  }
+}
\ No newline at end of file